@@ -9,13 +9,97 @@
 
 /**
  * @typedef {Object} CircuitBreakerConfig
- * @property {number} [threshold=5] - Number of failures before opening circuit
+ * @property {'consecutive' | 'rate'} [mode='consecutive'] - Open on consecutive failures, or on the
+ *   failure rate over a sliding window
+ * @property {number} [threshold=5] - Consecutive failures before opening circuit ('consecutive' mode)
+ * @property {number} [failureRate=0.5] - Failure rate (0-1] that opens the circuit ('rate' mode)
+ * @property {number} [minimumRequests=10] - Calls needed in the window before the rate is judged
+ *   ('rate' mode, at most windowSize by default)
+ * @property {number} [windowSize=20] - Number of recent calls in the window ('rate' mode)
+ * @property {string|number} [windowDuration] - Use a time window of this length instead of a
+ *   count window ('rate' mode)
  * @property {string|number} [resetTimeout=30000] - Time in ms before attempting half-open
+ * @property {number} [backoffMultiplier=1] - Factor applied to the open duration on each
+ *   consecutive re-open after a failed half-open call
+ * @property {number} [backoffJitter=0] - Randomly shorten open durations by up to this fraction (0-1)
+ * @property {string|number} [maxResetTimeout] - Upper bound for the open duration
+ *   (default: 5 minutes, or resetTimeout if larger)
  * @property {number} [halfOpenSuccesses=2] - Successes needed to close from half-open
+ * @property {number} [halfOpenMaxConcurrent=Infinity] - Trial calls allowed to run at once in half-open state
+ * @property {(err: unknown) => boolean} [isFailure] - Whether an error counts as a failure
+ * @property {ErrorMatcher[]} [ignoreErrors] - Errors that do not count as failures
+ */
+
+/**
+ * Matches errors by class (`instanceof`), by `code` or `name` (string), or
+ * by message (RegExp).
+ * @typedef {Function | string | RegExp} ErrorMatcher
+ */
+
+/**
+ * @typedef {Object} ErrorFilterOptions
+ * @property {(err: unknown) => boolean} [isFailure] - Whether an error counts as a failure
+ * @property {ErrorMatcher[]} [ignoreErrors] - Errors that do not count as failures
  */
 
 import { parseDuration } from './health-monitor.js';
 
+/**
+ * Check if an error matches an ignoreErrors entry.
+ * @param {unknown} err - The error
+ * @param {ErrorMatcher} matcher - Error class, code/name or message pattern
+ * @returns {boolean} True if the error matches
+ */
+function matchesError(err, matcher) {
+    if (typeof matcher === 'function') {
+        return err instanceof matcher;
+    }
+    if (typeof matcher === 'string') {
+        return err?.code === matcher || err?.name === matcher;
+    }
+    return matcher.test(String(err?.message ?? err));
+}
+
+/**
+ * Build an error classifier from `isFailure` and `ignoreErrors`.
+ * Errors matching `ignoreErrors` never count; the rest count unless
+ * `isFailure` returns false.
+ * @param {ErrorFilterOptions} [options={}] - Classification options
+ * @returns {((err: unknown) => boolean) | undefined} Classifier returning true for failures,
+ *   or undefined if neither option is set
+ * @throws {Error} If isFailure is not a function
+ * @throws {Error} If ignoreErrors is not an array of error classes, strings and RegExps,
+ *   e.g. contains an arrow function predicate
+ */
+export function createErrorFilter(options = {}) {
+    const { isFailure, ignoreErrors } = options;
+
+    if (isFailure !== undefined && typeof isFailure !== 'function') {
+        throw new Error('isFailure must be a function');
+    }
+    // Arrow functions have no prototype and would make `instanceof` throw
+    const validMatcher = (matcher) =>
+        (typeof matcher === 'function' && typeof matcher.prototype === 'object' && matcher.prototype !== null) ||
+        typeof matcher === 'string' ||
+        matcher instanceof RegExp;
+    if (ignoreErrors !== undefined && !(Array.isArray(ignoreErrors) && ignoreErrors.every(validMatcher))) {
+        throw new Error(
+            'ignoreErrors must be an array of error classes, codes or message patterns (use isFailure for predicates)'
+        );
+    }
+
+    if (!isFailure && !ignoreErrors?.length) {
+        return undefined;
+    }
+
+    return (err) => {
+        if (ignoreErrors?.some((matcher) => matchesError(err, matcher))) {
+            return false;
+        }
+        return isFailure ? Boolean(isFailure(err)) : true;
+    };
+}
+
 /**
  * Simple circuit breaker implementation for preventing cascading failures.
  * 
@@ -24,6 +108,17 @@ import { parseDuration } from './health-monitor.js';
  * - open: Fast-fail immediately, don't attempt operation
  * - half-open: Allow test requests to check if service recovered
  * 
+ * In the default 'consecutive' mode the circuit opens after `threshold`
+ * failures in a row. In 'rate' mode it opens once at least `minimumRequests`
+ * calls are in the window and the share of failures reaches `failureRate`.
+ * 
+ * Each time a half-open call fails, the circuit re-opens for
+ * `backoffMultiplier` times longer, up to `maxResetTimeout`. The open
+ * duration goes back to `resetTimeout` once the circuit closes.
+ * 
+ * Errors rejected by `isFailure` or matching `ignoreErrors` (e.g. constraint
+ * violations) count as successful calls: the database did respond.
+ * 
  * @example
  * const circuit = new CircuitBreaker({ threshold: 3, resetTimeout: '10s' });
  * 
@@ -53,6 +148,51 @@ export class CircuitBreaker {
     /** @type {number} */
     #halfOpenSuccesses;
 
+    /** @type {number} */
+    #halfOpenMaxConcurrent;
+
+    /** @type {number} - Trial calls admitted in half-open state that are still running */
+    #halfOpenInFlight = 0;
+
+    /** @type {number} */
+    #rejections = 0;
+
+    /** @type {(err: unknown) => boolean} */
+    #isFailure;
+
+    /** @type {number} */
+    #backoffMultiplier;
+
+    /** @type {number} */
+    #backoffJitter;
+
+    /** @type {number} */
+    #maxResetTimeout;
+
+    /** @type {number} - Re-opens since the circuit last closed */
+    #reopens = 0;
+
+    /** @type {number} */
+    #openDuration;
+
+    /** @type {'consecutive' | 'rate'} */
+    #mode;
+
+    /** @type {number} */
+    #failureRate;
+
+    /** @type {number} */
+    #minimumRequests;
+
+    /** @type {number} */
+    #windowSize;
+
+    /** @type {number|null} */
+    #windowDuration = null;
+
+    /** @type {{ failed: boolean, time: number }[]} */
+    #outcomes = [];
+
     /**
      * Create a new CircuitBreaker.
      * @param {CircuitBreakerConfig} [config={}]
@@ -76,6 +216,33 @@ export class CircuitBreaker {
             }
             this.#resetTimeout = timeout;
         }
+        this.#openDuration = this.#resetTimeout;
+
+        // Validate backoff
+        const backoffMultiplier = config.backoffMultiplier ?? 1;
+        if (typeof backoffMultiplier !== 'number' || !(backoffMultiplier >= 1)) {
+            throw new Error('backoffMultiplier must be a number >= 1');
+        }
+        this.#backoffMultiplier = backoffMultiplier;
+
+        const backoffJitter = config.backoffJitter ?? 0;
+        if (typeof backoffJitter !== 'number' || !(backoffJitter >= 0 && backoffJitter <= 1)) {
+            throw new Error('backoffJitter must be a number between 0 and 1');
+        }
+        this.#backoffJitter = backoffJitter;
+
+        if (typeof config.maxResetTimeout === 'string') {
+            this.#maxResetTimeout = parseDuration(config.maxResetTimeout);
+        } else {
+            const max = config.maxResetTimeout ?? Math.max(this.#resetTimeout, 300000);
+            if (typeof max !== 'number' || !(max > 0)) {
+                throw new Error('maxResetTimeout must be a positive number or duration string');
+            }
+            this.#maxResetTimeout = max;
+        }
+        if (this.#maxResetTimeout < this.#resetTimeout) {
+            throw new Error('maxResetTimeout must not be less than resetTimeout');
+        }
 
         // Validate halfOpenSuccesses
         const halfOpenSuccesses = config.halfOpenSuccesses ?? 2;
@@ -83,6 +250,66 @@ export class CircuitBreaker {
             throw new Error('halfOpenSuccesses must be a positive number (>= 1)');
         }
         this.#halfOpenSuccesses = Math.floor(halfOpenSuccesses);
+
+        const halfOpenMaxConcurrent = config.halfOpenMaxConcurrent ?? Infinity;
+        if (typeof halfOpenMaxConcurrent !== 'number' || !(halfOpenMaxConcurrent >= 1)) {
+            throw new Error('halfOpenMaxConcurrent must be a positive number (>= 1)');
+        }
+        this.#halfOpenMaxConcurrent = Math.floor(halfOpenMaxConcurrent);
+
+        this.#isFailure = createErrorFilter(config) ?? (() => true);
+
+        // Validate failure-rate mode
+        this.#mode = config.mode ?? 'consecutive';
+        if (this.#mode !== 'consecutive' && this.#mode !== 'rate') {
+            throw new Error(`mode must be 'consecutive' or 'rate'`);
+        }
+
+        if (this.#mode === 'rate') {
+            this.#configureRate(config);
+        }
+    }
+
+    /**
+     * Validate and apply the 'rate' mode options.
+     * @param {CircuitBreakerConfig} config - Circuit breaker config
+     * @throws {Error} If a rate option is invalid
+     */
+    #configureRate(config) {
+        const failureRate = config.failureRate ?? 0.5;
+        if (typeof failureRate !== 'number' || !(failureRate > 0 && failureRate <= 1)) {
+            throw new Error('failureRate must be a number between 0 (exclusive) and 1');
+        }
+        this.#failureRate = failureRate;
+
+        if (config.windowDuration !== undefined) {
+            if (config.windowSize !== undefined) {
+                throw new Error('windowSize and windowDuration cannot be combined');
+            }
+            if (typeof config.windowDuration === 'string') {
+                this.#windowDuration = parseDuration(config.windowDuration);
+            } else if (typeof config.windowDuration !== 'number' || !(config.windowDuration > 0)) {
+                throw new Error('windowDuration must be a positive number or duration string');
+            } else {
+                this.#windowDuration = config.windowDuration;
+            }
+        }
+
+        const windowSize = config.windowSize ?? 20;
+        if (typeof windowSize !== 'number' || windowSize < 1) {
+            throw new Error('windowSize must be a positive number (>= 1)');
+        }
+        this.#windowSize = Math.floor(windowSize);
+
+        // A count window can never hold more than windowSize calls
+        const minimumRequests = config.minimumRequests ?? Math.min(10, this.#windowSize);
+        if (typeof minimumRequests !== 'number' || minimumRequests < 1) {
+            throw new Error('minimumRequests must be a positive number (>= 1)');
+        }
+        this.#minimumRequests = Math.floor(minimumRequests);
+        if (this.#windowDuration === null && this.#minimumRequests > this.#windowSize) {
+            throw new Error('minimumRequests must not exceed windowSize');
+        }
     }
 
     /**
@@ -91,6 +318,7 @@ export class CircuitBreaker {
      * @param {() => Promise<T>} fn - Async function to execute
      * @returns {Promise<T>} Result of the function
      * @throws {Error} If circuit is open or function throws
+     * @throws {Error} If circuit is half-open and the trial call limit is reached
      */
     async execute(fn) {
         // Check if circuit should transition to half-open
@@ -98,15 +326,44 @@ export class CircuitBreaker {
 
         // Fast-fail if circuit is open
         if (this.#state === 'open') {
+            this.#rejections++;
             throw new Error('Circuit breaker is OPEN');
         }
 
+        if (this.#state === 'closed') {
+            return this.#run(fn);
+        }
+
+        if (this.#halfOpenInFlight >= this.#halfOpenMaxConcurrent) {
+            this.#rejections++;
+            throw new Error('Circuit breaker is HALF-OPEN: trial call limit reached');
+        }
+
+        this.#halfOpenInFlight++;
+        try {
+            return await this.#run(fn);
+        } finally {
+            this.#halfOpenInFlight--;
+        }
+    }
+
+    /**
+     * Run a call and record its outcome.
+     * @template T
+     * @param {() => Promise<T>} fn - Async function to execute
+     * @returns {Promise<T>} Result of the function
+     */
+    async #run(fn) {
         try {
             const result = await fn();
             this.#onSuccess();
             return result;
         } catch (err) {
-            this.#onFailure();
+            if (this.#isFailure(err)) {
+                this.#onFailure();
+            } else {
+                this.#onSuccess();
+            }
             throw err;
         }
     }
@@ -131,39 +388,100 @@ export class CircuitBreaker {
     }
 
     /**
-     * Get current failure count.
+     * Get current failure count: consecutive failures, or failures in the
+     * window in 'rate' mode.
      * @returns {number}
      */
     get failures() {
+        if (this.#mode === 'rate') {
+            this.#pruneOutcomes();
+            return this.#outcomes.filter((outcome) => outcome.failed).length;
+        }
         return this.#failures;
     }
 
+    /**
+     * Get the failure rate over the current window ('rate' mode).
+     * @returns {number} Share of failed calls (0-1), 0 if the window is empty
+     *   or the circuit is in 'consecutive' mode
+     */
+    get failureRate() {
+        if (this.#mode !== 'rate') {
+            return 0;
+        }
+        const failures = this.failures;
+        return this.#outcomes.length === 0 ? 0 : failures / this.#outcomes.length;
+    }
+
+    /**
+     * Get how long the circuit stays open before the next half-open attempt:
+     * the duration of the current open period, or `resetTimeout` after closing.
+     * @returns {number} Duration in ms
+     */
+    get openDuration() {
+        return this.#openDuration;
+    }
+
+    /**
+     * Get the number of calls rejected without running: while open, or
+     * beyond `halfOpenMaxConcurrent` while half-open.
+     * @returns {number}
+     */
+    get rejections() {
+        return this.#rejections;
+    }
+
     /**
      * Check if the circuit allows execution.
+     * In half-open state this is false while `halfOpenMaxConcurrent` trial calls are running.
      * @returns {boolean} True if execution is allowed
      */
     canExecute() {
         const state = this.state; // Triggers half-open check
-        return state === 'closed' || state === 'half-open';
+        return state === 'closed' ||
+            (state === 'half-open' && this.#halfOpenInFlight < this.#halfOpenMaxConcurrent);
     }
 
     /**
      * Manually record a successful operation.
      * Use this when you can't use execute() wrapper.
+     * @returns {boolean} True if the circuit opened: in 'rate' mode, a success
+     *   can complete `minimumRequests` while the failure rate is reached
      */
     success() {
-        this.#onSuccess();
+        return this.#onSuccess();
+    }
+
+    /**
+     * Check if an error counts as a failure under `isFailure` and `ignoreErrors`.
+     * @param {unknown} err - The error
+     * @returns {boolean} True if the error counts as a failure
+     */
+    isFailure(err) {
+        return this.#isFailure(err);
     }
 
     /**
      * Manually record a failed operation.
      * Use this when you can't use execute() wrapper.
+     * @param {unknown} [err] - The error; errors that don't count as failures are recorded as successes
      * @returns {boolean} True if failure caused circuit to open
      */
-    failure() {
+    failure(err) {
+        if (err !== undefined && !this.#isFailure(err)) {
+            return this.#onSuccess();
+        }
         return this.#onFailure();
     }
 
+    /**
+     * Manually record a call that was rejected because `canExecute()` returned false.
+     * Use this when you can't use execute() wrapper.
+     */
+    rejection() {
+        this.#rejections++;
+    }
+
     /**
      * Force the circuit to close.
      */
@@ -172,6 +490,9 @@ export class CircuitBreaker {
         this.#failures = 0;
         this.#successCount = 0;
         this.#nextAttemptTime = null;
+        this.#outcomes = [];
+        this.#reopens = 0;
+        this.#openDuration = this.#resetTimeout;
     }
 
     /**
@@ -179,12 +500,12 @@ export class CircuitBreaker {
      * Use this when external health checks indicate failure.
      */
     open() {
-        this.#state = 'open';
-        this.#nextAttemptTime = performance.now() + this.#resetTimeout;
+        this.#trip();
     }
 
     /**
      * Handle successful operation.
+     * @returns {boolean} True if circuit opened
      */
     #onSuccess() {
         this.#failures = 0;
@@ -193,8 +514,22 @@ export class CircuitBreaker {
             this.#successCount++;
             if (this.#successCount >= this.#halfOpenSuccesses) {
                 this.#state = 'closed';
+                // Start the rate over; failures from before the outage don't count
+                this.#outcomes = [];
+                this.#reopens = 0;
+                this.#openDuration = this.#resetTimeout;
             }
+            return false;
         }
+
+        this.#recordOutcome(false);
+
+        // The window may reach minimumRequests on a success while the rate is already too high
+        if (this.#mode === 'rate' && this.#state === 'closed' && this.#rateExceeded()) {
+            this.#trip();
+            return true;
+        }
+        return false;
     }
 
     /**
@@ -203,21 +538,66 @@ export class CircuitBreaker {
      */
     #onFailure() {
         this.#failures++;
+        if (this.#state !== 'half-open') {
+            this.#recordOutcome(true);
+        }
 
         if (this.#state === 'half-open') {
-            // Failed during half-open, go back to open
-            this.#state = 'open';
-            this.#nextAttemptTime = performance.now() + this.#resetTimeout;
+            // Failed during half-open, go back to open for longer
+            this.#reopens++;
+            this.#trip();
             return true;
         }
 
-        if (this.#failures >= this.#threshold) {
+        if (this.#mode === 'rate' ? this.#rateExceeded() : this.#failures >= this.#threshold) {
             // Too many failures, open the circuit
-            this.#state = 'open';
-            this.#nextAttemptTime = performance.now() + this.#resetTimeout;
+            this.#trip();
             return true;
         }
 
         return false;
     }
+
+    /**
+     * Open the circuit, backing off by the number of consecutive re-opens.
+     */
+    #trip() {
+        const backoff = Math.min(this.#resetTimeout * this.#backoffMultiplier ** this.#reopens, this.#maxResetTimeout);
+        this.#openDuration = backoff * (1 - this.#backoffJitter * Math.random());
+        this.#state = 'open';
+        this.#nextAttemptTime = performance.now() + this.#openDuration;
+    }
+
+    /**
+     * Add a call outcome to the sliding window ('rate' mode only).
+     * @param {boolean} failed - Whether the call failed
+     */
+    #recordOutcome(failed) {
+        if (this.#mode !== 'rate') {
+            return;
+        }
+        this.#outcomes.push({ failed, time: performance.now() });
+        this.#pruneOutcomes();
+    }
+
+    /**
+     * Drop outcomes that fell out of the window.
+     */
+    #pruneOutcomes() {
+        if (this.#windowDuration === null) {
+            this.#outcomes.splice(0, this.#outcomes.length - this.#windowSize);
+            return;
+        }
+        const cutoff = performance.now() - this.#windowDuration;
+        const firstInWindow = this.#outcomes.findIndex((outcome) => outcome.time > cutoff);
+        this.#outcomes.splice(0, firstInWindow === -1 ? this.#outcomes.length : firstInWindow);
+    }
+
+    /**
+     * Check if the failure rate over the window should open the circuit.
+     * @returns {boolean} True if enough calls were made and the rate is reached
+     */
+    #rateExceeded() {
+        return this.#outcomes.length >= this.#minimumRequests && this.failureRate >= this.#failureRate;
+    }
 }
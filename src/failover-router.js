@@ -3,60 +3,158 @@
  * @module omni-db/failover-router
  */
 
+import { parseDuration } from './health-monitor.js';
+
 /**
  * @typedef {'healthy' | 'degraded' | 'unhealthy'} HealthStatus
  */
 
+/**
+ * @typedef {Object} FailoverPolicy
+ * @property {number} [failoverThreshold=1] - Consecutive unhealthy checks before failing over
+ * @property {number} [recoveryThreshold=1] - Consecutive passing (healthy or degraded) checks before failing back
+ * @property {string|number} [minFailoverDuration=0] - Minimum time in failover before failing back
+ */
+
+/**
+ * @typedef {Object} ResolvedConnection
+ * @property {string} name - Connection to use
+ * @property {boolean} isFailover - True if a backup was selected
+ * @property {number} depth - Number of hops from the requested connection (0 if not failing over)
+ */
+
+/**
+ * @typedef {Object} FailoverRoute
+ * @property {string[]} candidates - Backup candidates in priority order
+ * @property {string | null} active - Connection the primary is routed to while in failover, or null
+ */
+
+/**
+ * Validate a failover mapping and return its candidates in priority order.
+ * @param {string} primary - Primary connection name
+ * @param {string | string[]} backup - Backup name or ordered list of backup names
+ * @returns {string[]} Candidate names
+ * @throws {Error} If backup is not a name or a non-empty array of unique names
+ * @throws {Error} If a candidate is the primary itself
+ */
+function toCandidates(primary, backup) {
+    const candidates = Array.isArray(backup) ? backup : [backup];
+
+    if (
+        candidates.length === 0 ||
+        candidates.some((name) => typeof name !== 'string' || name === '') ||
+        new Set(candidates).size !== candidates.length
+    ) {
+        throw new Error(
+            `Invalid failover configuration: backups for "${primary}" must be a name or a non-empty array of unique names`
+        );
+    }
+
+    if (candidates.includes(primary)) {
+        throw new Error(
+            `Invalid failover configuration: "${primary}" cannot fail over to itself`
+        );
+    }
+
+    return candidates;
+}
+
 /**
  * Routes connection requests to backups when primaries are unhealthy.
  */
 export class FailoverRouter {
-    /** @type {Map<string, string>} primary -> backup mapping */
+    /** @type {Map<string, string | string[]>} primary -> backup or ordered backup candidates, as configured */
     #failoverMap = new Map();
 
-    /** @type {Set<string>} Currently active failovers */
-    #activeFailovers = new Set();
+    /** @type {Map<string, { target: string, since: number }>} Currently active failovers */
+    #activeFailovers = new Map();
+
+    /** @type {Map<string, { unhealthy: number, passing: number }>} Consecutive health check results */
+    #streaks = new Map();
+
+    /** @type {number} */
+    #failoverThreshold;
+
+    /** @type {number} */
+    #recoveryThreshold;
+
+    /** @type {number} */
+    #minFailoverDuration;
 
     /**
      * Create a new FailoverRouter.
-     * @param {Record<string, string>} [failoverConfig={}] - Mapping of primary to backup names
+     * @param {Record<string, string | string[]>} [failoverConfig={}] - Mapping of primary to backup
+     *   name, or to an ordered list of backup candidates
+     * @param {FailoverPolicy} [policy={}] - Anti-flapping thresholds
+     * @throws {Error} If a mapping is invalid
      * @throws {Error} If circular failover is detected
+     * @throws {Error} If policy values are invalid
      */
-    constructor(failoverConfig = {}) {
-        for (const [primary, backup] of Object.entries(failoverConfig)) {
-            // Check for self-reference
-            if (primary === backup) {
-                throw new Error(
-                    `Invalid failover configuration: "${primary}" cannot fail over to itself`
-                );
+    constructor(failoverConfig = {}, policy = {}) {
+        // Validate thresholds
+        for (const key of ['failoverThreshold', 'recoveryThreshold']) {
+            const value = policy[key] ?? 1;
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`${key} must be a positive integer (>= 1)`);
+            }
+        }
+        this.#failoverThreshold = policy.failoverThreshold ?? 1;
+        this.#recoveryThreshold = policy.recoveryThreshold ?? 1;
+
+        // Validate and parse minFailoverDuration
+        if (typeof policy.minFailoverDuration === 'string') {
+            this.#minFailoverDuration = parseDuration(policy.minFailoverDuration);
+        } else {
+            const duration = policy.minFailoverDuration ?? 0;
+            if (typeof duration !== 'number' || duration < 0) {
+                throw new Error('minFailoverDuration must be a non-negative number or duration string');
             }
-            this.#failoverMap.set(primary, backup);
+            this.#minFailoverDuration = duration;
+        }
+
+        for (const [primary, backup] of Object.entries(failoverConfig)) {
+            const candidates = toCandidates(primary, backup);
+            this.#failoverMap.set(primary, Array.isArray(backup) ? candidates.slice() : backup);
         }
 
         // Detect circular chains
         this.#validateNoCircularChains();
     }
 
+    /**
+     * Get the backup candidates of a connection.
+     * @param {string} name - Connection name
+     * @returns {string[]} Candidates in priority order (shared, do not mutate)
+     * @private
+     */
+    #candidatesOf(name) {
+        const backup = this.#failoverMap.get(name);
+        if (backup === undefined) {
+            return [];
+        }
+        return Array.isArray(backup) ? backup : [backup];
+    }
+
     /**
      * Validate that no circular failover chains exist.
      * @private
      * @throws {Error} If circular chain is detected
      */
     #validateNoCircularChains() {
-        for (const [primary] of this.#failoverMap) {
-            const visited = new Set([primary]);
-            let current = this.#failoverMap.get(primary);
-
-            while (current) {
-                if (visited.has(current)) {
-                    const chain = [...visited, current].join(' → ');
+        const visit = (path) => {
+            for (const next of this.#candidatesOf(path[path.length - 1])) {
+                if (path.includes(next)) {
+                    const chain = [...path, next].join(' → ');
                     throw new Error(
                         `Circular failover detected: ${chain}. Each connection can only appear once in the failover chain.`
                     );
                 }
-                visited.add(current);
-                current = this.#failoverMap.get(current);
+                visit([...path, next]);
             }
+        };
+
+        for (const [primary] of this.#failoverMap) {
+            visit([primary]);
         }
     }
 
@@ -71,50 +169,200 @@ export class FailoverRouter {
 
     /**
      * Get the backup name for a connection.
+     * With a candidate list, this is the highest-priority candidate.
      * @param {string} name - Connection name
      * @returns {string | undefined} Backup name, or undefined if not configured
      */
     getBackup(name) {
-        return this.#failoverMap.get(name);
+        return this.#candidatesOf(name)[0];
+    }
+
+    /**
+     * Get the ordered backup candidates for a connection.
+     * @param {string} name - Connection name
+     * @returns {string[]} Candidate names, or an empty array if not configured
+     */
+    getCandidates(name) {
+        return [...this.#candidatesOf(name)];
+    }
+
+    /**
+     * Add or replace the backup for a connection.
+     * The previous mapping is restored if the new one is invalid.
+     * @param {string} primary - Primary connection name
+     * @param {string | string[]} backup - Backup name or ordered list of backup candidates
+     * @throws {Error} If the mapping is invalid, a self-reference or creates a circular chain
+     */
+    setFailover(primary, backup) {
+        const candidates = toCandidates(primary, backup);
+
+        const previous = this.#failoverMap.get(primary);
+        this.#failoverMap.set(primary, Array.isArray(backup) ? candidates.slice() : backup);
+
+        try {
+            this.#validateNoCircularChains();
+        } catch (err) {
+            if (previous === undefined) {
+                this.#failoverMap.delete(primary);
+            } else {
+                this.#failoverMap.set(primary, previous);
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Remove the failover mapping for a connection.
+     * Also clears its active failover state.
+     * @param {string} primary - Primary connection name
+     * @returns {boolean} True if a mapping was removed
+     */
+    removeFailover(primary) {
+        this.#activeFailovers.delete(primary);
+        this.#streaks.delete(primary);
+        return this.#failoverMap.delete(primary);
+    }
+
+    /**
+     * Record the result of a health check, used by the failover policy.
+     * @param {string} name - Connection name
+     * @param {HealthStatus} status - Checked status
+     */
+    recordCheck(name, status) {
+        const streak = this.#streaks.get(name) ?? { unhealthy: 0, passing: 0 };
+        if (status === 'unhealthy') {
+            streak.unhealthy++;
+            streak.passing = 0;
+        } else {
+            streak.passing++;
+            streak.unhealthy = 0;
+        }
+        this.#streaks.set(name, streak);
     }
 
     /**
      * Resolve which connection to use based on health status.
+     * Tries the candidates of the primary in order, then their own backups
+     * (primary → backup → backup's backup ...), and returns the first
+     * connection that is not unhealthy. Closer candidates always win.
+     *
+     * The failover policy decides when to switch: a primary fails over after
+     * `failoverThreshold` consecutive unhealthy checks, and fails back only
+     * after `minFailoverDuration` and `recoveryThreshold` consecutive passing checks.
+     * If every candidate is unhealthy while a failover is active, it keeps
+     * routing to the active target until the primary may fail back.
      * @param {string} name - Requested connection name
      * @param {(name: string) => HealthStatus | undefined} getStatus - Function to get health status
-     * @returns {{ name: string, isFailover: boolean }} Resolved connection info
+     * @returns {ResolvedConnection} Resolved connection info
      */
     resolve(name, getStatus) {
         const status = getStatus(name);
+        const active = this.#activeFailovers.get(name);
+        const useBackup = active ? !this.#canFailBack(name, status, active.since) : this.#shouldFailOver(name, status);
 
-        // If healthy, degraded, or no status tracking, return original
-        if (status === 'healthy' || status === 'degraded' || status === undefined) {
-            return { name, isFailover: false };
+        if (!useBackup) {
+            return { name, isFailover: false, depth: 0 };
         }
 
-        // Check if failover is configured
-        const backup = this.#failoverMap.get(name);
-        if (!backup) {
-            return { name, isFailover: false };
+        // Breadth-first over the candidate graph, which is validated to be acyclic
+        const queue = this.#candidatesOf(name).map((candidate) => ({ candidate, depth: 1 }));
+        const seen = new Set([name]);
+        let current;
+        while (queue.length > 0) {
+            const { candidate, depth } = queue.shift();
+            if (seen.has(candidate)) {
+                continue;
+            }
+            seen.add(candidate);
+
+            if (getStatus(candidate) !== 'unhealthy') {
+                return { name: candidate, isFailover: true, depth };
+            }
+            if (candidate === active?.target) {
+                current = { name: candidate, isFailover: true, depth };
+            }
+            for (const next of this.#candidatesOf(candidate)) {
+                queue.push({ candidate: next, depth: depth + 1 });
+            }
+        }
+
+        // Every candidate is unhealthy: stay on the active failover, if any, or return original
+        return current ?? { name, isFailover: false, depth: 0 };
+    }
+
+    /**
+     * Check whether the failover policy is holding back a primary: it is
+     * unhealthy, but has not reached `failoverThreshold` yet and stays in use.
+     * @param {string} name - Primary connection name
+     * @returns {boolean} True while the failover is held back
+     */
+    isHoldingBack(name) {
+        if (!this.#failoverMap.has(name) || this.#activeFailovers.has(name)) {
+            return false;
         }
+        const unhealthy = this.#streaks.get(name)?.unhealthy ?? 0;
+        return unhealthy > 0 && unhealthy < this.#failoverThreshold;
+    }
 
-        // Check backup health
-        const backupStatus = getStatus(backup);
-        if (backupStatus === 'unhealthy') {
-            // Both unhealthy, return original
-            return { name, isFailover: false };
+    /**
+     * Check if a primary that is not in failover should fail over.
+     * @param {string} name - Primary connection name
+     * @param {HealthStatus | undefined} status - Current status
+     * @returns {boolean} True if the primary is down for long enough
+     * @private
+     */
+    #shouldFailOver(name, status) {
+        if (status !== 'unhealthy') {
+            return false;
         }
+        return this.#failoverThreshold <= 1 ||
+            (this.#streaks.get(name)?.unhealthy ?? 0) >= this.#failoverThreshold;
+    }
+
+    /**
+     * Check if a primary in failover may fail back.
+     * @param {string} name - Primary connection name
+     * @param {HealthStatus | undefined} status - Current status
+     * @param {number} since - When the failover started
+     * @returns {boolean} True if the primary is back for long enough
+     * @private
+     */
+    #canFailBack(name, status, since) {
+        if (status === 'unhealthy' || Date.now() - since < this.#minFailoverDuration) {
+            return false;
+        }
+        return this.#recoveryThreshold <= 1 ||
+            (this.#streaks.get(name)?.passing ?? 0) >= this.#recoveryThreshold;
+    }
+
+    /**
+     * Mark a failover as active.
+     * @param {string} primary - Primary connection name
+     * @param {string} [target] - Connection in use, defaults to the direct backup
+     */
+    activateFailover(primary, target = this.getBackup(primary)) {
+        // Moving along a chain keeps the original start time
+        const since = this.#activeFailovers.get(primary)?.since ?? Date.now();
+        this.#activeFailovers.set(primary, { target, since });
+    }
 
-        // Use backup
-        return { name: backup, isFailover: true };
+    /**
+     * Get the connection a primary in failover is routed to.
+     * @param {string} primary - Primary connection name
+     * @returns {string | undefined} Target name, or undefined if not in failover
+     */
+    getActiveTarget(primary) {
+        return this.#activeFailovers.get(primary)?.target;
     }
 
     /**
-     * Mark a failover as active (primary -> backup).
+     * Get how long a primary has been in failover.
      * @param {string} primary - Primary connection name
+     * @returns {number | undefined} Time in failover in ms, or undefined if not in failover
      */
-    activateFailover(primary) {
-        this.#activeFailovers.add(primary);
+    getFailoverDuration(primary) {
+        const active = this.#activeFailovers.get(primary);
+        return active ? Date.now() - active.since : undefined;
     }
 
     /**
@@ -139,14 +387,35 @@ export class FailoverRouter {
      * @returns {string[]} Array of primary connection names in failover
      */
     getActiveFailovers() {
-        return [...this.#activeFailovers];
+        return [...this.#activeFailovers.keys()];
     }
 
     /**
-     * Get all configured failover mappings.
-     * @returns {Record<string, string>} Object mapping primary to backup names
+     * Get all configured failover mappings, as configured.
+     * Use getRoutes() for a consistent shape that includes the active candidate.
+     * @returns {Record<string, string | string[]>} Object mapping primary to backup name or candidate list
      */
     getMappings() {
-        return Object.fromEntries(this.#failoverMap);
+        const mappings = {};
+        for (const [primary, backup] of this.#failoverMap) {
+            mappings[primary] = Array.isArray(backup) ? [...backup] : backup;
+        }
+        return mappings;
+    }
+
+    /**
+     * Get the failover route of every configured primary: its candidates
+     * in priority order and the candidate currently in use.
+     * @returns {Record<string, FailoverRoute>} Routes by primary name
+     */
+    getRoutes() {
+        const routes = {};
+        for (const primary of this.#failoverMap.keys()) {
+            routes[primary] = {
+                candidates: this.getCandidates(primary),
+                active: this.getActiveTarget(primary) ?? null,
+            };
+        }
+        return routes;
     }
 }
@@ -0,0 +1,94 @@
+/**
+ * Health Check Presets - Default health checks for common database drivers
+ * @module omni-db/health-checks
+ */
+
+/**
+ * @typedef {import('./health-monitor.js').HealthCheckFn} HealthCheckFn
+ */
+
+/**
+ * @typedef {Object} HealthCheckPreset
+ * @property {string} name - Driver name
+ * @property {(client: any) => boolean} detect - Whether the client looks like this driver
+ * @property {HealthCheckFn} check - Health check for the driver
+ */
+
+/**
+ * Built-in presets, in detection order. Drivers are recognized by duck
+ * typing; more specific shapes come first because several drivers share
+ * method names (mysql2 has `ping()` and `query()` too).
+ * @type {HealthCheckPreset[]}
+ */
+export const HEALTH_CHECK_PRESETS = [
+    {
+        name: 'prisma',
+        detect: (client) => typeof client.$queryRaw === 'function',
+        check: async (client) => {
+            await client.$queryRaw`SELECT 1`;
+            return true;
+        },
+    },
+    {
+        name: 'better-sqlite3',
+        detect: (client) => typeof client.prepare === 'function' && typeof client.pragma === 'function',
+        check: async (client) => {
+            client.prepare('SELECT 1').get();
+            return true;
+        },
+    },
+    {
+        name: 'mysql2',
+        detect: (client) => typeof client.execute === 'function' && typeof client.query === 'function',
+        check: async (client) => {
+            // Callback-style pools and connections expose their promise API via promise()
+            const target = typeof client.promise === 'function' ? client.promise() : client;
+            await target.query('SELECT 1');
+            return true;
+        },
+    },
+    {
+        name: 'pg',
+        // Pool has totalCount, Client has connectionParameters
+        detect: (client) =>
+            typeof client.query === 'function' && ('totalCount' in client || 'connectionParameters' in client),
+        check: async (client) => {
+            await client.query('SELECT 1');
+            return true;
+        },
+    },
+    {
+        name: 'mongodb',
+        detect: (client) => typeof client.db === 'function' && typeof client.startSession === 'function',
+        check: async (client) => {
+            await client.db().admin().ping();
+            return true;
+        },
+    },
+    {
+        name: 'mongodb-db',
+        detect: (client) => typeof client.admin === 'function' && typeof client.collection === 'function',
+        check: async (client) => {
+            await client.admin().ping();
+            return true;
+        },
+    },
+    {
+        name: 'redis',
+        // ioredis has status, node-redis has isOpen
+        detect: (client) => typeof client.ping === 'function' && ('status' in client || 'isOpen' in client),
+        check: async (client) => (await client.ping()) === 'PONG',
+    },
+];
+
+/**
+ * Find the preset health check for a client.
+ * @param {unknown} client - The database client
+ * @returns {HealthCheckPreset | undefined} The matching preset, or undefined if none matches
+ */
+export function detectHealthCheck(client) {
+    if (!client || typeof client !== 'object') {
+        return undefined;
+    }
+    return HEALTH_CHECK_PRESETS.find((preset) => preset.detect(client));
+}
@@ -3,6 +3,8 @@
  * @module omni-db/health-monitor
  */
 
+import { detectHealthCheck } from './health-checks.js';
+
 /**
  * @typedef {'healthy' | 'degraded' | 'unhealthy'} HealthStatus
  */
@@ -18,6 +20,78 @@
  * @property {string} [interval='30s'] - Check interval
  * @property {string} [timeout='5s'] - Check timeout
  * @property {RetryConfig} [retry] - Retry configuration
+ * @property {number} [unhealthyThreshold=1] - Consecutive failed checks before a connection becomes unhealthy
+ * @property {number} [healthyThreshold=1] - Consecutive passing checks before an unhealthy connection recovers
+ * @property {number} [latencyWindow=100] - Number of recent check durations kept per connection
+ * @property {string} [degradedAfter] - Successful checks slower than this mark the connection degraded
+ * @property {string} [unhealthyAfter] - Successful checks slower than this count as failed
+ * @property {boolean} [presets=true] - Use built-in checks for recognized drivers when no check is configured
+ * @property {boolean | PassiveConfig} [passive] - Derive health from the outcomes of real operations
+ * @property {number} [historySize=50] - Number of health history entries kept per connection
+ */
+
+/**
+ * @typedef {Object} PassiveConfig
+ * @property {number} [window=20] - Number of recent operations considered
+ * @property {number} [minRequests=10] - Operations needed in the window before health is judged
+ * @property {number} [degradedAt=0.2] - Error rate (0-1] at which a connection becomes degraded
+ * @property {number} [unhealthyAt=0.5] - Error rate (0-1] at which a connection becomes unhealthy
+ */
+
+/**
+ * @typedef {(client: unknown, options: { signal: AbortSignal }) => Promise<boolean | HealthStatus>} HealthCheckFn
+ */
+
+/**
+ * @typedef {Object} ConnectionCheckConfig
+ * @property {HealthCheckFn} [fn] - Health check function (connections without one are assumed healthy)
+ * @property {string} [interval] - Check interval for this connection, overrides the global interval
+ * @property {string} [timeout] - Check timeout for this connection, overrides the global timeout
+ * @property {RetryConfig} [retry] - Retry configuration for this connection, overrides the global retry
+ * @property {string} [degradedAfter] - Degraded latency budget for this connection, overrides the global one
+ * @property {string} [unhealthyAfter] - Unhealthy latency budget for this connection, overrides the global one
+ */
+
+/**
+ * @typedef {Object} CheckSettings
+ * @property {HealthCheckFn} [fn] - Health check function
+ * @property {number} [intervalMs] - Interval override in ms
+ * @property {number} [timeoutMs] - Timeout override in ms
+ * @property {{ retries: number, delayMs: number }} [retry] - Retry override
+ * @property {number} [degradedAfterMs] - Degraded latency budget override in ms
+ * @property {number} [unhealthyAfterMs] - Unhealthy latency budget override in ms
+ * @property {boolean} [preset] - False if the built-in check is disabled for this connection
+ */
+
+/**
+ * @typedef {Object} HealthStreak
+ * @property {number} failures - Consecutive failed checks
+ * @property {number} successes - Consecutive passing (healthy or degraded) checks
+ */
+
+/**
+ * @typedef {'periodic' | 'manual' | 'passive'} HealthSource
+ */
+
+/**
+ * @typedef {Object} HealthHistoryEntry
+ * @property {number} timestamp - Unix timestamp (ms)
+ * @property {HealthStatus} status - Status after the check or transition
+ * @property {boolean} [passed] - Whether the check passed (absent for passive transitions)
+ * @property {number} [durationMs] - Check duration in ms (absent for passive transitions)
+ * @property {string} [error] - Error message, if the check threw
+ * @property {HealthSource} source - What produced the entry: scheduled checks, on-demand
+ *   checks (checkHealth() and connect verification) or passive detection
+ */
+
+/**
+ * @typedef {Object} CheckLatency
+ * @property {number} last - Duration of the most recent check in ms
+ * @property {number} avg - Mean duration in ms
+ * @property {number} p50 - Median duration in ms
+ * @property {number} p95 - 95th percentile duration in ms
+ * @property {number} p99 - 99th percentile duration in ms
+ * @property {number} samples - Number of checks in the window
  */
 
 const DURATION_REGEX = /^(\d+)(ms|s|m|h)$/;
@@ -61,16 +135,135 @@ export function parseDuration(duration) {
     return value * multipliers[unit];
 }
 
+/**
+ * Parse a retry configuration.
+ * @param {RetryConfig} retry - Retry configuration
+ * @returns {{ retries: number, delayMs: number }} Parsed retry configuration
+ */
+function parseRetry(retry) {
+    return {
+        retries: retry.retries || 0,
+        delayMs: parseDuration(retry.delay || '100ms')
+    };
+}
+
+/**
+ * Parse an optional duration.
+ * @param {string | undefined} duration - Duration string
+ * @returns {number | undefined} Milliseconds, or undefined if not set
+ */
+function parseOptionalDuration(duration) {
+    return duration === undefined ? undefined : parseDuration(duration);
+}
+
+/**
+ * Validate that the degraded budget is below the unhealthy budget.
+ * @param {number | undefined} degradedAfterMs - Degraded budget in ms
+ * @param {number | undefined} unhealthyAfterMs - Unhealthy budget in ms
+ * @throws {Error} If both are set and degradedAfter is not below unhealthyAfter
+ */
+function validateBudgets(degradedAfterMs, unhealthyAfterMs) {
+    if (degradedAfterMs !== undefined && unhealthyAfterMs !== undefined && degradedAfterMs >= unhealthyAfterMs) {
+        throw new Error('degradedAfter must be less than unhealthyAfter');
+    }
+}
+
+/** Severity of each status, for comparing them */
+const SEVERITY = { healthy: 0, degraded: 1, unhealthy: 2 };
+
+/**
+ * Parse a passive health configuration.
+ * @param {boolean | PassiveConfig | undefined} passive - Passive configuration, or true for defaults
+ * @returns {Required<PassiveConfig> | null} Parsed configuration, or null if disabled
+ * @throws {Error} If a setting is out of range
+ */
+function parsePassive(passive) {
+    if (!passive) {
+        return null;
+    }
+
+    const { window = 20, minRequests = 10, degradedAt = 0.2, unhealthyAt = 0.5 } = passive === true ? {} : passive;
+
+    if (!Number.isInteger(window) || window < 1) {
+        throw new Error('passive.window must be a positive integer (>= 1)');
+    }
+    if (!Number.isInteger(minRequests) || minRequests < 1 || minRequests > window) {
+        throw new Error('passive.minRequests must be an integer between 1 and passive.window');
+    }
+    for (const [key, rate] of [['degradedAt', degradedAt], ['unhealthyAt', unhealthyAt]]) {
+        if (typeof rate !== 'number' || !(rate > 0 && rate <= 1)) {
+            throw new Error(`passive.${key} must be a number between 0 (exclusive) and 1`);
+        }
+    }
+    if (degradedAt >= unhealthyAt) {
+        throw new Error('passive.degradedAt must be less than passive.unhealthyAt');
+    }
+
+    return { window, minRequests, degradedAt, unhealthyAt };
+}
+
+/**
+ * Get a percentile of sorted values using the nearest-rank method.
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} The percentile value
+ */
+function percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Normalize a health check function or per-connection check config.
+ * @param {string} name - Connection name
+ * @param {HealthCheckFn | ConnectionCheckConfig | false | undefined} check - Check function or config,
+ *   or false to disable the built-in check
+ * @returns {CheckSettings | null} Settings, or null if no check is configured
+ * @throws {Error} If check is not a function or an object with an fn function
+ */
+function normalizeCheck(name, check) {
+    if (check === false) {
+        return { preset: false };
+    }
+    if (!check) {
+        return null;
+    }
+    if (typeof check === 'function') {
+        return { fn: check };
+    }
+    if (typeof check !== 'object' || (check.fn !== undefined && typeof check.fn !== 'function')) {
+        throw new Error(
+            `Health check for "${name}" must be a function or an object with an fn function`
+        );
+    }
+
+    return {
+        fn: check.fn,
+        intervalMs: parseOptionalDuration(check.interval),
+        timeoutMs: parseOptionalDuration(check.timeout),
+        retry: check.retry ? parseRetry(check.retry) : undefined,
+        degradedAfterMs: parseOptionalDuration(check.degradedAfter),
+        unhealthyAfterMs: parseOptionalDuration(check.unhealthyAfter),
+    };
+}
+
 /**
  * Monitors health of database connections with periodic checks.
+ * Connections with their own interval are scheduled on their own timer;
+ * all others are checked together on the global interval.
  */
 export class HealthMonitor {
     /** @type {Map<string, HealthStatus>} */
     #status = new Map();
 
-    /** @type {Map<string, (client: unknown) => Promise<boolean>>} */
+    /** @type {Map<string, CheckSettings>} */
     #checks = new Map();
 
+    /** @type {Map<string, NodeJS.Timeout>} Timers of connections with their own interval */
+    #timers = new Map();
+
+    /** @type {((names: string[]) => Promise<void>) | null} */
+    #checkFn = null;
+
     /** @type {number} */
     #intervalMs;
 
@@ -86,31 +279,110 @@ export class HealthMonitor {
     /** @type {{ retries: number, delayMs: number } | null} */
     #retryConfig = null;
 
+    /** @type {Map<string, HealthStreak>} */
+    #streaks = new Map();
+
+    /** @type {number} */
+    #unhealthyThreshold;
+
+    /** @type {number} */
+    #healthyThreshold;
+
+    /** @type {Map<string, number[]>} Recent check durations, oldest first */
+    #latencies = new Map();
+
+    /** @type {number} */
+    #latencyWindow;
+
+    /** @type {number | undefined} */
+    #degradedAfterMs;
+
+    /** @type {number | undefined} */
+    #unhealthyAfterMs;
+
+    /** @type {boolean} */
+    #presets;
+
+    /** @type {Required<PassiveConfig> | null} */
+    #passive;
+
+    /** @type {Map<string, boolean[]>} Recent operation outcomes (true = failed), oldest first */
+    #outcomes = new Map();
+
+    /** @type {Map<string, HealthHistoryEntry[]>} Oldest first */
+    #history = new Map();
+
+    /** @type {number} */
+    #historySize;
+
     /**
      * Create a new HealthMonitor.
      * @param {HealthCheckOptions} [options={}] - Configuration options
+     * @throws {Error} If a threshold, the latency window or the history size is not a positive integer
+     * @throws {Error} If degradedAfter is not below unhealthyAfter
+     * @throws {Error} If the passive configuration is invalid
      */
     constructor(options = {}) {
         this.#intervalMs = parseDuration(options.interval || '30s');
         this.#timeoutMs = parseDuration(options.timeout || '5s');
 
+        for (const key of ['unhealthyThreshold', 'healthyThreshold', 'latencyWindow', 'historySize']) {
+            const value = options[key] ?? 1;
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`${key} must be a positive integer (>= 1)`);
+            }
+        }
+        this.#unhealthyThreshold = options.unhealthyThreshold ?? 1;
+        this.#healthyThreshold = options.healthyThreshold ?? 1;
+        this.#latencyWindow = options.latencyWindow ?? 100;
+        this.#historySize = options.historySize ?? 50;
+
+        this.#degradedAfterMs = parseOptionalDuration(options.degradedAfter);
+        this.#unhealthyAfterMs = parseOptionalDuration(options.unhealthyAfter);
+        validateBudgets(this.#degradedAfterMs, this.#unhealthyAfterMs);
+
+        this.#presets = options.presets !== false;
+        this.#passive = parsePassive(options.passive);
+
         if (options.retry) {
-            this.#retryConfig = {
-                retries: options.retry.retries || 0,
-                delayMs: parseDuration(options.retry.delay || '100ms')
-            };
+            this.#retryConfig = parseRetry(options.retry);
         }
     }
 
     /**
      * Register a connection for health monitoring.
+     * If monitoring is running, a connection with its own interval is
+     * scheduled right away.
      * @param {string} name - Connection name
-     * @param {(client: unknown) => Promise<boolean>} [checkFn] - Custom health check function
+     * @param {HealthCheckFn | ConnectionCheckConfig | false} [check] - Custom health check function, or
+     *   an object with the function and per-connection interval, timeout, retry and latency budgets,
+     *   or false to disable the built-in check
+     * @throws {Error} If check is invalid
      */
-    register(name, checkFn) {
+    register(name, check) {
+        const settings = normalizeCheck(name, check);
+        if (settings) {
+            validateBudgets(
+                settings.degradedAfterMs ?? this.#degradedAfterMs,
+                settings.unhealthyAfterMs ?? this.#unhealthyAfterMs
+            );
+        }
+
         this.#status.set(name, 'healthy');
-        if (checkFn) {
-            this.#checks.set(name, checkFn);
+        this.#streaks.set(name, { failures: 0, successes: 0 });
+        this.#latencies.set(name, []);
+        this.#outcomes.set(name, []);
+        this.#history.set(name, []);
+        this.#clearTimer(name);
+
+        if (settings) {
+            this.#checks.set(name, settings);
+        } else {
+            this.#checks.delete(name);
+        }
+
+        if (this.#running && settings?.intervalMs !== undefined) {
+            this.#schedule(name, settings.intervalMs);
         }
     }
 
@@ -120,7 +392,12 @@ export class HealthMonitor {
      */
     unregister(name) {
         this.#status.delete(name);
+        this.#streaks.delete(name);
+        this.#latencies.delete(name);
+        this.#outcomes.delete(name);
+        this.#history.delete(name);
         this.#checks.delete(name);
+        this.#clearTimer(name);
     }
 
     /**
@@ -154,29 +431,205 @@ export class HealthMonitor {
         return previous;
     }
 
+    /**
+     * Get the consecutive check results of a connection.
+     * @param {string} name - Connection name
+     * @returns {HealthStreak | undefined} Streak counts, or undefined if not registered
+     */
+    getStreak(name) {
+        const streak = this.#streaks.get(name);
+        return streak ? { ...streak } : undefined;
+    }
+
+    /**
+     * Record the result of a check and apply the consecutive-result thresholds.
+     * A connection becomes unhealthy after `unhealthyThreshold` consecutive
+     * failed checks, and an unhealthy one recovers after `healthyThreshold`
+     * consecutive passing checks. Does not change the stored status.
+     * @param {string} name - Connection name
+     * @param {HealthStatus} result - Status returned by check()
+     * @returns {HealthStatus} The status the connection should now have
+     */
+    record(name, result) {
+        const streak = this.#streaks.get(name);
+        if (!streak) {
+            return result;
+        }
+
+        const current = this.#status.get(name);
+        if (result === 'unhealthy') {
+            streak.failures++;
+            streak.successes = 0;
+            return current !== 'unhealthy' && streak.failures < this.#unhealthyThreshold ? current : 'unhealthy';
+        }
+
+        streak.successes++;
+        streak.failures = 0;
+        return current === 'unhealthy' && streak.successes < this.#healthyThreshold ? 'unhealthy' : result;
+    }
+
+    /**
+     * Record the outcome of a real operation for passive health detection.
+     * Once the window holds `minRequests` operations, an error rate at or
+     * above `unhealthyAt` (or `degradedAt`) yields that status if it is worse
+     * than the current one. The window and the passing streak are then
+     * cleared, so recovery goes through regular checks. Does not change the
+     * stored status.
+     * @param {string} name - Connection name
+     * @param {boolean} failed - Whether the operation failed
+     * @returns {HealthStatus | undefined} The status the connection should now have,
+     *   or undefined if it should not change
+     */
+    recordOutcome(name, failed) {
+        const outcomes = this.#outcomes.get(name);
+        if (!this.#passive || !outcomes) {
+            return undefined;
+        }
+
+        const { window, minRequests, degradedAt, unhealthyAt } = this.#passive;
+        outcomes.push(failed);
+        if (outcomes.length > window) {
+            outcomes.shift();
+        }
+        if (outcomes.length < minRequests) {
+            return undefined;
+        }
+
+        const errorRate = outcomes.filter(Boolean).length / outcomes.length;
+        const status = errorRate >= unhealthyAt ? 'unhealthy' : errorRate >= degradedAt ? 'degraded' : 'healthy';
+        if (SEVERITY[status] <= SEVERITY[this.#status.get(name)]) {
+            return undefined;
+        }
+
+        outcomes.length = 0;
+        this.#streaks.get(name).successes = 0;
+        return status;
+    }
+
+    /**
+     * Append an entry to the health history of a connection.
+     * Only the most recent `historySize` entries are kept.
+     * @param {string} name - Connection name
+     * @param {HealthHistoryEntry} entry - History entry
+     */
+    recordHistory(name, entry) {
+        const history = this.#history.get(name);
+        if (!history) {
+            return;
+        }
+        history.push(entry);
+        if (history.length > this.#historySize) {
+            history.shift();
+        }
+    }
+
+    /**
+     * Get the health history of a connection.
+     * @param {string} name - Connection name
+     * @param {Object} [options={}] - Filter options
+     * @param {number} [options.limit] - Only return the most recent entries
+     * @param {number} [options.since] - Only return entries at or after this timestamp (ms)
+     * @returns {HealthHistoryEntry[]} Entries, oldest first (empty if not registered)
+     */
+    getHistory(name, options = {}) {
+        let entries = this.#history.get(name) ?? [];
+        if (options.since !== undefined) {
+            entries = entries.filter((entry) => entry.timestamp >= options.since);
+        }
+        if (options.limit !== undefined) {
+            entries = options.limit > 0 ? entries.slice(-options.limit) : [];
+        }
+        return entries.map((entry) => ({ ...entry }));
+    }
+
+    /**
+     * Get latency statistics over the recent checks of a connection.
+     * @param {string} name - Connection name
+     * @returns {CheckLatency | null} Latency stats, or null if no check has been timed
+     */
+    getLatency(name) {
+        const durations = this.#latencies.get(name);
+        if (!durations?.length) {
+            return null;
+        }
+
+        const sorted = [...durations].sort((a, b) => a - b);
+        return {
+            last: durations[durations.length - 1],
+            avg: durations.reduce((sum, d) => sum + d, 0) / durations.length,
+            p50: percentile(sorted, 50),
+            p95: percentile(sorted, 95),
+            p99: percentile(sorted, 99),
+            samples: durations.length,
+        };
+    }
+
     /**
      * Check health of a single connection.
+     * Connections without a check function use the built-in check for their
+     * driver, if one is recognized. The check is timed (including retries) and its duration is added to
+     * the connection's latency window. A successful check slower than
+     * `unhealthyAfter` counts as failed, and a healthy one slower than
+     * `degradedAfter` is reported as degraded.
      * @param {string} name - Connection name
      * @param {unknown} client - The database client
-     * @returns {Promise<{status: HealthStatus, error?: Error}>} The health status and optional error
+     * @returns {Promise<{status: HealthStatus, error?: Error, durationMs: number}>} The health
+     *   status, optional error and how long the check took
      */
     async check(name, client) {
-        const checkFn = this.#checks.get(name);
+        const settings = this.#checks.get(name);
+        const usePreset = this.#presets && settings?.preset !== false;
+        const checkFn = settings?.fn ?? (usePreset ? detectHealthCheck(client)?.check : undefined);
 
         if (!checkFn) {
-            // No custom check, assume healthy
-            return { status: 'healthy' };
+            // No custom check and no recognized driver, assume healthy
+            return { status: 'healthy', durationMs: 0 };
         }
 
+        const start = performance.now();
+        const result = await this.#runCheck(name, client, checkFn, settings?.retry);
+        const durationMs = performance.now() - start;
+
+        const durations = this.#latencies.get(name);
+        if (durations) {
+            durations.push(durationMs);
+            if (durations.length > this.#latencyWindow) {
+                durations.shift();
+            }
+        }
+
+        const unhealthyAfterMs = settings?.unhealthyAfterMs ?? this.#unhealthyAfterMs;
+        const degradedAfterMs = settings?.degradedAfterMs ?? this.#degradedAfterMs;
+        if (result.status !== 'unhealthy' && durationMs > unhealthyAfterMs) {
+            return { ...result, status: 'unhealthy', durationMs };
+        }
+        if (result.status === 'healthy' && durationMs > degradedAfterMs) {
+            return { ...result, status: 'degraded', durationMs };
+        }
+
+        return { ...result, durationMs };
+    }
+
+    /**
+     * Run a check function with timeout and retries.
+     * @param {string} name - Connection name
+     * @param {unknown} client - The database client
+     * @param {HealthCheckFn} checkFn - Check function
+     * @param {{ retries: number, delayMs: number }} [retry] - Retry override
+     * @returns {Promise<{status: HealthStatus, error?: Error}>} The health status and optional error
+     * @private
+     */
+    async #runCheck(name, client, checkFn, retry) {
+        const retryConfig = retry ?? this.#retryConfig;
         let attempts = 0;
-        const maxAttempts = (this.#retryConfig?.retries || 0) + 1;
-        const delayMs = this.#retryConfig?.delayMs || 100;
+        const maxAttempts = (retryConfig?.retries || 0) + 1;
+        const delayMs = retryConfig?.delayMs || 100;
         let lastError = null;
 
         while (attempts < maxAttempts) {
             attempts++;
             const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.#timeoutMs);
+            const timeoutId = setTimeout(() => controller.abort(), this.getTimeout(name));
 
             try {
                 const result = await Promise.race([
@@ -211,17 +664,29 @@ export class HealthMonitor {
 
     /**
      * Start periodic health checks.
-     * @param {() => Promise<void>} checkAllFn - Function to check all connections
+     * @param {(names: string[]) => Promise<void>} checkFn - Function to check the given connections
      */
-    start(checkAllFn) {
+    start(checkFn) {
         if (this.#running) {
             return;
         }
 
         this.#running = true;
+        this.#checkFn = checkFn;
+
+        // Connections without their own interval are checked together
         this.#intervalId = setInterval(async () => {
-            await checkAllFn();
+            const names = [...this.#status.keys()].filter(
+                (name) => this.#checks.get(name)?.intervalMs === undefined
+            );
+            await checkFn(names);
         }, this.#intervalMs);
+
+        for (const [name, settings] of this.#checks) {
+            if (settings.intervalMs !== undefined) {
+                this.#schedule(name, settings.intervalMs);
+            }
+        }
     }
 
     /**
@@ -232,9 +697,54 @@ export class HealthMonitor {
             clearInterval(this.#intervalId);
             this.#intervalId = null;
         }
+        for (const name of [...this.#timers.keys()]) {
+            this.#clearTimer(name);
+        }
+        this.#checkFn = null;
         this.#running = false;
     }
 
+    /**
+     * Schedule periodic checks for a connection with its own interval.
+     * @param {string} name - Connection name
+     * @param {number} intervalMs - Interval in ms
+     * @private
+     */
+    #schedule(name, intervalMs) {
+        const checkFn = this.#checkFn;
+        this.#timers.set(name, setInterval(async () => {
+            await checkFn([name]);
+        }, intervalMs));
+    }
+
+    /**
+     * Stop the timer of a connection with its own interval.
+     * @param {string} name - Connection name
+     * @private
+     */
+    #clearTimer(name) {
+        clearInterval(this.#timers.get(name));
+        this.#timers.delete(name);
+    }
+
+    /**
+     * Get the check interval of a connection.
+     * @param {string} name - Connection name
+     * @returns {number} Interval in ms (the global interval unless overridden)
+     */
+    getInterval(name) {
+        return this.#checks.get(name)?.intervalMs ?? this.#intervalMs;
+    }
+
+    /**
+     * Get the check timeout of a connection.
+     * @param {string} name - Connection name
+     * @returns {number} Timeout in ms (the global timeout unless overridden)
+     */
+    getTimeout(name) {
+        return this.#checks.get(name)?.timeoutMs ?? this.#timeoutMs;
+    }
+
     /**
      * Check if health monitoring is running.
      * @returns {boolean} True if running
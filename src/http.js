@@ -0,0 +1,76 @@
+/**
+ * HTTP Health Handler - Health endpoint for node:http compatible servers
+ * @module omni-db/http
+ */
+
+import { URL } from 'node:url';
+
+/**
+ * @typedef {import('./orchestrator.js').Orchestrator} Orchestrator
+ */
+
+/**
+ * @typedef {Object} HealthHandlerOptions
+ * @property {'readiness' | 'liveness'} [probe='readiness'] - Probe deciding between 200 and 503
+ * @property {boolean | 'query'} [verbose='query'] - Include stats, latencies and last errors: always,
+ *   never, or when the request has a `verbose` query flag (`?verbose`, `?verbose=1`, `?verbose=true`)
+ */
+
+/**
+ * Check if a request asks for a verbose response.
+ * @param {string | undefined} url - Request URL
+ * @returns {boolean} True if the verbose query flag is set
+ */
+function wantsVerbose(url) {
+    const value = new URL(url ?? '/', 'http://localhost').searchParams.get('verbose');
+    return value === '' || value === '1' || value === 'true';
+}
+
+/**
+ * Build the detailed per-connection payload: stats plus the last check error.
+ * @param {Orchestrator} orchestrator - The orchestrator
+ * @returns {Record<string, object>} Details per connection
+ */
+function verboseConnections(orchestrator) {
+    const stats = orchestrator.getStats();
+    for (const name of Object.keys(stats)) {
+        const failed = orchestrator.healthHistory(name).filter((entry) => entry.error !== undefined).pop();
+        stats[name].lastError = failed ? { message: failed.error, timestamp: failed.timestamp } : null;
+    }
+    return stats;
+}
+
+/**
+ * Create a health endpoint as a `node:http` request listener.
+ * Responds with JSON from `health()` (or `getStats()` when verbose) and
+ * status 200 if the probe passes, 503 otherwise. Works directly with
+ * `http.createServer()` and Express, and with the raw request/response of
+ * Fastify and Koa.
+ * @param {Orchestrator} orchestrator - The orchestrator to report on
+ * @param {HealthHandlerOptions} [options={}] - Handler options
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => void}
+ *   Request listener
+ * @throws {Error} If the probe is unknown
+ */
+export function createHealthHandler(orchestrator, options = {}) {
+    const { probe = 'readiness', verbose = 'query' } = options;
+    if (probe !== 'readiness' && probe !== 'liveness') {
+        throw new Error(`Invalid probe "${probe}". Use 'readiness' or 'liveness'`);
+    }
+
+    return (req, res) => {
+        const { ok, reasons } = orchestrator[probe]();
+        const detailed = verbose === 'query' ? wantsVerbose(req.url) : verbose === true;
+
+        const body = JSON.stringify({
+            status: ok ? 'ok' : 'unavailable',
+            reasons,
+            connections: detailed ? verboseConnections(orchestrator) : orchestrator.health(),
+        });
+
+        res.statusCode = ok ? 200 : 503;
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+        res.end(req.method === 'HEAD' ? undefined : body);
+    };
+}
@@ -7,3 +7,4 @@ export { Registry } from './registry.js';
 export { Orchestrator } from './orchestrator.js';
 export { parseDuration } from './health-monitor.js';
 export { CircuitBreaker } from './circuit-breaker.js';
+export { createHealthHandler } from './http.js';
@@ -5,48 +5,307 @@
 
 import { EventEmitter } from 'node:events';
 import { Registry } from './registry.js';
-import { HealthMonitor } from './health-monitor.js';
-import { CircuitBreaker } from './circuit-breaker.js';
+import { HealthMonitor, parseDuration } from './health-monitor.js';
+import { CircuitBreaker, createErrorFilter } from './circuit-breaker.js';
 import { FailoverRouter } from './failover-router.js';
+import { PoolRouter } from './pool-router.js';
 
 /**
  * @typedef {Object} OrchestratorConfig
- * @property {Record<string, unknown>} connections - Named database client instances
+ * @property {Record<string, unknown | ConnectionFactory | LazyConnection | ConnectionDescriptor>} connections -
+ *   Named database client instances, factories, or connection descriptors
  * @property {HealthCheckConfig} [healthCheck] - Health check configuration
- * @property {Record<string, string>} [failover] - Failover mapping (primary -> backup)
+ * @property {OrchestratorCircuitConfig} [circuitBreaker] - Circuit breaker for every connection,
+ *   or defaults with per-connection overrides
+ * @property {Record<string, string | string[]>} [failover] - Failover mapping (primary -> backup,
+ *   or primary -> ordered backup candidates)
+ * @property {FailoverPolicy} [failoverPolicy] - Anti-flapping thresholds for failover and recovery
+ * @property {Record<string, string[] | PoolConfig>} [replicas] - Read replicas per primary
+ * @property {Record<string, string[] | PoolConfig>} [pools] - Logical names resolving to one of many members
+ * @property {(err: unknown) => boolean} [isFailure] - Whether an execute() error counts against circuits
+ *   and passive health
+ * @property {ErrorMatcher[]} [ignoreErrors] - execute() errors that don't count against circuits and passive health
+ */
+
+/**
+ * @typedef {import('./circuit-breaker.js').ErrorMatcher} ErrorMatcher
+ */
+
+/**
+ * @typedef {import('./circuit-breaker.js').CircuitBreakerConfig & { use?: object }} CircuitBreakerConfig
+ */
+
+/**
+ * @typedef {CircuitBreakerConfig & {
+ *   default?: CircuitBreakerConfig | false,
+ *   connections?: Record<string, CircuitBreakerConfig | false>
+ * }} OrchestratorCircuitConfig
+ */
+
+/**
+ * @typedef {import('./pool-router.js').PoolConfig} PoolConfig
+ */
+
+/**
+ * @typedef {import('./failover-router.js').FailoverPolicy} FailoverPolicy
+ */
+
+/**
+ * @typedef {import('./failover-router.js').ResolvedConnection} ResolvedConnection
+ */
+
+/**
+ * @typedef {Object} ExecuteOptions
+ * @property {'read' | 'write'} [mode='write'] - Route to a replica ('read') or the primary ('write')
+ */
+
+/**
+ * @typedef {() => unknown | Promise<unknown>} ConnectionFactory
+ */
+
+/**
+ * @typedef {Object} LazyConnection
+ * @property {ConnectionFactory} factory - Function creating the client on first use
+ * @property {boolean} [eager=false] - Create the client during connect() instead of first use
+ * @property {string[]} [tags] - Tags used to address connections as groups
+ * @property {Record<string, unknown>} [metadata] - Arbitrary user data
+ * @property {boolean} [optional=false] - Do not fail readiness when this connection is down
+ * @property {boolean} [critical=true] - Inverse of optional: fail readiness when this connection is down
+ * @property {(err: unknown) => boolean} [isFailure] - Per-connection override of the global isFailure
+ * @property {ErrorMatcher[]} [ignoreErrors] - Per-connection override of the global ignoreErrors
+ */
+
+/**
+ * @typedef {Object} ConnectionDescriptor
+ * @property {unknown} client - The database client instance
+ * @property {string[]} [tags] - Tags used to address connections as groups
+ * @property {Record<string, unknown>} [metadata] - Arbitrary user data
+ * @property {boolean} [optional=false] - Do not fail readiness when this connection is down
+ * @property {boolean} [critical=true] - Inverse of optional: fail readiness when this connection is down
+ * @property {(err: unknown) => boolean} [isFailure] - Per-connection override of the global isFailure
+ * @property {ErrorMatcher[]} [ignoreErrors] - Per-connection override of the global ignoreErrors
+ */
+
+/**
+ * @typedef {Object} NormalizedConnection
+ * @property {unknown} [client] - Client instance
+ * @property {ConnectionFactory} [factory] - Factory for lazy connections
+ * @property {boolean} eager - Create a lazy client during connect()
+ * @property {string[]} [tags] - Connection tags
+ * @property {Record<string, unknown>} [metadata] - Connection metadata
+ * @property {boolean} [optional] - The optional flag, as given
+ * @property {boolean} [critical] - The critical flag, as given
+ * @property {(err: unknown) => boolean} [isFailure] - Error classification override
+ * @property {ErrorMatcher[]} [ignoreErrors] - Ignored errors override
+ */
+
+/**
+ * @typedef {Object} GroupHealth
+ * @property {string} tag - The tag
+ * @property {HealthStatus} status - Rolled-up status of the group
+ * @property {Record<string, ConnectionHealth>} connections - Health per member
+ */
+
+/**
+ * @typedef {Object} AddConnectionOptions
+ * @property {HealthCheckFn | ConnectionCheckConfig | false} [healthCheck] - Custom health check function,
+ *   an object with the function and its own interval, timeout and retry, or false to disable the built-in check
+ * @property {string | string[]} [failover] - Existing connection(s) to fail over to, in priority order
+ * @property {string} [replicaOf] - Name of an existing primary to serve reads for
+ * @property {CircuitBreakerConfig | false} [circuitBreaker] - Circuit breaker settings overriding
+ *   the default, or false to disable it
+ * @property {boolean} [eager=false] - For factories, create the client during connect()
+ * @property {string[]} [tags] - Tags used to address connections as groups
+ * @property {Record<string, unknown>} [metadata] - Arbitrary user data
+ * @property {boolean} [optional=false] - Do not fail readiness when this connection is down
+ * @property {boolean} [critical=true] - Inverse of optional: fail readiness when this connection is down
+ * @property {(err: unknown) => boolean} [isFailure] - Per-connection override of the global isFailure
+ * @property {ErrorMatcher[]} [ignoreErrors] - Per-connection override of the global ignoreErrors
+ */
+
+/**
+ * @typedef {Object} ProbeResult
+ * @property {boolean} ok - Overall verdict
+ * @property {string[]} reasons - Problems found; those of optional connections do not affect the verdict
+ */
+
+/**
+ * @typedef {Object} ConnectOptions
+ * @property {boolean} [verify=false] - Open clients and run the first health check before resolving
+ * @property {string|number} [timeout] - Timeout for opening each client (defaults to health check timeout)
+ * @property {string[]} [required] - Connections that must succeed (defaults to all)
  */
 
 /**
  * @typedef {Object} HealthCheckConfig
  * @property {string} [interval='30s'] - Check interval (e.g., '30s', '1m')
  * @property {string} [timeout='5s'] - Check timeout
- * @property {Record<string, (client: unknown) => Promise<boolean>>} [checks] - Custom check functions
+ * @property {number} [unhealthyThreshold=1] - Consecutive failed checks before marking unhealthy
+ * @property {number} [healthyThreshold=1] - Consecutive passing checks before an unhealthy connection recovers
+ * @property {number} [latencyWindow=100] - Number of recent check durations kept for latency stats
+ * @property {string} [degradedAfter] - Successful checks slower than this mark the connection degraded
+ * @property {string} [unhealthyAfter] - Successful checks slower than this count as failed
+ * @property {boolean} [presets=true] - Use built-in checks for recognized drivers (pg, mysql2,
+ *   better-sqlite3, MongoDB, Redis, Prisma) when no check is configured
+ * @property {boolean | PassiveConfig} [passive] - Derive health from the error rate of execute() operations
+ * @property {number} [historySize=50] - Number of health history entries kept per connection
+ * @property {Record<string, HealthCheckFn | ConnectionCheckConfig | false>} [checks] - Custom check functions,
+ *   objects with the function and per-connection interval, timeout, retry and latency budgets,
+ *   or false to disable the built-in check
+ */
+
+/**
+ * @typedef {import('./health-monitor.js').HealthCheckFn} HealthCheckFn
+ */
+
+/**
+ * @typedef {import('./health-monitor.js').PassiveConfig} PassiveConfig
+ */
+
+/**
+ * @typedef {import('./health-monitor.js').HealthSource} HealthSource
+ */
+
+/**
+ * @typedef {import('./health-monitor.js').HealthHistoryEntry} HealthHistoryEntry
+ */
+
+/**
+ * @typedef {import('./health-monitor.js').ConnectionCheckConfig} ConnectionCheckConfig
  */
 
 /**
  * @typedef {'healthy' | 'degraded' | 'unhealthy'} HealthStatus
  */
 
+/**
+ * @typedef {Object} HealthCheckReport
+ * @property {string} name - Connection name
+ * @property {HealthStatus} status - Status after the check (with consecutive-result thresholds applied)
+ * @property {HealthStatus} previous - Status before the check
+ * @property {boolean} [passed] - Whether the check returned healthy or degraded (absent if skipped)
+ * @property {number} durationMs - Time the check took in ms
+ * @property {Error} [error] - Error thrown by the check, if any
+ * @property {boolean} [skipped] - True for lazy connections that have not been created yet
+ */
+
 /**
  * @typedef {Object} ConnectionHealth
  * @property {HealthStatus} status - Connection health status
+ * @property {number} consecutiveFailures - Consecutive failed health checks
+ * @property {number} consecutiveSuccesses - Consecutive passing health checks
  * @property {string} [failoverTo] - Name of connection being used as failover
  */
 
+/** Weight of the newest sample in the execute() latency moving average */
+const LATENCY_WEIGHT = 0.2;
+
+/** Fields of a connection descriptor or `{ factory }` object */
+const DESCRIPTOR_KEYS = new Set([
+    'client', 'factory', 'eager', 'tags', 'metadata', 'optional', 'critical', 'isFailure', 'ignoreErrors',
+]);
+
+/**
+ * Normalize a connection config value into a client or a factory.
+ * Functions and plain objects with a `factory` function are treated as lazy;
+ * plain objects with a `client` property are connection descriptors. Objects
+ * with any other key are clients themselves, e.g. `{ client, db }` from a driver.
+ * @param {unknown} value - Connection config value
+ * @returns {NormalizedConnection} Client or factory with its options
+ */
+function normalizeConnection(value) {
+    if (typeof value === 'function') {
+        return { factory: value, eager: false };
+    }
+
+    const isDescriptor =
+        value &&
+        typeof value === 'object' &&
+        Object.getPrototypeOf(value) === Object.prototype &&
+        (typeof value.factory === 'function' || Object.hasOwn(value, 'client')) &&
+        Object.keys(value).every((key) => DESCRIPTOR_KEYS.has(key));
+    if (!isDescriptor) {
+        return { client: value, eager: false };
+    }
+
+    const { client, factory, eager, tags, metadata, optional, critical, isFailure, ignoreErrors } = value;
+    if (typeof factory === 'function') {
+        return { factory, eager: eager === true, tags, metadata, optional, critical, isFailure, ignoreErrors };
+    }
+    return { client, eager: false, tags, metadata, optional, critical, isFailure, ignoreErrors };
+}
+
+/**
+ * Resolve the `optional` and `critical` flags of a connection, which are inverses.
+ * @param {string} name - Connection name
+ * @param {{ optional?: boolean, critical?: boolean }} flags - Flags from a descriptor or add() options
+ * @returns {boolean | undefined} True if the connection is optional, or undefined if neither flag is set
+ * @throws {Error} If the flags contradict each other
+ */
+function resolveOptional(name, { optional, critical }) {
+    if (optional !== undefined && critical !== undefined && (optional === true) === (critical === true)) {
+        throw new Error(`Connection "${name}" cannot be both optional and critical`);
+    }
+    if (optional !== undefined) {
+        return optional === true;
+    }
+    if (critical !== undefined) {
+        return critical === false;
+    }
+    return undefined;
+}
+
+/**
+ * Resolve the circuit breaker settings of one connection.
+ * `circuitBreaker` is either one config for every connection, or
+ * `{ default, connections }` where each connection can override or disable
+ * (`false`) the default. Top-level options next to `connections` act as the default.
+ * @param {OrchestratorCircuitConfig | undefined} cbConfig - The circuitBreaker config
+ * @param {string} name - Connection name
+ * @param {CircuitBreakerConfig | false} [override] - Settings passed to add()
+ * @returns {CircuitBreakerConfig | undefined} Settings, or undefined if the connection has no circuit breaker
+ * @throws {Error} If options are set both in default and at the top level
+ */
+function resolveCircuitConfig(cbConfig, name, override) {
+    const { default: defaults, connections, ...topLevel } = cbConfig ?? {};
+    if (defaults !== undefined && Object.keys(topLevel).length > 0) {
+        throw new Error(
+            'Circuit breaker config error: set options either in "default" or at the top level, not both'
+        );
+    }
+
+    const base = defaults ?? (cbConfig ? topLevel : false);
+    const own = override ?? connections?.[name];
+    if (own === false) {
+        return undefined;
+    }
+    if (own === undefined) {
+        return base || undefined;
+    }
+    return { ...base, ...own };
+}
+
 /**
  * Database connection orchestrator with health monitoring and failover.
  * @extends EventEmitter
  *
  * @fires Orchestrator#connected - When a connection is established
  * @fires Orchestrator#disconnected - When a connection is closed
+ * @fires Orchestrator#connection:added - When a connection is added at runtime
+ * @fires Orchestrator#connection:removed - When a connection is removed at runtime
  * @fires Orchestrator#health:changed - When health status changes
+ * @fires Orchestrator#health:check - After every health check
  * @fires Orchestrator#failover - When failover is activated
  * @fires Orchestrator#recovery - When failover is recovered
  * @fires Orchestrator#error - When an error occurs
  */
 export class Orchestrator extends EventEmitter {
     /** @type {Registry} */
-    #registry = new Registry();
+    #registry = new Registry({
+        // Close clients whose factory finished after remove() or disconnect()
+        discard: (name, client) => this.#closeClient(client)
+            .catch((err) => this.#emitError(name, err, 'disconnect')),
+    });
 
     /** @type {HealthMonitor} */
     #healthMonitor;
@@ -57,20 +316,58 @@ export class Orchestrator extends EventEmitter {
     /** @type {Map<string, CircuitBreaker>} */
     #circuits = new Map();
 
+    /**
+     * Event subscriptions per external circuit breaker instance, shared by the
+     * connections that use it
+     * @type {Map<object, { names: Set<string>, muted: Set<string>, unsubscribe: () => void }>}
+     */
+    #externalSubscriptions = new Map();
+
+    /** @type {OrchestratorConfig} */
+    #config;
+
+    /** @type {Set<string>} Lazy connections created during connect() */
+    #eager = new Set();
+
+    /** @type {Set<string>} Connections that do not affect readiness */
+    #optional = new Set();
+
+    /** @type {((err: unknown) => boolean) | undefined} Global error classification */
+    #errorFilter;
+
+    /** @type {Map<string, (err: unknown) => boolean>} Per-connection error classification */
+    #errorFilters = new Map();
+
     /** @type {boolean} */
     #connected = false;
 
+    /** @type {Promise<void> | null} In-flight connect() call */
+    #connecting = null;
+
     /** @type {(() => void) | null} */
     #signalCleanup = null;
 
     /** @type {Map<string, { name: string, isFailover: boolean }>} */
     #failoverCache = new Map();
 
+    /** @type {PoolRouter} primary -> read replicas */
+    #replicaPools;
+
+    /** @type {PoolRouter} pool name -> members */
+    #pools;
+
+    /** @type {Map<string, number>} Operations currently running per connection */
+    #inFlight = new Map();
+
+    /** @type {Map<string, number>} Moving average of execute() duration per connection */
+    #latency = new Map();
+
     /**
      * Create a new Orchestrator instance.
      * @param {OrchestratorConfig} config - Configuration object
      * @throws {Error} If config is not provided
      * @throws {Error} If connections is not an object or is empty
+     * @throws {Error} If isFailure or ignoreErrors is invalid
      */
     constructor(config) {
         super();
@@ -94,20 +391,63 @@ export class Orchestrator extends EventEmitter {
         // Validate failover targets exist in connections
         if (config.failover) {
             for (const [primary, backup] of Object.entries(config.failover)) {
-                if (!config.connections[backup]) {
+                for (const candidate of [].concat(backup)) {
+                    if (!config.connections[candidate]) {
+                        throw new Error(
+                            `Failover config error: backup "${candidate}" for primary "${primary}" ` +
+                            `not found in connections. Available: ${connectionNames.join(', ')}`
+                        );
+                    }
+                }
+            }
+        }
+
+        // Validate replicas exist in connections
+        this.#replicaPools = new PoolRouter(config.replicas);
+        for (const [primary, replicas] of Object.entries(this.#replicaPools.getMappings())) {
+            if (!config.connections[primary]) {
+                throw new Error(
+                    `Replica config error: primary "${primary}" not found in connections. ` +
+                    `Available: ${connectionNames.join(', ')}`
+                );
+            }
+            for (const replica of replicas) {
+                if (!config.connections[replica] || replica === primary) {
+                    throw new Error(
+                        `Replica config error: replica "${replica}" for primary "${primary}" ` +
+                        `not found in connections. Available: ${connectionNames.join(', ')}`
+                    );
+                }
+            }
+        }
+
+        // Validate pools: unique names, existing members
+        this.#pools = new PoolRouter(config.pools);
+        for (const [pool, members] of Object.entries(this.#pools.getMappings())) {
+            if (config.connections[pool]) {
+                throw new Error(`Pool config error: pool "${pool}" has the same name as a connection`);
+            }
+            if (members.length === 0) {
+                throw new Error(`Pool config error: pool "${pool}" must have at least one member`);
+            }
+            for (const member of members) {
+                if (!config.connections[member]) {
                     throw new Error(
-                        `Failover config error: backup "${backup}" for primary "${primary}" ` +
+                        `Pool config error: member "${member}" of pool "${pool}" ` +
                         `not found in connections. Available: ${connectionNames.join(', ')}`
                     );
                 }
             }
         }
 
+        this.#config = config;
+        this.#errorFilter = createErrorFilter(config);
+
         // Initialize health monitor
         this.#healthMonitor = new HealthMonitor(config.healthCheck);
 
         // Initialize failover router
-        this.#failoverRouter = new FailoverRouter(config.failover);
+        this.#failoverRouter = new FailoverRouter(config.failover, config.failoverPolicy);
 
         // Clear failover cache when health changes
         this.on('health:changed', () => {
@@ -115,40 +455,294 @@ export class Orchestrator extends EventEmitter {
         });
 
         // Register all connections
-        for (const [name, client] of Object.entries(config.connections)) {
-            this.#registry.register(name, client);
-            this.#healthMonitor.register(name, config.healthCheck?.checks?.[name]);
-
-            // Create circuit breaker per connection if enabled
-            if (config.circuitBreaker) {
-                const cbConfig = config.circuitBreaker;
-
-                // Support external circuit breakers (opossum, cockatiel, etc.)
-                if (cbConfig.use && typeof cbConfig.use === 'object') {
-                    // Validate external circuit breaker at construction time
-                    const ext = cbConfig.use;
-                    if (typeof ext.fire !== 'function' && typeof ext.execute !== 'function') {
+        for (const [name, value] of Object.entries(config.connections)) {
+            this.#registerConnection(name, value);
+            this.#setupConnection(name, config.healthCheck?.checks?.[name]);
+        }
+    }
+
+    /**
+     * Store a client or factory in the registry.
+     * Options take precedence over the same fields in a descriptor.
+     * @param {string} name - Connection name
+     * @param {unknown} value - Client instance, factory, or connection descriptor
+     * @param {AddConnectionOptions} [options={}] - Eager and optional flags, tags and metadata
+     * @private
+     */
+    #registerConnection(name, value, options = {}) {
+        const connection = normalizeConnection(value);
+        const optional = resolveOptional(name, options) ?? resolveOptional(name, connection) ?? false;
+        const errorFilter = createErrorFilter({
+            isFailure: options.isFailure ?? connection.isFailure,
+            ignoreErrors: options.ignoreErrors ?? connection.ignoreErrors,
+        });
+        const meta = {
+            tags: options.tags ?? connection.tags,
+            metadata: options.metadata ?? connection.metadata,
+        };
+
+        if (connection.factory) {
+            this.#registry.registerFactory(name, connection.factory, meta);
+            if (options.eager || connection.eager) {
+                this.#eager.add(name);
+            }
+        } else {
+            this.#registry.register(name, connection.client, meta);
+        }
+
+        if (optional) {
+            this.#optional.add(name);
+        }
+        if (errorFilter) {
+            this.#errorFilters.set(name, errorFilter);
+        }
+    }
+
+    /**
+     * Register health monitoring and circuit breaker for a registered connection.
+     * @param {string} name - Connection name
+     * @param {(client: unknown) => Promise<boolean>} [checkFn] - Custom health check function
+     * @param {CircuitBreakerConfig | false} [circuitOverride] - Circuit breaker settings from add()
+     * @private
+     */
+    #setupConnection(name, checkFn, circuitOverride) {
+        const cbConfig = resolveCircuitConfig(this.#config.circuitBreaker, name, circuitOverride);
+        this.#healthMonitor.register(name, checkFn);
+
+        // Create circuit breaker per connection if enabled
+        if (!cbConfig) {
+            return;
+        }
+
+        // Support external circuit breakers (opossum, cockatiel, etc.), shared or one per connection
+        const { use } = cbConfig;
+        if (typeof use === 'function' || (use && typeof use === 'object')) {
+            // Validate external circuit breaker at construction time
+            const ext = typeof use === 'function' ? use(name) : use;
+            if (typeof ext?.fire !== 'function' && typeof ext?.execute !== 'function') {
+                throw new Error(
+                    'External circuit breaker must have execute() or fire() method. ' +
+                    'Supported libraries: opossum (.fire), cockatiel (.execute)'
+                );
+            }
+            this.#circuits.set(name, this.#wrapExternalCircuit(name, ext));
+        } else {
+            // Use built-in circuit breaker
+            this.#circuits.set(name, new CircuitBreaker(cbConfig));
+        }
+    }
+
+    /**
+     * Add a connection to a running orchestrator.
+     * Registers the client, its health check, circuit breaker and failover mapping.
+     * @param {string} name - Unique connection name
+     * @param {unknown} client - Client instance, factory, or connection descriptor
+     * @param {AddConnectionOptions} [options={}] - Connection options
+     * @throws {Error} If a connection or pool with the same name already exists
+     * @throws {Error} If the failover backup does not exist or creates a cycle
+     * @throws {Error} If the health check is invalid
+     * @fires Orchestrator#connection:added
+     */
+    add(name, client, options = {}) {
+        if (this.#registry.has(name)) {
+            throw new Error(`Connection "${name}" already exists`);
+        }
+        if (this.#pools.has(name)) {
+            throw new Error(`Connection "${name}" has the same name as a pool`);
+        }
+
+        // Validates name and client
+        this.#registerConnection(name, client, options);
+
+        if (options.replicaOf !== undefined && !this.#registry.has(options.replicaOf)) {
+            this.#unregisterConnection(name);
+            throw new Error(
+                `Replica config error: primary "${options.replicaOf}" for replica "${name}" ` +
+                `not found in connections. Available: ${this.#registry.list().join(', ')}`
+            );
+        }
+
+        if (options.failover !== undefined) {
+            try {
+                for (const candidate of [].concat(options.failover)) {
+                    if (!this.#registry.has(candidate)) {
                         throw new Error(
-                            'External circuit breaker must have execute() or fire() method. ' +
-                            'Supported libraries: opossum (.fire), cockatiel (.execute)'
+                            `Failover config error: backup "${candidate}" for primary "${name}" ` +
+                            `not found in connections. Available: ${this.#registry.list().join(', ')}`
                         );
                     }
-                    this.#circuits.set(name, this.#wrapExternalCircuit(ext));
-                } else {
-                    // Use built-in circuit breaker
-                    this.#circuits.set(name, new CircuitBreaker(cbConfig));
                 }
+                this.#failoverRouter.setFailover(name, options.failover);
+            } catch (err) {
+                this.#unregisterConnection(name);
+                throw err;
+            }
+        }
+
+        try {
+            this.#setupConnection(
+                name,
+                options.healthCheck ?? this.#config.healthCheck?.checks?.[name],
+                options.circuitBreaker
+            );
+        } catch (err) {
+            this.#unregisterConnection(name);
+            throw err;
+        }
+        this.#failoverCache.clear();
+
+        if (options.replicaOf !== undefined) {
+            this.#replicaPools.addMember(options.replicaOf, name);
+        }
+
+        if (this.#connected && this.#eager.has(name)) {
+            // Failures are reported through the error event
+            this.#resolveClient(name).catch(() => { });
+        }
+
+        this.emit('connection:added', { name, timestamp: Date.now() });
+    }
+
+    /**
+     * Drop a connection's registration, health check, circuit breaker and failover mapping.
+     * Used by remove() and to roll back a failed add().
+     * @param {string} name - Connection name
+     * @private
+     */
+    #unregisterConnection(name) {
+        this.#registry.delete(name);
+        this.#eager.delete(name);
+        this.#optional.delete(name);
+        this.#errorFilters.delete(name);
+        this.#healthMonitor.unregister(name);
+        this.#circuits.get(name)?.dispose?.();
+        this.#circuits.delete(name);
+        this.#failoverRouter.removeFailover(name);
+    }
+
+    /**
+     * Remove a connection from the orchestrator.
+     * Closes the client if the orchestrator is connected.
+     * @param {string} name - The connection name
+     * @returns {Promise<boolean>} True if the connection was removed
+     * @throws {Error} If another connection uses it as failover backup
+     * @fires Orchestrator#disconnected - If the client was closed
+     * @fires Orchestrator#connection:removed
+     */
+    async remove(name) {
+        if (!this.#registry.has(name)) {
+            return false;
+        }
+
+        const dependents = Object.entries(this.#failoverRouter.getRoutes())
+            .filter(([, { candidates }]) => candidates.includes(name))
+            .map(([primary]) => primary);
+        if (dependents.length > 0) {
+            throw new Error(
+                `Cannot remove "${name}": it is the failover backup for ${dependents.join(', ')}`
+            );
+        }
+
+        const client = this.#registry.get(name);
+
+        this.#unregisterConnection(name);
+        this.#failoverCache.clear();
+
+        // Drop its own replica set and its membership in replica sets and pools
+        this.#replicaPools.removePool(name);
+        this.#replicaPools.removeMember(name);
+        this.#pools.removeMember(name);
+        this.#inFlight.delete(name);
+        this.#latency.delete(name);
+
+        if (this.#connected) {
+            try {
+                await this.#closeClient(client);
+                this.emit('disconnected', { name, timestamp: Date.now() });
+            } catch (err) {
+                this.emit('error', {
+                    name,
+                    error: err,
+                    context: 'remove',
+                    message: err.message,
+                    timestamp: Date.now()
+                });
             }
         }
+
+        this.emit('connection:removed', { name, timestamp: Date.now() });
+        return true;
+    }
+
+    /**
+     * Subscribe to the open/close events of an external circuit breaker:
+     * opossum's `open` / `close` events or cockatiel's `onBreak` / `onReset`.
+     * @param {object} external - External circuit breaker instance
+     * @param {() => void} onOpen - Called when the circuit opens
+     * @param {() => void} onClose - Called when the circuit closes
+     * @returns {() => void} Unsubscribe function
+     * @private
+     */
+    #subscribeExternalCircuit(external, onOpen, onClose) {
+        if (typeof external.onBreak === 'function' && typeof external.onReset === 'function') {
+            const subscriptions = [external.onBreak(onOpen), external.onReset(onClose)];
+            return () => subscriptions.forEach((subscription) => subscription?.dispose?.());
+        }
+        if (typeof external.on === 'function') {
+            external.on('open', onOpen);
+            external.on('close', onClose);
+            return () => {
+                external.removeListener?.('open', onOpen);
+                external.removeListener?.('close', onClose);
+            };
+        }
+        return () => { };
     }
 
     /**
      * Wrap an external circuit breaker to normalize the interface.
      * Supports opossum (.fire), cockatiel (.execute), and others.
+     * The library's open/close events are forwarded as `circuit:open` /
+     * `circuit:close` for every connection using the instance, except for
+     * transitions the orchestrator triggers itself, which emit their own events.
+     * Each instance is subscribed to once, however many connections share it.
+     * @param {string} name - Connection name
      * @param {object} external - External circuit breaker instance (pre-validated)
      * @returns {object} - Normalized circuit breaker interface
+     * @fires Orchestrator#circuit:open - When the external circuit opens
+     * @fires Orchestrator#circuit:close - When the external circuit closes
      */
-    #wrapExternalCircuit(external) {
+    #wrapExternalCircuit(name, external) {
+        let subscription = this.#externalSubscriptions.get(external);
+        if (!subscription) {
+            const names = new Set();
+            const muted = new Set();
+            const forward = (event) => () => {
+                for (const connection of names) {
+                    if (!muted.has(connection)) {
+                        this.emit(event, { name: connection, timestamp: Date.now() });
+                    }
+                }
+            };
+            const unsubscribe = this.#subscribeExternalCircuit(
+                external,
+                forward('circuit:open'),
+                forward('circuit:close')
+            );
+            subscription = { names, muted, unsubscribe };
+            this.#externalSubscriptions.set(external, subscription);
+        }
+        subscription.names.add(name);
+
+        const silently = (action) => {
+            subscription.muted.add(name);
+            try {
+                action();
+            } finally {
+                subscription.muted.delete(name);
+            }
+        };
+
         return {
             // Determine which method the external circuit uses
             execute: async (fn) => {
@@ -193,39 +787,253 @@ export class Orchestrator extends EventEmitter {
             },
             open: () => {
                 if (typeof external.open === 'function') {
-                    external.open();
+                    silently(() => external.open());
                 }
-            }
+            },
+            // opossum closes with close(); others recover on their own
+            reset: () => {
+                if (typeof external.close === 'function') {
+                    silently(() => external.close());
+                }
+            },
+            // The external breaker tracks the outcomes of the calls it runs
+            success: () => { },
+            failure: () => false,
+            // Unsubscribe once the last connection using the instance is removed
+            dispose: () => {
+                subscription.names.delete(name);
+                if (subscription.names.size === 0) {
+                    subscription.unsubscribe();
+                    this.#externalSubscriptions.delete(external);
+                }
+            },
         };
     }
 
     /**
      * Connect to all registered databases.
-     * Validates that connections are accessible.
+     * Lazy connections flagged as eager are created here.
+     *
+     * With `verify: true`, each client is opened (`connect()` / `$connect()`)
+     * and checked once before resolving. Connections that fail are marked
+     * unhealthy, and the promise rejects if any required connection failed.
+     *
+     * Calls made while a connect is in flight share its result; their options are ignored.
+     * @param {ConnectOptions} [options={}] - Connect options
      * @returns {Promise<void>}
+     * @throws {Error} If a required connection name is not registered
+     * @throws {AggregateError} If verification fails for required connections
      * @fires Orchestrator#connected
+     * @fires Orchestrator#error - If an eager factory or opening a client fails
      */
-    async connect() {
+    async connect(options = {}) {
         if (this.#connected) {
             return;
         }
 
+        if (!this.#connecting) {
+            this.#connecting = this.#connect(options).finally(() => {
+                this.#connecting = null;
+            });
+        }
+        return this.#connecting;
+    }
+
+    /**
+     * Create eager clients, verify connections and start health monitoring.
+     * @param {ConnectOptions} options - Connect options
+     * @returns {Promise<void>}
+     * @private
+     */
+    async #connect(options) {
+        const { verify = false, timeout, required } = options;
+
+        if (required) {
+            for (const name of required) {
+                if (!this.#registry.has(name)) {
+                    throw new Error(
+                        `Unknown required connection "${name}". Available: ${this.#registry.list().join(', ')}`
+                    );
+                }
+            }
+        }
+
+        const resolvedBefore = new Set(this.#registry.list().filter((name) => this.#registry.isResolved(name)));
+
+        // Failures are reported through the error event and retried on first use
+        await Promise.allSettled([...this.#eager].map((name) => this.#resolveClient(name)));
+
+        let failures = new Map();
+        if (verify) {
+            const timeoutMs = typeof timeout === 'string'
+                ? parseDuration(timeout)
+                : timeout ?? this.#healthMonitor.timeout;
+
+            // Lazy connections are only required when listed or flagged eager
+            const requiredNames = required ?? this.#registry.list().filter(
+                (name) => this.#registry.isResolved(name) || this.#eager.has(name)
+            );
+            const opened = new Set();
+            failures = await this.#verifyConnections(requiredNames, timeoutMs, opened);
+
+            const failedRequired = requiredNames.filter((name) => failures.has(name));
+            if (failedRequired.length > 0) {
+                // Not connected, so disconnect() would skip them: close what this call opened or created
+                const created = this.#registry.list().filter(
+                    (name) => this.#registry.isResolved(name) && !resolvedBefore.has(name)
+                );
+                await this.#releaseClients(new Set([...opened, ...created]));
+                throw new AggregateError(
+                    failedRequired.map((name) => failures.get(name)),
+                    `Failed to connect required connections: ${failedRequired.join(', ')}`
+                );
+            }
+        }
+
         for (const name of this.#registry.list()) {
-            this.emit('connected', { name, timestamp: Date.now() });
+            if (!failures.has(name)) {
+                this.emit('connected', { name, timestamp: Date.now() });
+            }
         }
 
         // Start health monitoring
-        this.#healthMonitor.start(() => this.#runHealthChecks());
+        this.#healthMonitor.start((names) => this.#runHealthChecks(names));
 
         this.#connected = true;
     }
 
+    /**
+     * Open every available client and run the first round of health checks.
+     * Lazy connections are only created if they are required.
+     * @param {string[]} required - Required connection names
+     * @param {number} timeoutMs - Timeout for opening each client
+     * @param {Set<string>} opened - Receives the names of clients that were opened
+     * @returns {Promise<Map<string, Error>>} Errors for connections that failed
+     * @private
+     */
+    async #verifyConnections(required, timeoutMs, opened) {
+        const failures = new Map();
+        const timestamp = Date.now();
+        const names = this.#registry.list().filter(
+            (name) => this.#registry.isResolved(name) || required.includes(name)
+        );
+
+        await Promise.all(names.map(async (name) => {
+            let client;
+            try {
+                // Factory errors are already reported with the 'factory' context
+                client = await this.#resolveClient(name);
+            } catch (err) {
+                failures.set(name, new Error(`Connection "${name}" failed: ${err.message}`, { cause: err }));
+                return;
+            }
+
+            try {
+                if (await this.#openClient(client, timeoutMs)) {
+                    opened.add(name);
+                }
+            } catch (err) {
+                failures.set(name, new Error(`Connection "${name}" failed: ${err.message}`, { cause: err }));
+                this.#emitError(name, err, 'connect');
+            }
+        }));
+
+        const results = await this.#runHealthChecks(names.filter((name) => !failures.has(name)), 'manual');
+
+        for (const name of names) {
+            if (failures.has(name)) {
+                this.#failoverRouter.recordCheck(name, 'unhealthy');
+                this.#applyStatus(name, 'unhealthy', timestamp);
+            } else if (results.get(name)?.passed === false) {
+                // Verification requires a passing check, regardless of unhealthyThreshold
+                failures.set(name, new Error(`Connection "${name}" failed its health check`));
+            }
+        }
+
+        return failures;
+    }
+
+    /**
+     * Open a client using common driver patterns.
+     * Pool clients checked out by `connect()` are released immediately.
+     * @param {unknown} client - The database client
+     * @param {number} timeoutMs - Timeout in milliseconds
+     * @returns {Promise<boolean>} True if the client was opened, false if it was skipped
+     * @throws {Error} If opening fails or times out
+     * @private
+     */
+    async #openClient(client, timeoutMs) {
+        if (!client || typeof client !== 'object') {
+            return false;
+        }
+
+        // Skip clients that are already open (node-redis isOpen, ioredis status, pg.Client _connected)
+        if (
+            client.isOpen === true ||
+            ['connecting', 'connect', 'ready'].includes(client.status) ||
+            client._connected === true ||
+            client._connecting === true
+        ) {
+            return false;
+        }
+
+        let open;
+        if (typeof client.$connect === 'function') {
+            open = client.$connect();
+        } else if (typeof client.connect === 'function') {
+            open = client.connect();
+        } else {
+            return false;
+        }
+
+        let timeoutId;
+        try {
+            const conn = await Promise.race([
+                open,
+                new Promise((_, reject) => {
+                    timeoutId = setTimeout(
+                        () => reject(new Error(`Connect timeout after ${timeoutMs}ms`)),
+                        timeoutMs
+                    );
+                })
+            ]);
+
+            // pg Pool.connect() checks out a client that must be returned
+            if (conn && conn !== client && typeof conn.release === 'function') {
+                conn.release();
+            }
+        } finally {
+            clearTimeout(timeoutId);
+        }
+        return true;
+    }
+
+    /**
+     * Close clients and drop lazy ones so their factory runs again on next use.
+     * Close failures are reported through the error event.
+     * @param {Iterable<string>} names - Connection names
+     * @returns {Promise<void>}
+     * @fires Orchestrator#error - If closing a client fails
+     * @private
+     */
+    async #releaseClients(names) {
+        for (const name of names) {
+            await this.#closeClient(this.#registry.get(name))
+                .catch((err) => this.#emitError(name, err, 'disconnect'));
+            this.#registry.reset(name);
+        }
+    }
+
     /**
      * Disconnect from all databases.
      * @returns {Promise<void>}
      * @fires Orchestrator#disconnected
      */
     async disconnect() {
+        // Let a pending connect() finish so it cannot reconnect after the clients are closed
+        if (this.#connecting) {
+            await this.#connecting.catch(() => { });
+        }
         if (!this.#connected) {
             return;
         }
@@ -241,22 +1049,10 @@ export class Orchestrator extends EventEmitter {
 
         for (const name of this.#registry.list()) {
             try {
-                const client = this.#registry.get(name);
+                await this.#closeClient(this.#registry.get(name));
 
-                // Attempt to close connection using common patterns
-                if (client && typeof client === 'object') {
-                    if (typeof client.end === 'function') {
-                        await client.end();
-                    } else if (typeof client.close === 'function') {
-                        await client.close();
-                    } else if (typeof client.quit === 'function') {
-                        await client.quit();
-                    } else if (typeof client.disconnect === 'function') {
-                        await client.disconnect();
-                    } else if (typeof client.$disconnect === 'function') {
-                        await client.$disconnect();
-                    }
-                }
+                // Lazy clients are recreated by their factory on next use
+                this.#registry.reset(name);
 
                 this.emit('disconnected', { name, timestamp: Date.now() });
             } catch (err) {
@@ -273,28 +1069,178 @@ export class Orchestrator extends EventEmitter {
         this.#connected = false;
     }
 
+    /**
+     * Close a client using common driver patterns.
+     * @param {unknown} client - The database client
+     * @returns {Promise<void>}
+     * @private
+     */
+    async #closeClient(client) {
+        if (client && typeof client === 'object') {
+            if (typeof client.end === 'function') {
+                await client.end();
+            } else if (typeof client.close === 'function') {
+                await client.close();
+            } else if (typeof client.quit === 'function') {
+                await client.quit();
+            } else if (typeof client.disconnect === 'function') {
+                await client.disconnect();
+            } else if (typeof client.$disconnect === 'function') {
+                await client.$disconnect();
+            }
+        }
+    }
+
+    /**
+     * Call the factory of a lazy connection if needed and return its client.
+     * @param {string} name - Connection name
+     * @returns {Promise<unknown | undefined>} The client, or undefined if not registered
+     * @throws {Error} If the factory fails
+     * @fires Orchestrator#error - If the factory fails
+     * @private
+     */
+    async #resolveClient(name) {
+        try {
+            return await this.#registry.resolve(name);
+        } catch (err) {
+            this.#emitError(name, err, 'factory');
+            throw err;
+        }
+    }
+
+    /**
+     * Emit an error event if anyone is listening.
+     * Avoids EventEmitter throwing the payload when there are no listeners.
+     * @param {string} name - Connection name
+     * @param {Error} err - The error
+     * @param {string} context - Where the error occurred
+     * @private
+     */
+    #emitError(name, err, context) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', {
+                name,
+                error: err,
+                context,
+                message: err.message,
+                timestamp: Date.now()
+            });
+        }
+    }
+
     /**
      * Get a database client by name.
-     * When failover is configured and primary is unhealthy, returns backup.
-     * @param {string} name - The connection name
-     * @returns {unknown | undefined} The database client
+     * When failover is configured and primary is unhealthy, returns the first
+     * connection along the failover chain that is not unhealthy.
+     * For lazy connections that have not been created yet, returns a promise
+     * of the client and calls the factory. Pool names resolve to one member.
+     * @param {string} name - The connection or pool name
+     * @returns {unknown | Promise<unknown> | undefined} The database client
+     * @throws {Error} If no member of a pool is available
      * @fires Orchestrator#failover - If routing to backup
      * @fires Orchestrator#recovery - If recovering from failover
      * @fires Orchestrator#circuit:open - If circuit opens due to failures
      */
     get(name) {
-        const resolvedName = this.#resolveAndEmit(name);
+        return this.#clientFor(this.#resolveTarget(name));
+    }
+
+    /**
+     * Get a client for reads.
+     * Routes to a healthy replica of the primary (picked by the replica
+     * strategy, round-robin by default), then to a degraded one, and falls back to the primary when all replicas are
+     * unhealthy or have an open circuit.
+     * @param {string} name - The primary connection name
+     * @returns {unknown | Promise<unknown> | undefined} The database client
+     * @throws {Error} If the fallback primary's circuit is open
+     */
+    read(name) {
+        return this.#clientFor(this.#resolveTarget(name, 'read'));
+    }
+
+    /**
+     * Get a client for writes.
+     * Always routes to the primary, using failover if it is unhealthy.
+     * @param {string} name - The primary connection name
+     * @returns {unknown | Promise<unknown> | undefined} The database client
+     * @fires Orchestrator#failover - If routing to backup
+     * @fires Orchestrator#recovery - If recovering from failover
+     */
+    write(name) {
+        return this.get(name);
+    }
+
+    /**
+     * Get the client of a resolved connection, calling its factory if needed.
+     * @param {string} resolvedName - Resolved connection name
+     * @returns {unknown | Promise<unknown> | undefined} The client, or a promise of it for lazy connections
+     * @private
+     */
+    #clientFor(resolvedName) {
+        if (this.#registry.isLazy(resolvedName) && !this.#registry.isResolved(resolvedName)) {
+            return this.#resolveClient(resolvedName);
+        }
+
         return this.#registry.get(resolvedName);
     }
 
     /**
-     * Resolve connection name handling failover and circuit checks.
+     * Resolve the connection to read from for a primary.
+     * @param {string} name - Primary connection name
+     * @returns {string} Replica name, or the resolved primary name
+     * @private
+     */
+    #resolveRead(name) {
+        return this.#replicaPools.select(name, this.#poolContext()) ?? this.#resolveAndEmit(name);
+    }
+
+    /**
+     * Resolve a connection or pool name to the connection to use.
+     * @param {string} name - Connection or pool name
+     * @param {'read' | 'write'} [mode='write'] - Route reads to replicas
+     * @returns {string} Resolved connection name
+     * @throws {Error} If no member of a pool is available
+     * @private
+     */
+    #resolveTarget(name, mode = 'write') {
+        if (this.#pools.has(name)) {
+            const member = this.#pools.select(name, this.#poolContext());
+            if (member === undefined) {
+                throw new Error(`No available members in pool "${name}"`);
+            }
+            return this.#resolveAndEmit(member);
+        }
+
+        return mode === 'read' ? this.#resolveRead(name) : this.#resolveAndEmit(name);
+    }
+
+    /**
+     * Build the member accessors used by pool strategies.
+     * Members are usable unless unhealthy or their circuit is open.
+     * @returns {import('./pool-router.js').PoolContext}
+     * @private
+     */
+    #poolContext() {
+        return {
+            isUsable: (member) => {
+                const circuit = this.#circuits.get(member);
+                return this.#healthMonitor.getStatus(member) !== 'unhealthy' &&
+                    (!circuit || circuit.canExecute());
+            },
+            getStatus: (member) => this.#healthMonitor.getStatus(member),
+            getInFlight: (member) => this.#inFlight.get(member) ?? 0,
+            getLatency: (member) => this.#latency.get(member),
+        };
+    }
+
+    /**
+     * Resolve the failover target of a connection without side effects.
+     * Results are cached until health changes.
      * @param {string} name - Connection name
-     * @returns {string} Resolved connection name (primary or backup)
+     * @returns {ResolvedConnection} The resolved connection
      * @private
      */
-    #resolveAndEmit(name) {
-        // Check cache first
+    #resolveFailover(name) {
         let resolved = this.#failoverCache.get(name);
 
         if (!resolved) {
@@ -304,29 +1250,45 @@ export class Orchestrator extends EventEmitter {
             this.#failoverCache.set(name, resolved);
         }
 
+        return resolved;
+    }
+
+    /**
+     * Resolve connection name handling failover and circuit checks.
+     * @param {string} name - Connection name
+     * @returns {string} Resolved connection name (primary or backup)
+     * @private
+     */
+    #resolveAndEmit(name) {
+        const resolved = this.#resolveFailover(name);
+
         // Check circuit breaker of the RESOLVED connection
         const circuit = this.#circuits.get(resolved.name);
         if (circuit && !circuit.canExecute()) {
+            circuit.rejection?.();
             throw new Error(`Circuit open for "${resolved.name}"`);
         }
 
         if (resolved.isFailover) {
-            // Check if this is a new failover
-            if (!this.#failoverRouter.isInFailover(name)) {
-                this.#failoverRouter.activateFailover(name);
+            // Check if this is a new failover, or the chain moved to another target
+            if (this.#failoverRouter.getActiveTarget(name) !== resolved.name) {
+                this.#failoverRouter.activateFailover(name, resolved.name);
                 this.emit('failover', {
                     primary: name,
                     backup: resolved.name,
+                    candidates: this.#failoverRouter.getCandidates(name),
+                    depth: resolved.depth,
                     timestamp: Date.now(),
                 });
             }
         } else if (this.#failoverRouter.isInFailover(name)) {
             // Was in failover, now recovered
-            const backup = this.#failoverRouter.getBackup(name);
+            const backup = this.#failoverRouter.getActiveTarget(name);
             this.#failoverRouter.deactivateFailover(name);
             this.emit('recovery', {
                 primary: name,
                 backup,
+                candidates: this.#failoverRouter.getCandidates(name),
                 timestamp: Date.now(),
             });
         }
@@ -339,15 +1301,17 @@ export class Orchestrator extends EventEmitter {
      * Use this after successful database operations to help circuit breaker recover.
      * @param {string} name - The connection name
      * @fires Orchestrator#circuit:close - If circuit closes after success
+     * @fires Orchestrator#circuit:open - If the success completes a window whose failure rate opens the circuit
      */
     recordSuccess(name) {
         const circuit = this.#circuits.get(name);
         if (!circuit) return;
 
         const wasOpen = circuit.state !== 'closed';
-        circuit.success();
 
-        if (wasOpen) {
+        if (circuit.success()) {
+            this.emit('circuit:open', { name, timestamp: Date.now() });
+        } else if (wasOpen) {
             this.emit('circuit:close', { name, timestamp: Date.now() });
         }
     }
@@ -355,12 +1319,18 @@ export class Orchestrator extends EventEmitter {
     /**
      * Record a failed operation for a connection.
      * Use this after failed database operations to trigger circuit breaker.
+     * Errors that don't count as failures (`isFailure`, `ignoreErrors`) are recorded as successes.
      * @param {string} name - The connection name
+     * @param {unknown} [err] - The error that occurred
      * @fires Orchestrator#circuit:open - If failure causes circuit to open
      */
-    recordFailure(name) {
+    recordFailure(name, err) {
         const circuit = this.#circuits.get(name);
         if (!circuit) return;
+        if (err !== undefined && !this.#isFailure(name, err)) {
+            this.recordSuccess(name);
+            return;
+        }
 
         const opened = circuit.failure();
 
@@ -374,46 +1344,188 @@ export class Orchestrator extends EventEmitter {
      * Replaces manual get() + recordSuccess() / recordFailure() usage.
      *
      * @template T
-     * @param {string} name - The connection name
+     * @param {string} name - The connection or pool name
      * @param {(client: unknown) => Promise<T>} fn - Function to execute
+     * @param {ExecuteOptions} [options={}] - Routing options
      * @returns {Promise<T>} Result of the function
      * @throws {Error} If connection not found or circuit open
+     * @throws {Error} If the factory of a lazy connection fails
      */
-    async execute(name, fn) {
+    async execute(name, fn, options = {}) {
         // Resolve connection ONCE to avoid TOCTOU race conditions
-        const resolvedName = this.#resolveAndEmit(name);
-        const client = this.#registry.get(resolvedName);
+        const resolvedName = this.#resolveTarget(name, options.mode);
+
+        // Count the operation against the target for pool strategies (least-in-flight)
+        this.#inFlight.set(resolvedName, (this.#inFlight.get(resolvedName) ?? 0) + 1);
+
+        try {
+            const client = await this.#resolveClient(resolvedName);
+
+            if (!client) {
+                // Error was already emitted by resolveAndEmit() if circuit was open,
+                // but this check handles case where connection name is invalid or not registered
+                throw new Error(`Connection "${resolvedName}" is unavailable`);
+            }
+
+            // Use the circuit breaker for the TARGET connection
+            const circuit = this.#circuits.get(resolvedName);
+            const start = performance.now();
+
+            // Stays undefined for calls the circuit breaker fast-fails, which never reach the database
+            let failed;
+            // Errors that don't count as failures pass the circuit breaker as successes
+            let ignored;
+            const run = async () => {
+                failed = true;
+                try {
+                    const result = await fn(client);
+                    failed = false;
+                    return result;
+                } catch (err) {
+                    if (this.#isFailure(resolvedName, err)) {
+                        throw err;
+                    }
+                    failed = false;
+                    ignored = { err };
+                    return undefined;
+                }
+            };
 
-        if (!client) {
-            // Error was already emitted by resolveAndEmit() if circuit was open,
-            // but this check handles case where connection name is invalid or not registered
-            throw new Error(`Connection "${resolvedName}" is unavailable`);
+            try {
+                // Circuit breaker wrapper handles success/failure tracking
+                const result = circuit ? await circuit.execute(run) : await run();
+                if (ignored) {
+                    throw ignored.err;
+                }
+                return result;
+            } finally {
+                if (failed !== undefined) {
+                    this.#recordOutcome(resolvedName, failed);
+                }
+                this.#recordLatency(resolvedName, performance.now() - start);
+            }
+        } finally {
+            // The connection may have been removed while the operation ran
+            if (this.#registry.has(resolvedName)) {
+                this.#inFlight.set(resolvedName, this.#inFlight.get(resolvedName) - 1);
+            } else {
+                this.#inFlight.delete(resolvedName);
+            }
         }
+    }
 
-        // Use the circuit breaker for the TARGET connection
-        const circuit = this.#circuits.get(resolvedName);
+    /**
+     * Check if an error counts as a failure for a connection.
+     * @param {string} name - Connection name
+     * @param {unknown} err - The error
+     * @returns {boolean} True if the error counts against the circuit and passive health
+     * @private
+     */
+    #isFailure(name, err) {
+        const filter = this.#errorFilters.get(name) ?? this.#errorFilter;
+        return filter ? filter(err) : true;
+    }
 
-        if (circuit) {
-            // Circuit breaker wrapper handles success/failure tracking
-            return await circuit.execute(async () => fn(client));
-        } else {
-            // No circuit breaker configured
-            // We manually record success/failure to update health/circuit state if needed
-            // (Wait, execute() implies we want automatic tracking. If no CB configured, maybe just run it?)
-            // Actually, existing implementation didn't track if no CB configured.
-            // But strict requirement says "automatic connection handling and circuit breaker protection".
-            return await fn(client);
+    /**
+     * Feed the outcome of an operation into passive health detection and
+     * apply the resulting status change, if any.
+     * @param {string} name - Connection name
+     * @param {boolean} failed - Whether the operation failed
+     * @fires Orchestrator#health:changed - With reason 'passive', if the status changes
+     * @private
+     */
+    #recordOutcome(name, failed) {
+        const status = this.#healthMonitor.recordOutcome(name, failed);
+        if (status === undefined) {
+            return;
+        }
+        const timestamp = Date.now();
+        this.#failoverRouter.recordCheck(name, status);
+        this.#applyStatus(name, status, timestamp, undefined, 'passive');
+        this.#healthMonitor.recordHistory(name, { timestamp, status, source: 'passive' });
+    }
+
+    /**
+     * Fold an operation duration into the moving average latency of a connection.
+     * @param {string} name - Connection name
+     * @param {number} duration - Operation duration in ms
+     * @private
+     */
+    #recordLatency(name, duration) {
+        if (!this.#registry.has(name)) {
+            return;
         }
+        const previous = this.#latency.get(name);
+        this.#latency.set(
+            name,
+            previous === undefined ? duration : previous * (1 - LATENCY_WEIGHT) + duration * LATENCY_WEIGHT
+        );
     }
 
     /**
-     * Get all registered connection names.
+     * Get registered connection names.
+     * @param {Object} [options={}] - Filter options
+     * @param {string} [options.tag] - Only return connections carrying this tag
      * @returns {string[]} Array of connection names
      */
-    list() {
+    list(options = {}) {
+        if (options.tag !== undefined) {
+            return this.#registry.listByTag(options.tag);
+        }
         return this.#registry.list();
     }
 
+    /**
+     * Get the tags of a connection.
+     * @param {string} name - The connection name
+     * @returns {string[]} Tags, or an empty array if not found
+     */
+    getTags(name) {
+        return this.#registry.getTags(name);
+    }
+
+    /**
+     * Get the metadata of a connection.
+     * @param {string} name - The connection name
+     * @returns {Record<string, unknown> | undefined} Metadata, or undefined if not found
+     */
+    getMetadata(name) {
+        return this.#registry.getMetadata(name);
+    }
+
+    /**
+     * Get the healthiest client carrying a tag.
+     * Prefers healthy over degraded over unhealthy members and skips members
+     * whose circuit is open; ties go to the first registered member.
+     * @param {string} tag - Tag to match
+     * @returns {unknown | Promise<unknown>} The database client
+     * @throws {Error} If no connection carries the tag
+     * @throws {Error} If every member's circuit is open
+     */
+    getByTag(tag) {
+        const members = this.#registry.listByTag(tag);
+        if (members.length === 0) {
+            throw new Error(`No connections found with tag "${tag}"`);
+        }
+
+        const rank = { healthy: 0, degraded: 1, unhealthy: 2 };
+        let best;
+        let bestRank = Infinity;
+
+        for (const name of members) {
+            const circuit = this.#circuits.get(name);
+            // Members with an open circuit rank below any unhealthy member
+            const memberRank = rank[this.#healthMonitor.getStatus(name)] +
+                (circuit && !circuit.canExecute() ? 3 : 0);
+            if (memberRank < bestRank) {
+                best = name;
+                bestRank = memberRank;
+            }
+        }
+
+        return this.get(best);
+    }
+
     /**
      * Check if a connection exists.
      * @param {string} name - The connection name
@@ -424,30 +1536,193 @@ export class Orchestrator extends EventEmitter {
     }
 
     /**
-     * Get health status of all connections.
-     * @returns {Record<string, ConnectionHealth>} Health status per connection
+     * Get health status of all connections, or a rolled-up status for a tag.
+     * A group is healthy when all members are healthy, unhealthy when all
+     * members are unhealthy (or it has none), and degraded otherwise.
+     * @param {Object} [options={}] - Filter options
+     * @param {string} [options.tag] - Roll up the connections carrying this tag
+     * @returns {Record<string, ConnectionHealth> | GroupHealth} Health status per connection, or group health
      */
-    health() {
+    health(options = {}) {
+        if (options.tag !== undefined) {
+            const all = this.health();
+            const connections = {};
+            for (const name of this.#registry.listByTag(options.tag)) {
+                connections[name] = all[name];
+            }
+
+            const statuses = Object.values(connections).map((c) => c.status);
+            let status = 'degraded';
+            if (statuses.every((s) => s === 'unhealthy')) {
+                status = 'unhealthy';
+            } else if (statuses.every((s) => s === 'healthy')) {
+                status = 'healthy';
+            }
+
+            return { tag: options.tag, status, connections };
+        }
+
         const result = {};
         const allStatus = this.#healthMonitor.getAllStatus();
 
         for (const name of this.#registry.list()) {
             /* c8 ignore next -- defensive fallback; status is always set for registered connections */
             const status = allStatus[name] || 'healthy';
-            const isInFailover = this.#failoverRouter.isInFailover(name);
+            const failoverTo = this.#failoverRouter.getActiveTarget(name);
+            const streak = this.#healthMonitor.getStreak(name);
 
             result[name] = {
                 status,
-                ...(isInFailover && { failoverTo: this.#failoverRouter.getBackup(name) }),
+                consecutiveFailures: streak.failures,
+                consecutiveSuccesses: streak.successes,
+                ...(failoverTo !== undefined && { failoverTo }),
             };
         }
 
         return result;
     }
 
+    /**
+     * Check whether the application can serve traffic, e.g. for a Kubernetes
+     * readiness probe. Every connection that is not `optional` must be usable,
+     * either itself or through an active failover: not unhealthy and without
+     * an open circuit. Failover targets and replicas are judged through the
+     * primaries that use them. Problems with optional connections, failover
+     * targets and replicas are reported but do not affect the verdict.
+     * @returns {ProbeResult} Verdict and reasons
+     */
+    readiness() {
+        const reasons = [];
+        let ok = this.#connected;
+        if (!this.#connected) {
+            reasons.push('Orchestrator is not connected');
+        }
+
+        // Connections serving as failover target or replica, with the primaries using them
+        const usedBy = new Map();
+        const addUser = (name, primary) => usedBy.set(name, [...(usedBy.get(name) ?? []), primary]);
+        for (const [primary, { candidates }] of Object.entries(this.#failoverRouter.getRoutes())) {
+            candidates.forEach((candidate) => addUser(candidate, primary));
+        }
+        for (const [primary, replicas] of Object.entries(this.#replicaPools.getMappings())) {
+            replicas.forEach((replica) => addUser(replica, primary));
+        }
+
+        for (const name of this.#registry.list()) {
+            const problem = this.#servingProblem(name);
+            if (!problem) {
+                continue;
+            }
+            if (this.#optional.has(name)) {
+                reasons.push(`${problem} (optional)`);
+            } else if (usedBy.has(name)) {
+                const primaries = [...new Set(usedBy.get(name))].map((primary) => `"${primary}"`);
+                reasons.push(`${problem} (used by ${primaries.join(', ')})`);
+            } else {
+                reasons.push(problem);
+                ok = false;
+            }
+        }
+
+        return { ok, reasons };
+    }
+
+    /**
+     * Check whether the orchestrator itself is working, e.g. for a Kubernetes
+     * liveness probe. Database outages do not fail liveness, since restarting
+     * the process does not fix them; only a disconnected orchestrator does.
+     * @returns {ProbeResult} Verdict and reasons
+     */
+    liveness() {
+        if (!this.#connected) {
+            return { ok: false, reasons: ['Orchestrator is not connected'] };
+        }
+        return { ok: true, reasons: [] };
+    }
+
+    /**
+     * Describe why a connection cannot serve traffic, taking failover into account.
+     * @param {string} name - Connection name
+     * @returns {string | undefined} The problem, or undefined if the connection can serve
+     * @private
+     */
+    #servingProblem(name) {
+        const target = this.#resolveFailover(name).name;
+
+        if (this.#healthMonitor.getStatus(target) === 'unhealthy') {
+            if (this.#failoverRouter.isHoldingBack(name)) {
+                return `"${name}" is unhealthy and stays in use until failoverThreshold is reached`;
+            }
+            return this.#failoverRouter.getCandidates(name).length > 0
+                ? `"${name}" is unhealthy and has no healthy failover`
+                : `"${name}" is unhealthy`;
+        }
+        if (this.#circuits.get(target)?.state === 'open') {
+            return target === name
+                ? `"${name}" has an open circuit`
+                : `"${name}" fails over to "${target}", which has an open circuit`;
+        }
+        return undefined;
+    }
+
+    /**
+     * Get the recent health history of a connection: every check result
+     * and passive transition, oldest first.
+     * @param {string} name - Connection name
+     * @param {Object} [options={}] - Filter options
+     * @param {number} [options.limit] - Only return the most recent entries
+     * @param {number} [options.since] - Only return entries at or after this timestamp (ms)
+     * @returns {HealthHistoryEntry[]} History entries
+     * @throws {Error} If the connection is not registered
+     */
+    healthHistory(name, options = {}) {
+        if (!this.#registry.has(name)) {
+            throw new Error(
+                `Unknown connection "${name}". Available: ${this.#registry.list().join(', ')}`
+            );
+        }
+        return this.#healthMonitor.getHistory(name, options);
+    }
+
+    /**
+     * Run health checks now, outside the periodic schedule.
+     * Applies the same thresholds, status transitions, circuit syncing and
+     * events as periodic checks. Lazy connections that have not been created
+     * yet are not checked and are reported as skipped.
+     * @param {string} [name] - Connection to check (defaults to all)
+     * @returns {Promise<HealthCheckReport | Record<string, HealthCheckReport>>} Report for the
+     *   connection, or reports by connection name
+     * @throws {Error} If the connection is not registered
+     * @fires Orchestrator#health:changed - If a status changes
+     * @fires Orchestrator#health:check - For every connection checked
+     * @fires Orchestrator#circuit:open - If a connection becomes unhealthy
+     * @fires Orchestrator#circuit:close - If a connection recovers
+     * @fires Orchestrator#error - If a check fails with an error
+     */
+    async checkHealth(name) {
+        if (name !== undefined && !this.#registry.has(name)) {
+            throw new Error(
+                `Unknown connection "${name}". Available: ${this.#registry.list().join(', ')}`
+            );
+        }
+
+        const names = name === undefined ? this.#registry.list() : [name];
+        const results = await this.#runHealthChecks(names, 'manual');
+
+        const reports = {};
+        for (const n of names) {
+            const status = this.#healthMonitor.getStatus(n);
+            reports[n] = results.get(n) ?? { name: n, status, previous: status, skipped: true, durationMs: 0 };
+        }
+
+        return name === undefined ? reports : reports[name];
+    }
+
     /**
      * Get comprehensive statistics for all connections.
-     * Includes health status, circuit breaker state, and failure counts.
+     * Includes health status, circuit breaker state, failure counts,
+     * time in failover (ms, or null when not in failover) and health check
+     * latency (null until a check function has run).
      * @returns {Record<string, object>} Stats per connection
      */
     getStats() {
@@ -460,7 +1735,13 @@ export class Orchestrator extends EventEmitter {
                 status: health[name].status,
                 circuit: circuit ? circuit.state : 'n/a',
                 failures: circuit ? circuit.failures : 0,
-                failoverTo: health[name].failoverTo || null
+                openDuration: circuit?.openDuration ?? null,
+                rejections: circuit?.rejections ?? 0,
+                consecutiveFailures: health[name].consecutiveFailures,
+                consecutiveSuccesses: health[name].consecutiveSuccesses,
+                failoverTo: health[name].failoverTo || null,
+                timeInFailover: this.#failoverRouter.getFailoverDuration(name) ?? null,
+                checkLatency: this.#healthMonitor.getLatency(name),
             };
         }
 
@@ -536,92 +1817,172 @@ export class Orchestrator extends EventEmitter {
         return cleanup;
     }
 
+    /**
+     * Transition a connection to a new health status.
+     * Syncs the circuit breaker and emits health:changed if the status changed.
+     * The circuit of a primary stays closed while the failover policy holds it
+     * back, and opens once `failoverThreshold` is reached.
+     * Record the check with the failover router first.
+     * @param {string} name - Connection name
+     * @param {HealthStatus} newStatus - New health status
+     * @param {number} timestamp - Event timestamp
+     * @param {number} [durationMs] - Duration of the check that caused the change
+     * @param {string} [reason] - Why the status changed, if not a health check (e.g. 'passive')
+     * @private
+     */
+    #applyStatus(name, newStatus, timestamp, durationMs, reason) {
+        const previousStatus = this.#healthMonitor.getStatus(name);
+        if (newStatus === previousStatus) {
+            // A held back primary that is still unhealthy trips once the hold ends
+            const circuit = this.#circuits.get(name);
+            if (
+                newStatus === 'unhealthy' && circuit?.state === 'closed' &&
+                this.#failoverRouter.hasFailover(name) && !this.#failoverRouter.isHoldingBack(name)
+            ) {
+                circuit.open();
+                this.emit('circuit:open', { name, reason: reason ?? 'health-check-failed', timestamp });
+            }
+            return;
+        }
+
+        this.#healthMonitor.setStatus(name, newStatus);
+
+        // SYNC: If health check fails, trip the circuit breaker immediately,
+        // unless the failover policy keeps the primary in use for now
+        if (newStatus === 'unhealthy') {
+            const circuit = this.#circuits.get(name);
+            if (circuit && circuit.state !== 'open' && !this.#failoverRouter.isHoldingBack(name)) {
+                circuit.open();
+                this.emit('circuit:open', {
+                    name,
+                    reason: reason ?? 'health-check-failed',
+                    timestamp
+                });
+            }
+        }
+
+        // Close circuit when health recovers
+        if (newStatus === 'healthy') {
+            const circuit = this.#circuits.get(name);
+            if (circuit && circuit.state === 'open') {
+                circuit.reset();
+                this.emit('circuit:close', {
+                    name,
+                    reason: 'health-recovered',
+                    timestamp
+                });
+            }
+        }
+
+        this.emit('health:changed', {
+            name,
+            previous: previousStatus,
+            current: newStatus,
+            ...(durationMs !== undefined && { durationMs }),
+            ...(reason && { reason }),
+            timestamp,
+        });
+    }
+
     /**
      * Run health checks for all connections.
      * Runs checks in parallel for better performance.
+     * @param {string[]} [names] - Connections to check (defaults to all)
+     * @param {HealthSource} [source='periodic'] - Source recorded in the health history
+     * @returns {Promise<Map<string, HealthCheckReport>>} Reports of the connections that were checked
      * @private
      */
-    async #runHealthChecks() {
+    async #runHealthChecks(names = this.#registry.list(), source = 'periodic') {
         const timestamp = Date.now();
-        const checks = this.#registry.list().map(async (name) => {
+        const results = new Map();
+        const checks = names.map(async (name) => {
+            // Lazy connections are not created just to be health checked
+            if (!this.#registry.isResolved(name)) {
+                return;
+            }
+
+            const previous = this.#healthMonitor.getStatus(name);
+            const start = performance.now();
+
             try {
                 const client = this.#registry.get(name);
-                const previousStatus = this.#healthMonitor.getStatus(name);
                 const result = await this.#healthMonitor.check(name, client);
-                const newStatus = result.status;
-
-                if (newStatus !== previousStatus) {
-                    this.#healthMonitor.setStatus(name, newStatus);
-
-                    // SYNC: If health check fails, trip the circuit breaker immediately
-                    if (newStatus === 'unhealthy') {
-                        const circuit = this.#circuits.get(name);
-                        if (circuit && circuit.state !== 'open') {
-                            circuit.open();
-                            this.emit('circuit:open', {
-                                name,
-                                reason: 'health-check-failed',
-                                timestamp
-                            });
-                        }
-                    }
+                const status = this.#healthMonitor.record(name, result.status);
 
-                    // Close circuit when health recovers
-                    if (newStatus === 'healthy') {
-                        const circuit = this.#circuits.get(name);
-                        if (circuit && circuit.state === 'open') {
-                            circuit.reset();
-                            this.emit('circuit:close', {
-                                name,
-                                reason: 'health-recovered',
-                                timestamp
-                            });
-                        }
-                    }
-
-                    this.emit('health:changed', {
-                        name,
-                        previous: previousStatus,
-                        current: newStatus,
-                        timestamp,
-                    });
-                }
+                this.#failoverRouter.recordCheck(name, status);
+                this.#applyStatus(name, status, timestamp, result.durationMs);
+                const report = {
+                    name,
+                    status,
+                    previous,
+                    passed: result.status !== 'unhealthy',
+                    durationMs: result.durationMs,
+                    ...(result.error && { error: result.error }),
+                };
+                results.set(name, report);
+                this.#recordHistory(report, timestamp, source);
+                this.emit('health:check', { ...report, timestamp });
 
                 // Emit error event if health check failed with an error
                 if (result.error) {
-                    this.emit('error', {
-                        name,
-                        error: result.error,
-                        context: 'health-check',
-                        message: result.error.message,
-                        timestamp
-                    });
+                    this.#emitError(name, result.error, 'health-check');
                 }
             } catch (err) {
                 // Defensive error handling for unexpected runtime errors
                 const previousStatus = this.#healthMonitor.getStatus(name);
                 this.#healthMonitor.setStatus(name, 'unhealthy');
+                this.#failoverRouter.recordCheck(name, 'unhealthy');
+                const report = {
+                    name,
+                    status: 'unhealthy',
+                    previous,
+                    passed: false,
+                    durationMs: performance.now() - start,
+                    error: err,
+                };
+                results.set(name, report);
 
                 if (previousStatus !== 'unhealthy') {
                     this.emit('health:changed', {
                         name,
                         previous: previousStatus,
                         current: 'unhealthy',
+                        durationMs: report.durationMs,
                         timestamp,
                     });
                 }
+                this.#recordHistory(report, timestamp, source);
+                this.emit('health:check', { ...report, timestamp });
 
-                this.emit('error', {
-                    name,
-                    error: err,
-                    context: 'health-check',
-                    message: err.message,
-                    timestamp
-                });
+                this.#emitError(name, err, 'health-check');
             }
         });
 
         // Wait for all checks to complete (don't fail if one fails)
         await Promise.allSettled(checks);
+
+        // Failover policy streaks and timers may change routing without a status change
+        this.#failoverCache.clear();
+
+        return results;
+    }
+
+    /**
+     * Add a health check report to the health history of its connection.
+     * @param {HealthCheckReport} report - Check report
+     * @param {number} timestamp - Check timestamp
+     * @param {HealthSource} source - What ran the check
+     * @private
+     */
+    #recordHistory(report, timestamp, source) {
+        const { name, status, passed, durationMs, error } = report;
+        this.#healthMonitor.recordHistory(name, {
+            timestamp,
+            status,
+            passed,
+            durationMs,
+            ...(error !== undefined && { error: error instanceof Error ? error.message : String(error) }),
+            source,
+        });
     }
 }
@@ -0,0 +1,236 @@
+/**
+ * Pool Router - Spreads traffic for a logical name over several member connections
+ * @module omni-db/pool-router
+ */
+
+/**
+ * @typedef {'healthy' | 'degraded' | 'unhealthy'} HealthStatus
+ */
+
+/**
+ * @typedef {Object} PoolContext
+ * @property {(name: string) => boolean} isUsable - Whether a member can take traffic
+ * @property {(name: string) => HealthStatus | undefined} getStatus - Health status of a member
+ * @property {(name: string) => number} getInFlight - Operations currently running on a member
+ * @property {(name: string) => number | undefined} getLatency - Average operation latency of a member in ms
+ */
+
+/**
+ * @callback PoolStrategy
+ * @param {string[]} candidates - Usable members, in configured order
+ * @param {PoolStrategyContext} context - Pool state and member stats
+ * @returns {string} The selected member
+ */
+
+/**
+ * @typedef {PoolContext & { pool: string, weights: Record<string, number>, cursor: number }} PoolStrategyContext
+ */
+
+/**
+ * @typedef {Object} PoolConfig
+ * @property {string[]} members - Member connection names
+ * @property {'round-robin' | 'weighted' | 'random' | 'least-in-flight' | 'lowest-latency' | PoolStrategy} [strategy='round-robin']
+ *   - Load-balancing strategy
+ * @property {Record<string, number>} [weights] - Member weights for the 'weighted' strategy (default 1)
+ */
+
+/**
+ * Pick the candidate with the lowest value, ties go to the first one.
+ * @param {string[]} candidates - Candidate members
+ * @param {(name: string) => number} valueOf - Value to minimize
+ * @returns {string} The selected member
+ */
+function pickLowest(candidates, valueOf) {
+    let best = candidates[0];
+    let bestValue = valueOf(best);
+    for (const candidate of candidates.slice(1)) {
+        const value = valueOf(candidate);
+        if (value < bestValue) {
+            best = candidate;
+            bestValue = value;
+        }
+    }
+    return best;
+}
+
+/**
+ * Built-in load-balancing strategies.
+ * @type {Record<string, PoolStrategy>}
+ */
+const STRATEGIES = {
+    'round-robin': (candidates, { cursor }) => candidates[cursor % candidates.length],
+
+    weighted: (candidates, { weights }) => {
+        const total = candidates.reduce((sum, name) => sum + (weights[name] ?? 1), 0);
+        let point = Math.random() * total;
+        // The last candidate takes whatever is left, including rounding errors
+        for (const name of candidates.slice(0, -1)) {
+            point -= weights[name] ?? 1;
+            if (point < 0) {
+                return name;
+            }
+        }
+        return candidates[candidates.length - 1];
+    },
+
+    random: (candidates) => candidates[Math.floor(Math.random() * candidates.length)],
+
+    'least-in-flight': (candidates, { getInFlight }) => pickLowest(candidates, getInFlight),
+
+    // Members without measurements count as fastest so they get tried
+    'lowest-latency': (candidates, { getLatency }) =>
+        pickLowest(candidates, (name) => getLatency(name) ?? 0),
+};
+
+/**
+ * Resolves logical pool names to one of many member connections.
+ */
+export class PoolRouter {
+    /** @type {Map<string, { members: string[], strategy: PoolStrategy, weights: Record<string, number>, cursor: number }>} */
+    #pools = new Map();
+
+    /**
+     * Create a new PoolRouter.
+     * @param {Record<string, PoolConfig | string[]>} [poolConfig={}] - Pools by name
+     * @throws {Error} If a pool definition is invalid
+     */
+    constructor(poolConfig = {}) {
+        for (const [name, definition] of Object.entries(poolConfig)) {
+            this.setPool(name, definition);
+        }
+    }
+
+    /**
+     * Add or replace a pool.
+     * @param {string} name - Pool name
+     * @param {PoolConfig | string[]} definition - Pool definition, or just its members
+     * @throws {Error} If members is not an array
+     * @throws {Error} If the strategy is unknown
+     * @throws {Error} If a weight is not a positive number
+     */
+    setPool(name, definition) {
+        const config = Array.isArray(definition) ? { members: definition } : definition ?? {};
+        const { members, strategy = 'round-robin', weights = {} } = config;
+
+        if (!Array.isArray(members)) {
+            throw new Error(`Invalid pool configuration: members for "${name}" must be an array`);
+        }
+
+        const strategyFn = typeof strategy === 'function' ? strategy : STRATEGIES[strategy];
+        if (!strategyFn) {
+            throw new Error(
+                `Invalid pool configuration: unknown strategy "${strategy}" for "${name}". ` +
+                `Available: ${Object.keys(STRATEGIES).join(', ')}`
+            );
+        }
+
+        for (const [member, weight] of Object.entries(weights)) {
+            if (typeof weight !== 'number' || !(weight > 0)) {
+                throw new Error(
+                    `Invalid pool configuration: weight for "${member}" in "${name}" must be a positive number`
+                );
+            }
+        }
+
+        this.#pools.set(name, { members: [...members], strategy: strategyFn, weights: { ...weights }, cursor: 0 });
+    }
+
+    /**
+     * Remove a pool.
+     * @param {string} name - Pool name
+     * @returns {boolean} True if the pool was removed
+     */
+    removePool(name) {
+        return this.#pools.delete(name);
+    }
+
+    /**
+     * Append a member to a pool, creating the pool if needed.
+     * @param {string} name - Pool name
+     * @param {string} member - Member connection name
+     */
+    addMember(name, member) {
+        if (!this.#pools.has(name)) {
+            this.setPool(name, [member]);
+            return;
+        }
+        this.#pools.get(name).members.push(member);
+    }
+
+    /**
+     * Remove a member from every pool.
+     * @param {string} member - Member connection name
+     */
+    removeMember(member) {
+        for (const pool of this.#pools.values()) {
+            pool.members = pool.members.filter((name) => name !== member);
+        }
+    }
+
+    /**
+     * Check if a pool exists.
+     * @param {string} name - Pool name
+     * @returns {boolean} True if the pool exists
+     */
+    has(name) {
+        return this.#pools.has(name);
+    }
+
+    /**
+     * Get the members of a pool.
+     * @param {string} name - Pool name
+     * @returns {string[]} Member names, or an empty array if not found
+     */
+    getMembers(name) {
+        return [...(this.#pools.get(name)?.members ?? [])];
+    }
+
+    /**
+     * Select a member to route to.
+     * Members that are not usable are skipped; healthy members are preferred
+     * over degraded ones before the strategy is applied.
+     * @param {string} name - Pool name
+     * @param {PoolContext} context - Member health and load accessors
+     * @returns {string | undefined} Selected member, or undefined if none is usable
+     * @throws {Error} If a custom strategy returns a member that is not a candidate
+     */
+    select(name, context) {
+        const pool = this.#pools.get(name);
+        if (!pool) {
+            return undefined;
+        }
+
+        const usable = pool.members.filter((member) => context.isUsable(member));
+        if (usable.length === 0) {
+            return undefined;
+        }
+
+        const healthy = usable.filter((member) => context.getStatus(member) === 'healthy');
+        const candidates = healthy.length > 0 ? healthy : usable;
+
+        const selected = pool.strategy(candidates, {
+            ...context,
+            pool: name,
+            weights: pool.weights,
+            cursor: pool.cursor++,
+        });
+
+        if (!candidates.includes(selected)) {
+            throw new Error(`Strategy for pool "${name}" returned "${selected}", which is not an available member`);
+        }
+
+        return selected;
+    }
+
+    /**
+     * Get all pools and their members.
+     * @returns {Record<string, string[]>} Object mapping pool names to members
+     */
+    getMappings() {
+        const mappings = {};
+        for (const [name, pool] of this.#pools) {
+            mappings[name] = [...pool.members];
+        }
+        return mappings;
+    }
+}
@@ -3,38 +3,236 @@
  * @module omni-db/registry
  */
 
+/**
+ * @typedef {() => unknown | Promise<unknown>} ConnectionFactory
+ */
+
+/**
+ * @typedef {Object} ConnectionMeta
+ * @property {string[]} [tags] - Tags used to address connections as groups
+ * @property {Record<string, unknown>} [metadata] - Arbitrary user data
+ */
+
+/**
+ * @typedef {Object} RegistryEntry
+ * @property {unknown} [client] - The client instance, once available
+ * @property {ConnectionFactory} [factory] - Factory for lazily created clients
+ * @property {Promise<unknown> | null} [pending] - In-flight factory call
+ * @property {number} [generation] - Incremented by reset() to invalidate in-flight factory calls
+ * @property {string[]} tags - Connection tags
+ * @property {Record<string, unknown>} metadata - Connection metadata
+ */
+
+/**
+ * @typedef {Object} RegistryOptions
+ * @property {(name: string, client: unknown) => unknown | Promise<unknown>} [discard] - Called with
+ *   clients whose factory finished after the connection was removed or reset, so they can be closed
+ */
+
+/**
+ * Validate a connection name.
+ * @param {string} name - Connection name
+ * @throws {Error} If name is empty or not a string
+ */
+function validateName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Connection name must be a non-empty string');
+    }
+}
+
+/**
+ * Validate and copy connection tags and metadata.
+ * @param {ConnectionMeta} meta - Tags and metadata
+ * @returns {{ tags: string[], metadata: Record<string, unknown> }}
+ * @throws {Error} If tags is not an array of non-empty strings
+ * @throws {Error} If metadata is not an object
+ */
+function normalizeMeta({ tags = [], metadata = {} }) {
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string' || tag.trim() === '')) {
+        throw new Error('Tags must be an array of non-empty strings');
+    }
+    if (metadata === null || typeof metadata !== 'object') {
+        throw new Error('Metadata must be an object');
+    }
+    return { tags: [...new Set(tags)], metadata: { ...metadata } };
+}
+
 /**
  * Registry for storing and retrieving named database connections.
  * Uses a Map internally for O(1) lookup performance.
  */
 export class Registry {
-    /** @type {Map<string, unknown>} */
+    /** @type {Map<string, RegistryEntry>} */
     #connections = new Map();
 
+    /** @type {(name: string, client: unknown) => unknown | Promise<unknown>} */
+    #discard;
+
+    /**
+     * Create a registry.
+     * @param {RegistryOptions} [options={}] - Registry options
+     */
+    constructor(options = {}) {
+        this.#discard = options.discard ?? (() => { });
+    }
+
     /**
      * Register a connection with a unique name.
      * @param {string} name - Unique identifier for the connection
      * @param {unknown} client - The database client instance
+     * @param {ConnectionMeta} [meta={}] - Tags and metadata
      * @throws {Error} If name is empty or not a string
      * @throws {Error} If client is null or undefined
+     * @throws {Error} If tags or metadata are invalid
      */
-    register(name, client) {
-        if (typeof name !== 'string' || name.trim() === '') {
-            throw new Error('Connection name must be a non-empty string');
-        }
+    register(name, client, meta = {}) {
+        validateName(name);
         if (client === null || client === undefined) {
             throw new Error('Client cannot be null or undefined');
         }
-        this.#connections.set(name, client);
+        this.#connections.set(name, { client, ...normalizeMeta(meta) });
+    }
+
+    /**
+     * Register a lazily created connection.
+     * The factory is called on the first resolve() and its result is cached.
+     * @param {string} name - Unique identifier for the connection
+     * @param {ConnectionFactory} factory - Function returning the client (or a promise of it)
+     * @param {ConnectionMeta} [meta={}] - Tags and metadata
+     * @throws {Error} If name is empty or not a string
+     * @throws {Error} If factory is not a function
+     * @throws {Error} If tags or metadata are invalid
+     */
+    registerFactory(name, factory, meta = {}) {
+        validateName(name);
+        if (typeof factory !== 'function') {
+            throw new Error('Factory must be a function');
+        }
+        this.#connections.set(name, { factory, pending: null, generation: 0, ...normalizeMeta(meta) });
     }
 
     /**
      * Retrieve a connection by name.
+     * Lazy connections return undefined until resolved.
      * @param {string} name - The connection name
      * @returns {unknown | undefined} The client instance, or undefined if not found
      */
     get(name) {
-        return this.#connections.get(name);
+        return this.#connections.get(name)?.client;
+    }
+
+    /**
+     * Retrieve a connection by name, calling its factory if needed.
+     * Concurrent calls share a single factory invocation. A failed factory
+     * call is not cached, so the next resolve() retries it.
+     *
+     * If the connection is removed or reset while the factory is pending, the
+     * new client is handed to the `discard` option instead of being cached.
+     * @param {string} name - The connection name
+     * @returns {Promise<unknown | undefined>} The client instance, or undefined if not found
+     * @throws {Error} If the factory throws or returns null/undefined
+     * @throws {Error} If the connection was removed or reset while the factory was pending
+     */
+    async resolve(name) {
+        const entry = this.#connections.get(name);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.client !== undefined) {
+            return entry.client;
+        }
+
+        if (!entry.pending) {
+            const { generation } = entry;
+            entry.pending = (async () => {
+                try {
+                    const client = await entry.factory();
+                    if (client === null || client === undefined) {
+                        throw new Error(`Factory for "${name}" returned no client`);
+                    }
+                    if (this.#connections.get(name) !== entry || entry.generation !== generation) {
+                        await this.#discard(name, client);
+                        throw new Error(`Connection "${name}" was removed or reset while its factory was pending`);
+                    }
+                    entry.client = client;
+                    return client;
+                } finally {
+                    // A reset() may already have started a new factory call
+                    if (entry.generation === generation) {
+                        entry.pending = null;
+                    }
+                }
+            })();
+        }
+
+        return entry.pending;
+    }
+
+    /**
+     * Check if a connection has a client instance available.
+     * Always true for connections registered with a client.
+     * @param {string} name - The connection name
+     * @returns {boolean} True if the client is available
+     */
+    isResolved(name) {
+        return this.#connections.get(name)?.client !== undefined;
+    }
+
+    /**
+     * Check if a connection was registered with a factory.
+     * @param {string} name - The connection name
+     * @returns {boolean} True if the connection is lazy
+     */
+    isLazy(name) {
+        return typeof this.#connections.get(name)?.factory === 'function';
+    }
+
+    /**
+     * Drop the cached client of a lazy connection so the next resolve()
+     * calls the factory again. A factory call in flight is invalidated.
+     * Has no effect on eager connections.
+     * @param {string} name - The connection name
+     */
+    reset(name) {
+        const entry = this.#connections.get(name);
+        if (entry?.factory) {
+            entry.client = undefined;
+            entry.pending = null;
+            entry.generation++;
+        }
+    }
+
+    /**
+     * Get the tags of a connection.
+     * @param {string} name - The connection name
+     * @returns {string[]} Tags, or an empty array if not found
+     */
+    getTags(name) {
+        return [...(this.#connections.get(name)?.tags ?? [])];
+    }
+
+    /**
+     * Get the metadata of a connection.
+     * @param {string} name - The connection name
+     * @returns {Record<string, unknown> | undefined} Metadata, or undefined if not found
+     */
+    getMetadata(name) {
+        return this.#connections.get(name)?.metadata;
+    }
+
+    /**
+     * Get the names of all connections carrying a tag.
+     * @param {string} tag - Tag to match
+     * @returns {string[]} Connection names in registration order
+     */
+    listByTag(tag) {
+        const names = [];
+        for (const [name, entry] of this.#connections) {
+            if (entry.tags.includes(tag)) {
+                names.push(name);
+            }
+        }
+        return names;
     }
 
     /**
@@ -80,9 +278,12 @@ export class Registry {
 
     /**
      * Iterate over all connections.
+     * Lazy connections that have not been resolved yield an undefined client.
      * @returns {IterableIterator<[string, unknown]>} Iterator of [name, client] pairs
      */
-    entries() {
-        return this.#connections.entries();
+    *entries() {
+        for (const [name, entry] of this.#connections) {
+            yield [name, entry.client];
+        }
     }
 }
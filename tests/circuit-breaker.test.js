@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { CircuitBreaker } from '../src/circuit-breaker.js';
+import { CircuitBreaker, createErrorFilter } from '../src/circuit-breaker.js';
 
 describe('CircuitBreaker', () => {
     let circuit;
@@ -273,4 +273,489 @@ describe('CircuitBreaker', () => {
             vi.useRealTimers();
         });
     });
+
+    describe('failure-rate mode', () => {
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        /**
+         * Record a sequence of outcomes: 'x' is a failure, '.' a success.
+         */
+        function record(circuit, pattern) {
+            for (const outcome of pattern) {
+                if (outcome === 'x') circuit.failure();
+                else circuit.success();
+            }
+        }
+
+        it('should open when the failure rate over the window is reached', () => {
+            const circuit = new CircuitBreaker({ mode: 'rate', failureRate: 0.5, minimumRequests: 5, windowSize: 10 });
+
+            // Alternating failures never reach a consecutive threshold
+            record(circuit, 'x.x..');
+            expect(circuit.state).toBe('closed');
+            expect(circuit.failures).toBe(2);
+            expect(circuit.failureRate).toBe(0.4);
+
+            expect(circuit.failure()).toBe(true);
+            expect(circuit.state).toBe('open');
+        });
+
+        it('should open when a success completes minimumRequests at the failure rate', () => {
+            const circuit = new CircuitBreaker({ mode: 'rate', failureRate: 0.4, minimumRequests: 10, windowSize: 10 });
+
+            record(circuit, 'xxxx.....');
+            expect(circuit.state).toBe('closed');
+
+            expect(circuit.success()).toBe(true);
+            expect(circuit.state).toBe('open');
+            expect(circuit.failureRate).toBe(0.4);
+        });
+
+        it('should open when an ignored error completes minimumRequests at the failure rate', () => {
+            const circuit = new CircuitBreaker({
+                mode: 'rate', failureRate: 0.5, minimumRequests: 2, ignoreErrors: ['23505'],
+            });
+
+            circuit.failure();
+            expect(circuit.failure(Object.assign(new Error('duplicate'), { code: '23505' }))).toBe(true);
+            expect(circuit.state).toBe('open');
+        });
+
+        it('should not judge the rate below minimumRequests', () => {
+            const circuit = new CircuitBreaker({ mode: 'rate', minimumRequests: 5 });
+
+            record(circuit, 'xxxx');
+            expect(circuit.state).toBe('closed');
+            expect(circuit.failureRate).toBe(1);
+
+            circuit.failure();
+            expect(circuit.state).toBe('open');
+        });
+
+        it('should only count the last windowSize calls', () => {
+            const circuit = new CircuitBreaker({ mode: 'rate', failureRate: 0.5, minimumRequests: 4, windowSize: 4 });
+
+            record(circuit, 'x...');
+            expect(circuit.failureRate).toBe(0.25);
+
+            // The first failure slides out of the window
+            record(circuit, '.x');
+            expect(circuit.failures).toBe(1);
+            expect(circuit.state).toBe('closed');
+
+            circuit.failure();
+            expect(circuit.state).toBe('open');
+        });
+
+        it('should count calls within a time window', () => {
+            vi.useFakeTimers({ toFake: ['performance'] });
+            const circuit = new CircuitBreaker({ mode: 'rate', minimumRequests: 2, windowDuration: '10s' });
+
+            circuit.failure();
+            vi.advanceTimersByTime(10000);
+            expect(circuit.failures).toBe(0);
+            expect(circuit.failureRate).toBe(0);
+
+            record(circuit, 'x.');
+            vi.advanceTimersByTime(5000);
+            circuit.success();
+            expect(circuit.failureRate).toBeCloseTo(1 / 3);
+
+            circuit.failure();
+            expect(circuit.state).toBe('open');
+        });
+
+        it('should start a fresh window after closing from half-open', () => {
+            vi.useFakeTimers({ toFake: ['performance'] });
+            const circuit = new CircuitBreaker({ mode: 'rate', minimumRequests: 2, resetTimeout: 1000, halfOpenSuccesses: 1 });
+
+            record(circuit, 'xx');
+            expect(circuit.state).toBe('open');
+
+            vi.advanceTimersByTime(1000);
+            expect(circuit.state).toBe('half-open');
+            circuit.success();
+
+            expect(circuit.state).toBe('closed');
+            expect(circuit.failures).toBe(0);
+            circuit.failure();
+            expect(circuit.state).toBe('closed');
+        });
+
+        it('should re-open on a failed half-open call', () => {
+            vi.useFakeTimers({ toFake: ['performance'] });
+            const circuit = new CircuitBreaker({ mode: 'rate', minimumRequests: 2, resetTimeout: 1000 });
+
+            record(circuit, 'xx');
+            vi.advanceTimersByTime(1000);
+
+            expect(circuit.failure()).toBe(true);
+            expect(circuit.state).toBe('open');
+        });
+
+        it('should clear the window on reset', () => {
+            const circuit = new CircuitBreaker({ mode: 'rate', minimumRequests: 2 });
+
+            circuit.failure();
+            circuit.reset();
+
+            expect(circuit.failures).toBe(0);
+            circuit.failure();
+            expect(circuit.state).toBe('closed');
+        });
+
+        it('should report a zero failureRate in consecutive mode', () => {
+            const circuit = new CircuitBreaker({ threshold: 3 });
+
+            circuit.failure();
+
+            expect(circuit.failures).toBe(1);
+            expect(circuit.failureRate).toBe(0);
+        });
+
+        it.each([
+            [{ mode: 'percentage' }, "mode must be 'consecutive' or 'rate'"],
+            [{ failureRate: 0 }, 'failureRate must be a number between 0 (exclusive) and 1'],
+            [{ failureRate: 1.5 }, 'failureRate must be a number between 0 (exclusive) and 1'],
+            [{ failureRate: '50%' }, 'failureRate must be a number between 0 (exclusive) and 1'],
+            [{ minimumRequests: 0 }, 'minimumRequests must be a positive number (>= 1)'],
+            [{ minimumRequests: '5' }, 'minimumRequests must be a positive number (>= 1)'],
+            [{ windowSize: 0 }, 'windowSize must be a positive number (>= 1)'],
+            [{ windowSize: '20' }, 'windowSize must be a positive number (>= 1)'],
+            [{ windowDuration: 0 }, 'windowDuration must be a positive number or duration string'],
+            [{ windowDuration: null }, 'windowDuration must be a positive number or duration string'],
+            [{ windowSize: 10, windowDuration: '10s' }, 'windowSize and windowDuration cannot be combined'],
+            [{ minimumRequests: 30, windowSize: 20 }, 'minimumRequests must not exceed windowSize'],
+        ])('should reject invalid rate settings %o', (config, message) => {
+            expect(() => new CircuitBreaker({ mode: 'rate', ...config })).toThrow(message);
+        });
+
+        it('should cap the default minimumRequests at windowSize', () => {
+            const circuit = new CircuitBreaker({ mode: 'rate', windowSize: 5 });
+
+            record(circuit, 'xxxx');
+            expect(circuit.state).toBe('closed');
+
+            circuit.failure();
+            expect(circuit.state).toBe('open');
+        });
+
+        it('should ignore rate options in consecutive mode', () => {
+            expect(() => new CircuitBreaker({ windowSize: 5 })).not.toThrow();
+            expect(() => new CircuitBreaker({ minimumRequests: 30, windowSize: 20 })).not.toThrow();
+        });
+
+        it('should accept numeric windowDuration and large minimumRequests with a time window', () => {
+            expect(() => new CircuitBreaker({ mode: 'rate', windowDuration: 5000, minimumRequests: 100 })).not.toThrow();
+        });
+    });
+
+    describe('reset timeout backoff', () => {
+        beforeEach(() => {
+            vi.useFakeTimers({ toFake: ['performance'] });
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+            vi.restoreAllMocks();
+        });
+
+        /**
+         * Wait for half-open and fail the trial call.
+         */
+        function failTrial(circuit) {
+            vi.advanceTimersByTime(circuit.openDuration);
+            expect(circuit.state).toBe('half-open');
+            circuit.failure();
+        }
+
+        it('should grow the open duration on consecutive re-opens', () => {
+            const circuit = new CircuitBreaker({ threshold: 1, resetTimeout: 1000, backoffMultiplier: 2 });
+
+            circuit.failure();
+            expect(circuit.openDuration).toBe(1000);
+
+            failTrial(circuit);
+            expect(circuit.openDuration).toBe(2000);
+            failTrial(circuit);
+            expect(circuit.openDuration).toBe(4000);
+
+            vi.advanceTimersByTime(3999);
+            expect(circuit.state).toBe('open');
+            vi.advanceTimersByTime(1);
+            expect(circuit.state).toBe('half-open');
+        });
+
+        it('should cap the open duration at maxResetTimeout', () => {
+            const circuit = new CircuitBreaker({
+                threshold: 1, resetTimeout: 1000, backoffMultiplier: 3, maxResetTimeout: '5s',
+            });
+
+            circuit.failure();
+            failTrial(circuit);
+            failTrial(circuit);
+
+            expect(circuit.openDuration).toBe(5000);
+        });
+
+        it('should go back to resetTimeout once the circuit closes', () => {
+            const circuit = new CircuitBreaker({
+                threshold: 1, resetTimeout: 1000, backoffMultiplier: 2, halfOpenSuccesses: 1,
+            });
+
+            circuit.failure();
+            failTrial(circuit);
+            vi.advanceTimersByTime(2000);
+            expect(circuit.state).toBe('half-open');
+            circuit.success();
+
+            expect(circuit.state).toBe('closed');
+            expect(circuit.openDuration).toBe(1000);
+            circuit.failure();
+            expect(circuit.openDuration).toBe(1000);
+        });
+
+        it('should go back to resetTimeout on reset', () => {
+            const circuit = new CircuitBreaker({ threshold: 1, resetTimeout: 1000, backoffMultiplier: 2 });
+
+            circuit.failure();
+            failTrial(circuit);
+            circuit.reset();
+
+            expect(circuit.openDuration).toBe(1000);
+        });
+
+        it('should shorten open durations by up to backoffJitter', () => {
+            vi.spyOn(Math, 'random').mockReturnValue(0.5);
+            const circuit = new CircuitBreaker({
+                threshold: 1, resetTimeout: 1000, backoffMultiplier: 2, backoffJitter: 0.2,
+            });
+
+            circuit.failure();
+            expect(circuit.openDuration).toBe(900);
+            failTrial(circuit);
+            expect(circuit.openDuration).toBe(1800);
+        });
+
+        it('should keep a fixed open duration by default', () => {
+            const circuit = new CircuitBreaker({ threshold: 1, resetTimeout: 1000 });
+
+            circuit.failure();
+            failTrial(circuit);
+            failTrial(circuit);
+
+            expect(circuit.openDuration).toBe(1000);
+        });
+
+        it('should default maxResetTimeout to 5 minutes', () => {
+            const circuit = new CircuitBreaker({ threshold: 1, resetTimeout: '2m', backoffMultiplier: 2 });
+
+            circuit.failure();
+            failTrial(circuit);
+            failTrial(circuit);
+
+            expect(circuit.openDuration).toBe(300000);
+        });
+
+        it.each([
+            [{ backoffMultiplier: 0.5 }, 'backoffMultiplier must be a number >= 1'],
+            [{ backoffMultiplier: '2' }, 'backoffMultiplier must be a number >= 1'],
+            [{ backoffJitter: -0.1 }, 'backoffJitter must be a number between 0 and 1'],
+            [{ backoffJitter: 2 }, 'backoffJitter must be a number between 0 and 1'],
+            [{ backoffJitter: '0.1' }, 'backoffJitter must be a number between 0 and 1'],
+            [{ maxResetTimeout: 0 }, 'maxResetTimeout must be a positive number or duration string'],
+            [{ maxResetTimeout: -1 }, 'maxResetTimeout must be a positive number or duration string'],
+            [{ maxResetTimeout: true }, 'maxResetTimeout must be a positive number or duration string'],
+            [{ resetTimeout: '1m', maxResetTimeout: '30s' }, 'maxResetTimeout must not be less than resetTimeout'],
+        ])('should reject invalid backoff settings %o', (config, message) => {
+            expect(() => new CircuitBreaker(config)).toThrow(message);
+        });
+    });
+
+    describe('half-open concurrency limit', () => {
+        beforeEach(() => {
+            vi.useFakeTimers({ toFake: ['performance'] });
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        /**
+         * Open the circuit and wait until it is half-open.
+         */
+        function halfOpen(config) {
+            const circuit = new CircuitBreaker({ threshold: 1, resetTimeout: 1000, ...config });
+            circuit.failure();
+            vi.advanceTimersByTime(1000);
+            return circuit;
+        }
+
+        /**
+         * Start a trial call that finishes when resolved.
+         */
+        function startTrial(circuit) {
+            let finish;
+            const call = circuit.execute(() => new Promise((resolve) => { finish = resolve; }));
+            return { call, finish: (value) => finish(value) };
+        }
+
+        it('should fast-fail calls beyond halfOpenMaxConcurrent', async () => {
+            const circuit = halfOpen({ halfOpenMaxConcurrent: 1 });
+
+            const trial = startTrial(circuit);
+
+            expect(circuit.canExecute()).toBe(false);
+            expect(circuit.state).toBe('half-open');
+            await expect(circuit.execute(async () => 'second'))
+                .rejects.toThrow('Circuit breaker is HALF-OPEN: trial call limit reached');
+            expect(circuit.rejections).toBe(1);
+
+            trial.finish('first');
+            await expect(trial.call).resolves.toBe('first');
+            expect(circuit.canExecute()).toBe(true);
+        });
+
+        it('should free the slot when a trial call fails', async () => {
+            const circuit = halfOpen({ halfOpenMaxConcurrent: 1, resetTimeout: 1000 });
+
+            await expect(circuit.execute(async () => { throw new Error('fail'); })).rejects.toThrow('fail');
+            vi.advanceTimersByTime(1000);
+
+            expect(circuit.canExecute()).toBe(true);
+        });
+
+        it('should allow up to N trial calls at once', async () => {
+            const circuit = halfOpen({ halfOpenMaxConcurrent: 2, halfOpenSuccesses: 2 });
+
+            const first = startTrial(circuit);
+            const second = startTrial(circuit);
+            expect(circuit.canExecute()).toBe(false);
+
+            first.finish();
+            second.finish();
+            await Promise.all([first.call, second.call]);
+
+            expect(circuit.state).toBe('closed');
+        });
+
+        it('should not limit calls when closed', async () => {
+            const circuit = new CircuitBreaker({ halfOpenMaxConcurrent: 1 });
+
+            startTrial(circuit);
+            startTrial(circuit);
+
+            expect(circuit.canExecute()).toBe(true);
+        });
+
+        it('should allow unlimited trial calls by default', () => {
+            const circuit = halfOpen();
+
+            startTrial(circuit);
+            startTrial(circuit);
+
+            expect(circuit.canExecute()).toBe(true);
+        });
+
+        it('should count calls rejected while open', async () => {
+            const circuit = new CircuitBreaker({ threshold: 1 });
+            circuit.failure();
+
+            await expect(circuit.execute(async () => 'x')).rejects.toThrow('Circuit breaker is OPEN');
+            circuit.rejection();
+
+            expect(circuit.rejections).toBe(2);
+        });
+
+        it.each([0, '2', NaN])('should reject halfOpenMaxConcurrent %o', (value) => {
+            expect(() => new CircuitBreaker({ halfOpenMaxConcurrent: value }))
+                .toThrow('halfOpenMaxConcurrent must be a positive number (>= 1)');
+        });
+    });
+
+    describe('error classification', () => {
+        const duplicate = () => Promise.reject(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+        it('should record errors rejected by isFailure as successes', async () => {
+            const circuit = new CircuitBreaker({ threshold: 2, isFailure: (err) => err.code !== '23505' });
+
+            circuit.failure();
+            await expect(circuit.execute(duplicate)).rejects.toThrow('duplicate key');
+            circuit.failure();
+
+            expect(circuit.state).toBe('closed');
+            expect(circuit.failures).toBe(1);
+        });
+
+        it('should not count ignoreErrors', async () => {
+            const circuit = new CircuitBreaker({ threshold: 1, ignoreErrors: ['23505'] });
+
+            await expect(circuit.execute(duplicate)).rejects.toThrow('duplicate key');
+
+            expect(circuit.state).toBe('closed');
+        });
+
+        it('should classify errors passed to failure()', () => {
+            const circuit = new CircuitBreaker({ threshold: 1, ignoreErrors: [/duplicate/] });
+
+            expect(circuit.failure(new Error('duplicate key'))).toBe(false);
+            expect(circuit.state).toBe('closed');
+            expect(circuit.failure(new Error('timeout'))).toBe(true);
+        });
+
+        it('should count every error by default', () => {
+            const circuit = new CircuitBreaker();
+
+            expect(circuit.isFailure(new Error('duplicate key'))).toBe(true);
+        });
+    });
+
+    describe('createErrorFilter()', () => {
+        class ValidationError extends Error { }
+
+        it('should return undefined without options', () => {
+            expect(createErrorFilter()).toBeUndefined();
+            expect(createErrorFilter({ ignoreErrors: [] })).toBeUndefined();
+        });
+
+        it('should match error classes, codes, names and message patterns', () => {
+            const isFailure = createErrorFilter({ ignoreErrors: [ValidationError, 'ER_DUP_ENTRY', 'AbortError', /constraint/i] });
+
+            expect(isFailure(new ValidationError('bad input'))).toBe(false);
+            expect(isFailure(Object.assign(new Error('dup'), { code: 'ER_DUP_ENTRY' }))).toBe(false);
+            expect(isFailure(Object.assign(new Error('aborted'), { name: 'AbortError' }))).toBe(false);
+            expect(isFailure(new Error('CHECK CONSTRAINT failed'))).toBe(false);
+            expect(isFailure('constraint violated')).toBe(false);
+            expect(isFailure(new Error('connection refused'))).toBe(true);
+            expect(isFailure(null)).toBe(true);
+        });
+
+        it('should combine isFailure with ignoreErrors', () => {
+            const isFailure = createErrorFilter({
+                isFailure: (err) => err.message !== 'not found',
+                ignoreErrors: ['23505'],
+            });
+
+            expect(isFailure(new Error('not found'))).toBe(false);
+            expect(isFailure(Object.assign(new Error('timeout'), { code: '23505' }))).toBe(false);
+            expect(isFailure(new Error('timeout'))).toBe(true);
+        });
+
+        it('should validate the options', () => {
+            expect(() => createErrorFilter({ isFailure: 'network' })).toThrow('isFailure must be a function');
+            expect(() => createErrorFilter({ ignoreErrors: ValidationError }))
+                .toThrow('ignoreErrors must be an array of error classes, codes or message patterns');
+            expect(() => createErrorFilter({ ignoreErrors: [404] }))
+                .toThrow('ignoreErrors must be an array of error classes, codes or message patterns');
+        });
+
+        it('should reject predicates that cannot be used as error classes', () => {
+            expect(() => new CircuitBreaker({ ignoreErrors: [(err) => err.code === 'X'] }))
+                .toThrow('ignoreErrors must be an array of error classes, codes or message patterns (use isFailure for predicates)');
+            expect(() => createErrorFilter({ ignoreErrors: [Object.assign(function () {}, { prototype: null })] }))
+                .toThrow('(use isFailure for predicates)');
+        });
+    });
 });
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { FailoverRouter } from '../src/failover-router.js';
 
 describe('FailoverRouter', () => {
@@ -62,7 +62,7 @@ describe('FailoverRouter', () => {
 
             const result = router.resolve('primary', getStatus);
 
-            expect(result).toEqual({ name: 'primary', isFailover: false });
+            expect(result).toEqual({ name: 'primary', isFailover: false, depth: 0 });
         });
 
         it('should return original when no status tracking', () => {
@@ -70,7 +70,7 @@ describe('FailoverRouter', () => {
 
             const result = router.resolve('primary', getStatus);
 
-            expect(result).toEqual({ name: 'primary', isFailover: false });
+            expect(result).toEqual({ name: 'primary', isFailover: false, depth: 0 });
         });
 
         it('should return backup when primary is unhealthy', () => {
@@ -79,7 +79,7 @@ describe('FailoverRouter', () => {
 
             const result = router.resolve('primary', getStatus);
 
-            expect(result).toEqual({ name: 'backup', isFailover: true });
+            expect(result).toEqual({ name: 'backup', isFailover: true, depth: 1 });
         });
 
         it('should return original when primary is degraded', () => {
@@ -88,7 +88,7 @@ describe('FailoverRouter', () => {
 
             const result = router.resolve('primary', getStatus);
 
-            expect(result).toEqual({ name: 'primary', isFailover: false });
+            expect(result).toEqual({ name: 'primary', isFailover: false, depth: 0 });
         });
 
         it('should return original when no failover configured', () => {
@@ -96,7 +96,7 @@ describe('FailoverRouter', () => {
 
             const result = router.resolve('other', getStatus);
 
-            expect(result).toEqual({ name: 'other', isFailover: false });
+            expect(result).toEqual({ name: 'other', isFailover: false, depth: 0 });
         });
 
         it('should return original when both primary and backup are unhealthy', () => {
@@ -105,7 +105,16 @@ describe('FailoverRouter', () => {
 
             const result = router.resolve('primary', getStatus);
 
-            expect(result).toEqual({ name: 'primary', isFailover: false });
+            expect(result).toEqual({ name: 'primary', isFailover: false, depth: 0 });
+        });
+
+        it('should keep the active failover when both primary and backup are unhealthy', () => {
+            const getStatus = () => 'unhealthy';
+            router.activateFailover('primary');
+
+            const result = router.resolve('primary', getStatus);
+
+            expect(result).toEqual({ name: 'backup', isFailover: true, depth: 1 });
         });
 
         it('should use backup when backup is degraded but primary is unhealthy', () => {
@@ -114,7 +123,241 @@ describe('FailoverRouter', () => {
 
             const result = router.resolve('primary', getStatus);
 
-            expect(result).toEqual({ name: 'backup', isFailover: true });
+            expect(result).toEqual({ name: 'backup', isFailover: true, depth: 1 });
+        });
+    });
+
+    describe('resolve() with chains', () => {
+        beforeEach(() => {
+            router = new FailoverRouter({ primary: 'replica', replica: 'dr' });
+        });
+
+        it('should skip an unhealthy backup and use the next one in the chain', () => {
+            const statuses = { primary: 'unhealthy', replica: 'unhealthy', dr: 'healthy' };
+
+            const result = router.resolve('primary', (name) => statuses[name]);
+
+            expect(result).toEqual({ name: 'dr', isFailover: true, depth: 2 });
+        });
+
+        it('should stop at the first usable backup', () => {
+            const statuses = { primary: 'unhealthy', replica: 'degraded', dr: 'healthy' };
+
+            const result = router.resolve('primary', (name) => statuses[name]);
+
+            expect(result).toEqual({ name: 'replica', isFailover: true, depth: 1 });
+        });
+
+        it('should return original when the whole chain is unhealthy', () => {
+            const result = router.resolve('primary', () => 'unhealthy');
+
+            expect(result).toEqual({ name: 'primary', isFailover: false, depth: 0 });
+        });
+
+        it('should resolve intermediate connections along their own chain', () => {
+            const statuses = { replica: 'unhealthy', dr: 'healthy' };
+
+            const result = router.resolve('replica', (name) => statuses[name]);
+
+            expect(result).toEqual({ name: 'dr', isFailover: true, depth: 1 });
+        });
+    });
+
+    describe('candidate lists', () => {
+        it('should accept ordered candidate lists', () => {
+            router = new FailoverRouter({ primary: ['replica-a', 'replica-b'], main: 'secondary' });
+
+            expect(router.getCandidates('primary')).toEqual(['replica-a', 'replica-b']);
+            expect(router.getCandidates('main')).toEqual(['secondary']);
+            expect(router.getCandidates('other')).toEqual([]);
+            expect(router.getBackup('primary')).toBe('replica-a');
+        });
+
+        it('should expose candidate lists in getMappings()', () => {
+            router = new FailoverRouter({ primary: ['replica-a', 'replica-b'], main: 'secondary' });
+
+            const mappings = router.getMappings();
+            mappings.primary.push('dr');
+
+            expect(router.getMappings()).toEqual({ primary: ['replica-a', 'replica-b'], main: 'secondary' });
+        });
+
+        it('should pick the first candidate that is not unhealthy', () => {
+            router = new FailoverRouter({ primary: ['replica-a', 'replica-b', 'dr'] });
+            const statuses = { primary: 'unhealthy', 'replica-a': 'unhealthy', 'replica-b': 'degraded' };
+
+            const result = router.resolve('primary', (name) => statuses[name] ?? 'healthy');
+
+            expect(result).toEqual({ name: 'replica-b', isFailover: true, depth: 1 });
+        });
+
+        it('should try every candidate before following their chains', () => {
+            router = new FailoverRouter({ primary: ['replica-a', 'replica-b'], 'replica-a': 'dr' });
+            const statuses = { primary: 'unhealthy', 'replica-a': 'unhealthy', 'replica-b': 'healthy' };
+
+            expect(router.resolve('primary', (name) => statuses[name] ?? 'healthy'))
+                .toEqual({ name: 'replica-b', isFailover: true, depth: 1 });
+
+            statuses['replica-b'] = 'unhealthy';
+            expect(router.resolve('primary', (name) => statuses[name] ?? 'healthy'))
+                .toEqual({ name: 'dr', isFailover: true, depth: 2 });
+        });
+
+        it('should check shared candidates only once', () => {
+            router = new FailoverRouter({ primary: ['replica-a', 'dr'], 'replica-a': 'dr' });
+            const getStatus = vi.fn(() => 'unhealthy');
+
+            expect(router.resolve('primary', getStatus)).toEqual({ name: 'primary', isFailover: false, depth: 0 });
+            expect(getStatus.mock.calls.filter(([name]) => name === 'dr')).toHaveLength(1);
+        });
+
+        it('should throw on empty, duplicate or invalid candidates', () => {
+            expect(() => new FailoverRouter({ primary: [] })).toThrow(
+                'Invalid failover configuration: backups for "primary" must be a name or a non-empty array of unique names'
+            );
+            expect(() => new FailoverRouter({ primary: ['a', 'a'] })).toThrow(/non-empty array of unique names/);
+            expect(() => new FailoverRouter({ primary: ['a', 42] })).toThrow(/non-empty array of unique names/);
+        });
+
+        it('should throw if a candidate is the primary itself', () => {
+            expect(() => new FailoverRouter({ primary: ['backup', 'primary'] })).toThrow(/itself/);
+        });
+
+        it('should detect cycles through any candidate', () => {
+            expect(() => new FailoverRouter({ a: ['b', 'c'], c: ['a'] }))
+                .toThrow('Circular failover detected: a → c → a. Each connection can only appear once in the failover chain.');
+        });
+
+        it('should set candidate lists at runtime', () => {
+            router = new FailoverRouter({ primary: 'backup' });
+            router.setFailover('primary', ['dr', 'backup']);
+
+            expect(router.getMappings()).toEqual({ primary: ['dr', 'backup'] });
+            expect(() => router.setFailover('primary', [])).toThrow(/non-empty array/);
+            expect(router.getMappings()).toEqual({ primary: ['dr', 'backup'] });
+        });
+    });
+
+    describe('failover policy', () => {
+        const statuses = { primary: 'unhealthy', backup: 'healthy' };
+        const getStatus = (name) => statuses[name];
+
+        afterEach(() => {
+            vi.useRealTimers();
+            statuses.primary = 'unhealthy';
+        });
+
+        it('should validate thresholds', () => {
+            expect(() => new FailoverRouter({}, { failoverThreshold: 0 }))
+                .toThrow('failoverThreshold must be a positive integer (>= 1)');
+            expect(() => new FailoverRouter({}, { recoveryThreshold: 1.5 }))
+                .toThrow('recoveryThreshold must be a positive integer (>= 1)');
+        });
+
+        it('should validate minFailoverDuration', () => {
+            expect(() => new FailoverRouter({}, { minFailoverDuration: -1 }))
+                .toThrow('minFailoverDuration must be a non-negative number or duration string');
+            expect(() => new FailoverRouter({}, { minFailoverDuration: 'soon' })).toThrow();
+        });
+
+        it('should fail over after failoverThreshold unhealthy checks', () => {
+            router = new FailoverRouter({ primary: 'backup' }, { failoverThreshold: 2 });
+
+            router.recordCheck('primary', 'unhealthy');
+            expect(router.resolve('primary', getStatus).name).toBe('primary');
+
+            router.recordCheck('primary', 'unhealthy');
+            expect(router.resolve('primary', getStatus).name).toBe('backup');
+        });
+
+        it('should report primaries held back by failoverThreshold', () => {
+            router = new FailoverRouter({ primary: 'backup' }, { failoverThreshold: 2 });
+            expect(router.isHoldingBack('primary')).toBe(false);
+
+            router.recordCheck('primary', 'unhealthy');
+            router.recordCheck('other', 'unhealthy');
+            expect(router.isHoldingBack('primary')).toBe(true);
+            expect(router.isHoldingBack('other')).toBe(false);
+
+            router.recordCheck('primary', 'unhealthy');
+            expect(router.isHoldingBack('primary')).toBe(false);
+
+            router.recordCheck('primary', 'healthy');
+            router.recordCheck('primary', 'unhealthy');
+            router.activateFailover('primary');
+            expect(router.isHoldingBack('primary')).toBe(false);
+        });
+
+        it('should never hold back with the default failoverThreshold', () => {
+            router = new FailoverRouter({ primary: 'backup' });
+
+            router.recordCheck('primary', 'unhealthy');
+
+            expect(router.isHoldingBack('primary')).toBe(false);
+        });
+
+        it('should reset the unhealthy streak on a passing check', () => {
+            router = new FailoverRouter({ primary: 'backup' }, { failoverThreshold: 2 });
+
+            router.recordCheck('primary', 'unhealthy');
+            router.recordCheck('primary', 'degraded');
+            router.recordCheck('primary', 'unhealthy');
+
+            expect(router.resolve('primary', getStatus).name).toBe('primary');
+        });
+
+        it('should fail back after recoveryThreshold passing checks', () => {
+            router = new FailoverRouter({ primary: 'backup' }, { recoveryThreshold: 2 });
+            router.activateFailover('primary');
+            statuses.primary = 'healthy';
+
+            router.recordCheck('primary', 'healthy');
+            expect(router.resolve('primary', getStatus)).toEqual({ name: 'backup', isFailover: true, depth: 1 });
+
+            router.recordCheck('primary', 'healthy');
+            expect(router.resolve('primary', getStatus)).toEqual({ name: 'primary', isFailover: false, depth: 0 });
+        });
+
+        it('should stay in failover for minFailoverDuration', () => {
+            vi.useFakeTimers();
+            router = new FailoverRouter({ primary: 'backup' }, { minFailoverDuration: '10s' });
+            router.activateFailover('primary');
+            statuses.primary = 'healthy';
+
+            vi.advanceTimersByTime(9999);
+            expect(router.resolve('primary', getStatus).name).toBe('backup');
+            expect(router.getFailoverDuration('primary')).toBe(9999);
+
+            vi.advanceTimersByTime(1);
+            expect(router.resolve('primary', getStatus).name).toBe('primary');
+        });
+
+        it('should keep the failover start time when the target changes', () => {
+            vi.useFakeTimers();
+            router = new FailoverRouter({ primary: ['backup', 'dr'] });
+
+            router.activateFailover('primary', 'backup');
+            vi.advanceTimersByTime(500);
+            router.activateFailover('primary', 'dr');
+
+            expect(router.getActiveTarget('primary')).toBe('dr');
+            expect(router.getFailoverDuration('primary')).toBe(500);
+        });
+
+        it('should not switch on status alone when thresholds require checks', () => {
+            router = new FailoverRouter({ primary: 'backup' }, { failoverThreshold: 2, recoveryThreshold: 2 });
+
+            expect(router.resolve('primary', getStatus).name).toBe('primary');
+
+            router.activateFailover('primary');
+            statuses.primary = 'healthy';
+            expect(router.resolve('primary', getStatus).name).toBe('backup');
+        });
+
+        it('should return undefined duration when not in failover', () => {
+            router = new FailoverRouter({ primary: 'backup' });
+
+            expect(router.getFailoverDuration('primary')).toBeUndefined();
         });
     });
 
@@ -143,6 +386,21 @@ describe('FailoverRouter', () => {
             expect(router.getActiveFailovers()).toHaveLength(1);
         });
 
+        it('should track the direct backup as target by default', () => {
+            router.activateFailover('primary');
+
+            expect(router.getActiveTarget('primary')).toBe('backup');
+        });
+
+        it('should track an explicit target', () => {
+            router.activateFailover('primary', 'dr');
+
+            expect(router.getActiveTarget('primary')).toBe('dr');
+
+            router.deactivateFailover('primary');
+            expect(router.getActiveTarget('primary')).toBeUndefined();
+        });
+
         it('should be safe to deactivate when not active', () => {
             expect(() => router.deactivateFailover('primary')).not.toThrow();
         });
@@ -205,6 +463,85 @@ describe('FailoverRouter', () => {
         });
     });
 
+    describe('getRoutes()', () => {
+        it('should return candidates and the active candidate for every primary', () => {
+            router = new FailoverRouter({ primary: ['replica-a', 'replica-b'], main: 'secondary' });
+            router.activateFailover('primary', 'replica-b');
+
+            expect(router.getRoutes()).toEqual({
+                primary: { candidates: ['replica-a', 'replica-b'], active: 'replica-b' },
+                main: { candidates: ['secondary'], active: null },
+            });
+        });
+
+        it('should return copies of the candidate lists', () => {
+            router = new FailoverRouter({ primary: ['replica-a', 'replica-b'] });
+
+            router.getRoutes().primary.candidates.push('other');
+
+            expect(router.getCandidates('primary')).toEqual(['replica-a', 'replica-b']);
+        });
+
+        it('should return empty object when no mappings', () => {
+            router = new FailoverRouter();
+
+            expect(router.getRoutes()).toEqual({});
+        });
+    });
+
+    describe('setFailover()', () => {
+        it('should add a new mapping', () => {
+            router = new FailoverRouter();
+            router.setFailover('primary', 'backup');
+
+            expect(router.getBackup('primary')).toBe('backup');
+        });
+
+        it('should replace an existing mapping', () => {
+            router = new FailoverRouter({ primary: 'backup' });
+            router.setFailover('primary', 'dr');
+
+            expect(router.getBackup('primary')).toBe('dr');
+        });
+
+        it('should throw on self-reference', () => {
+            router = new FailoverRouter();
+
+            expect(() => router.setFailover('primary', 'primary')).toThrow(/itself/);
+        });
+
+        it('should reject a new mapping that creates a cycle', () => {
+            router = new FailoverRouter({ primary: 'backup' });
+
+            expect(() => router.setFailover('backup', 'primary')).toThrow(/circular/i);
+            expect(router.hasFailover('backup')).toBe(false);
+        });
+
+        it('should restore the previous mapping when replacement creates a cycle', () => {
+            router = new FailoverRouter({ a: 'b', b: 'c' });
+
+            expect(() => router.setFailover('b', 'a')).toThrow(/circular/i);
+            expect(router.getBackup('b')).toBe('c');
+        });
+    });
+
+    describe('removeFailover()', () => {
+        it('should remove mapping and active failover state', () => {
+            router = new FailoverRouter({ primary: 'backup' });
+            router.activateFailover('primary');
+
+            expect(router.removeFailover('primary')).toBe(true);
+            expect(router.hasFailover('primary')).toBe(false);
+            expect(router.isInFailover('primary')).toBe(false);
+        });
+
+        it('should return false when no mapping exists', () => {
+            router = new FailoverRouter();
+
+            expect(router.removeFailover('primary')).toBe(false);
+        });
+    });
+
     describe('circular failover detection', () => {
         it('should throw on self-referential failover (A -> A)', () => {
             expect(() => {
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi } from 'vitest';
+import { detectHealthCheck, HEALTH_CHECK_PRESETS } from '../src/health-checks.js';
+
+/**
+ * Mock clients shaped like the supported drivers.
+ */
+const clients = {
+    prisma: () => ({ $queryRaw: vi.fn().mockResolvedValue([{ 1: 1 }]), $disconnect: vi.fn() }),
+    'better-sqlite3': () => {
+        const get = vi.fn().mockReturnValue({ 1: 1 });
+        return { prepare: vi.fn(() => ({ get })), pragma: vi.fn(), close: vi.fn(), get };
+    },
+    mysql2: () => ({ query: vi.fn().mockResolvedValue([[]]), execute: vi.fn(), ping: vi.fn() }),
+    pg: () => ({ query: vi.fn().mockResolvedValue({ rows: [] }), totalCount: 0, idleCount: 0 }),
+    mongodb: () => {
+        const ping = vi.fn().mockResolvedValue({ ok: 1 });
+        return { db: vi.fn(() => ({ admin: () => ({ ping }) })), startSession: vi.fn(), ping };
+    },
+    'mongodb-db': () => {
+        const ping = vi.fn().mockResolvedValue({ ok: 1 });
+        return { admin: vi.fn(() => ({ ping })), collection: vi.fn(), ping };
+    },
+    redis: () => ({ ping: vi.fn().mockResolvedValue('PONG'), status: 'ready' }),
+};
+
+describe('detectHealthCheck()', () => {
+    it.each(Object.keys(clients))('should detect %s clients', (name) => {
+        expect(detectHealthCheck(clients[name]())?.name).toBe(name);
+    });
+
+    it('should detect pg Clients by connectionParameters', () => {
+        const client = { query: vi.fn(), connectionParameters: {} };
+
+        expect(detectHealthCheck(client).name).toBe('pg');
+    });
+
+    it('should detect node-redis clients by isOpen', () => {
+        const client = { ping: vi.fn(), isOpen: true };
+
+        expect(detectHealthCheck(client).name).toBe('redis');
+    });
+
+    it('should return undefined for unrecognized clients', () => {
+        expect(detectHealthCheck({})).toBeUndefined();
+        expect(detectHealthCheck({ query: vi.fn() })).toBeUndefined();
+        expect(detectHealthCheck({ ping: vi.fn() })).toBeUndefined();
+        expect(detectHealthCheck(null)).toBeUndefined();
+        expect(detectHealthCheck('client')).toBeUndefined();
+    });
+
+    it('should list the presets in detection order', () => {
+        expect(HEALTH_CHECK_PRESETS.map((preset) => preset.name)).toEqual([
+            'prisma',
+            'better-sqlite3',
+            'mysql2',
+            'pg',
+            'mongodb',
+            'mongodb-db',
+            'redis',
+        ]);
+    });
+});
+
+describe('HEALTH_CHECK_PRESETS checks', () => {
+    const run = (client) => detectHealthCheck(client).check(client, { signal: new AbortController().signal });
+
+    it('should run SELECT 1 through Prisma $queryRaw', async () => {
+        const client = clients.prisma();
+
+        expect(await run(client)).toBe(true);
+        expect(client.$queryRaw.mock.calls[0][0]).toEqual(['SELECT 1']);
+    });
+
+    it('should run SELECT 1 through better-sqlite3', async () => {
+        const client = clients['better-sqlite3']();
+
+        expect(await run(client)).toBe(true);
+        expect(client.prepare).toHaveBeenCalledWith('SELECT 1');
+        expect(client.get).toHaveBeenCalled();
+    });
+
+    it('should run SELECT 1 through mysql2', async () => {
+        const client = clients.mysql2();
+
+        expect(await run(client)).toBe(true);
+        expect(client.query).toHaveBeenCalledWith('SELECT 1');
+    });
+
+    it('should use the promise API of callback-style mysql2 clients', async () => {
+        const promiseClient = { query: vi.fn().mockResolvedValue([[]]) };
+        const client = { query: vi.fn(), execute: vi.fn(), promise: () => promiseClient };
+
+        expect(await run(client)).toBe(true);
+        expect(promiseClient.query).toHaveBeenCalledWith('SELECT 1');
+        expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('should run SELECT 1 through pg', async () => {
+        const client = clients.pg();
+
+        expect(await run(client)).toBe(true);
+        expect(client.query).toHaveBeenCalledWith('SELECT 1');
+    });
+
+    it('should ping the admin database of MongoDB clients', async () => {
+        const client = clients.mongodb();
+
+        expect(await run(client)).toBe(true);
+        expect(client.ping).toHaveBeenCalled();
+    });
+
+    it('should ping through MongoDB Db instances', async () => {
+        const client = clients['mongodb-db']();
+
+        expect(await run(client)).toBe(true);
+        expect(client.ping).toHaveBeenCalled();
+    });
+
+    it('should PING redis clients', async () => {
+        const client = clients.redis();
+
+        expect(await run(client)).toBe(true);
+
+        client.ping.mockResolvedValue('LOADING');
+        expect(await run(client)).toBe(false);
+    });
+
+    it('should propagate driver errors', async () => {
+        const client = clients.pg();
+        client.query.mockRejectedValue(new Error('connection refused'));
+
+        await expect(run(client)).rejects.toThrow('connection refused');
+    });
+});
@@ -70,6 +70,15 @@ describe('HealthMonitor', () => {
             expect(custom.interval).toBe(60000);
             expect(custom.timeout).toBe(10000);
         });
+
+        it('should throw for invalid thresholds', () => {
+            expect(() => new HealthMonitor({ unhealthyThreshold: 0 }))
+                .toThrow('unhealthyThreshold must be a positive integer (>= 1)');
+            expect(() => new HealthMonitor({ healthyThreshold: 2.5 }))
+                .toThrow('healthyThreshold must be a positive integer (>= 1)');
+            expect(() => new HealthMonitor({ latencyWindow: 0 }))
+                .toThrow('latencyWindow must be a positive integer (>= 1)');
+        });
     });
 
     describe('register()', () => {
@@ -152,6 +161,61 @@ describe('HealthMonitor', () => {
         });
     });
 
+    describe('record()', () => {
+        it('should apply results directly with default thresholds', () => {
+            monitor.register('db1');
+
+            expect(monitor.record('db1', 'unhealthy')).toBe('unhealthy');
+            monitor.setStatus('db1', 'unhealthy');
+            expect(monitor.record('db1', 'degraded')).toBe('degraded');
+        });
+
+        it('should become unhealthy after unhealthyThreshold consecutive failures', () => {
+            const m = new HealthMonitor({ unhealthyThreshold: 3 });
+            m.register('db1');
+            m.setStatus('db1', 'degraded');
+
+            expect(m.record('db1', 'unhealthy')).toBe('degraded');
+            expect(m.record('db1', 'unhealthy')).toBe('degraded');
+            expect(m.record('db1', 'unhealthy')).toBe('unhealthy');
+        });
+
+        it('should reset the failure streak on a passing check', () => {
+            const m = new HealthMonitor({ unhealthyThreshold: 2 });
+            m.register('db1');
+
+            m.record('db1', 'unhealthy');
+            m.record('db1', 'healthy');
+
+            expect(m.record('db1', 'unhealthy')).toBe('healthy');
+            expect(m.getStreak('db1')).toEqual({ failures: 1, successes: 0 });
+        });
+
+        it('should recover after healthyThreshold consecutive passing checks', () => {
+            const m = new HealthMonitor({ healthyThreshold: 2 });
+            m.register('db1');
+            m.setStatus('db1', 'unhealthy');
+
+            expect(m.record('db1', 'healthy')).toBe('unhealthy');
+            expect(m.getStreak('db1')).toEqual({ failures: 0, successes: 1 });
+            expect(m.record('db1', 'degraded')).toBe('degraded');
+        });
+
+        it('should pass results through for unregistered connections', () => {
+            expect(monitor.record('nonexistent', 'unhealthy')).toBe('unhealthy');
+            expect(monitor.getStreak('nonexistent')).toBeUndefined();
+        });
+
+        it('should reset streaks when re-registered', () => {
+            monitor.register('db1');
+            monitor.record('db1', 'unhealthy');
+            monitor.unregister('db1');
+            monitor.register('db1');
+
+            expect(monitor.getStreak('db1')).toEqual({ failures: 0, successes: 0 });
+        });
+    });
+
     describe('check()', () => {
         it('should return healthy when no check function registered', async () => {
             monitor.register('db1');
@@ -388,6 +452,480 @@ describe('HealthMonitor', () => {
         });
     });
 
+    describe('per-connection settings', () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should accept an object with fn, interval, timeout and retry', () => {
+            const m = new HealthMonitor({ interval: '30s', timeout: '5s' });
+            m.register('cache', { fn: async () => true, interval: '5s', timeout: '1s' });
+            m.register('main', async () => true);
+
+            expect(m.getInterval('cache')).toBe(5000);
+            expect(m.getTimeout('cache')).toBe(1000);
+            expect(m.getInterval('main')).toBe(30000);
+            expect(m.getTimeout('main')).toBe(5000);
+        });
+
+        it('should treat a config without fn as healthy', async () => {
+            monitor.register('db1', { interval: '5s' });
+
+            expect(await monitor.check('db1', {})).toEqual({ status: 'healthy', durationMs: 0 });
+        });
+
+        it('should throw for invalid check configs', () => {
+            expect(() => monitor.register('db1', { fn: 'ping' })).toThrow(
+                'Health check for "db1" must be a function or an object with an fn function'
+            );
+            expect(() => monitor.register('db1', 'ping')).toThrow(/must be a function or an object/);
+            expect(() => monitor.register('db1', { fn: async () => true, interval: 'soon' }))
+                .toThrow(/Invalid duration format/);
+        });
+
+        it('should use the connection timeout', async () => {
+            const m = new HealthMonitor({ timeout: '10s' });
+            m.register('slow', { fn: () => new Promise(() => {}), timeout: '100ms' });
+
+            const pending = m.check('slow', {});
+            await vi.advanceTimersByTimeAsync(100);
+
+            const result = await pending;
+            expect(result.status).toBe('unhealthy');
+            expect(result.error.message).toBe('Health check timeout');
+        });
+
+        it('should use the connection retry config', async () => {
+            const fn = vi.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+            monitor.register('db1', { fn, retry: { retries: 1, delay: '50ms' } });
+
+            const pending = monitor.check('db1', {});
+            await vi.advanceTimersByTimeAsync(50);
+
+            expect((await pending).status).toBe('healthy');
+            expect(fn).toHaveBeenCalledTimes(2);
+        });
+
+        it('should schedule connections with their own interval independently', async () => {
+            const checkFn = vi.fn();
+            const m = new HealthMonitor({ interval: '1m' });
+            m.register('main');
+            m.register('cache', { fn: async () => true, interval: '5s' });
+
+            m.start(checkFn);
+            await vi.advanceTimersByTimeAsync(10000);
+
+            expect(checkFn).toHaveBeenCalledTimes(2);
+            expect(checkFn).toHaveBeenCalledWith(['cache']);
+
+            await vi.advanceTimersByTimeAsync(50000);
+            expect(checkFn).toHaveBeenCalledWith(['main']);
+            expect(checkFn).toHaveBeenCalledTimes(13);
+
+            m.stop();
+            await vi.advanceTimersByTimeAsync(60000);
+            expect(checkFn).toHaveBeenCalledTimes(13);
+        });
+
+        it('should schedule connections registered while running', async () => {
+            const checkFn = vi.fn();
+            const m = new HealthMonitor({ interval: '1m' });
+            m.start(checkFn);
+
+            m.register('cache', { interval: '1s' });
+            await vi.advanceTimersByTimeAsync(1000);
+            expect(checkFn).toHaveBeenCalledWith(['cache']);
+
+            m.unregister('cache');
+            await vi.advanceTimersByTimeAsync(5000);
+            expect(checkFn).toHaveBeenCalledTimes(1);
+            m.stop();
+        });
+
+        it('should reschedule when re-registered', async () => {
+            const checkFn = vi.fn();
+            const m = new HealthMonitor({ interval: '1m' });
+            m.register('cache', { interval: '1s' });
+            m.start(checkFn);
+
+            m.register('cache', async () => true);
+            await vi.advanceTimersByTimeAsync(5000);
+
+            expect(checkFn).not.toHaveBeenCalled();
+            m.stop();
+        });
+    });
+
+    describe('getLatency()', () => {
+        /**
+         * Run checks whose durations are the given values.
+         * @param {HealthMonitor} m - Monitor with a check registered for db1
+         * @param {number[]} durations - Durations in ms
+         */
+        async function runTimed(m, durations) {
+            const now = vi.spyOn(performance, 'now');
+            for (const duration of durations) {
+                now.mockReturnValueOnce(1000).mockReturnValueOnce(1000 + duration);
+                await m.check('db1', {});
+            }
+            now.mockRestore();
+        }
+
+        it('should return null before any check has been timed', async () => {
+            monitor.register('db1');
+            await monitor.check('db1', {});
+
+            expect(monitor.getLatency('db1')).toBeNull();
+            expect(monitor.getLatency('unknown')).toBeNull();
+        });
+
+        it('should return the check duration', async () => {
+            monitor.register('db1', async () => true);
+            const now = vi.spyOn(performance, 'now').mockReturnValueOnce(100).mockReturnValueOnce(142);
+
+            const result = await monitor.check('db1', {});
+            now.mockRestore();
+
+            expect(result).toEqual({ status: 'healthy', error: undefined, durationMs: 42 });
+        });
+
+        it('should compute last, avg and percentiles over the window', async () => {
+            monitor.register('db1', async () => true);
+            await runTimed(monitor, [10, 50, 20, 40, 30]);
+
+            expect(monitor.getLatency('db1')).toEqual({
+                last: 30,
+                avg: 30,
+                p50: 30,
+                p95: 50,
+                p99: 50,
+                samples: 5,
+            });
+        });
+
+        it('should only keep latencyWindow samples', async () => {
+            const m = new HealthMonitor({ latencyWindow: 3 });
+            m.register('db1', async () => true);
+            await runTimed(m, [100, 1, 2, 3]);
+
+            expect(m.getLatency('db1')).toMatchObject({ avg: 2, p99: 3, samples: 3 });
+        });
+
+        it('should time failed checks', async () => {
+            monitor.register('db1', async () => false);
+            await runTimed(monitor, [25]);
+
+            expect(monitor.getLatency('db1')).toMatchObject({ last: 25, samples: 1 });
+        });
+
+        it('should reset the window when a connection is re-registered or unregistered', async () => {
+            monitor.register('db1', async () => true);
+            await runTimed(monitor, [10]);
+
+            monitor.register('db1', async () => true);
+            expect(monitor.getLatency('db1')).toBeNull();
+
+            await runTimed(monitor, [10]);
+            monitor.unregister('db1');
+            expect(monitor.getLatency('db1')).toBeNull();
+        });
+
+        it('should not record checks of unregistered connections', async () => {
+            monitor.register('db1', async () => true);
+            const check = monitor.check('db1', {});
+            monitor.unregister('db1');
+            await check;
+
+            expect(monitor.getLatency('db1')).toBeNull();
+        });
+    });
+
+    describe('presets', () => {
+        const pgClient = (query) => ({ query, totalCount: 0 });
+
+        it('should use the built-in check for recognized drivers', async () => {
+            const query = vi.fn().mockRejectedValue(new Error('connection refused'));
+            monitor.register('db1');
+
+            const result = await monitor.check('db1', pgClient(query));
+
+            expect(query).toHaveBeenCalledWith('SELECT 1');
+            expect(result).toMatchObject({ status: 'unhealthy', error: new Error('connection refused') });
+        });
+
+        it('should use the built-in check for configs without fn', async () => {
+            const query = vi.fn().mockResolvedValue({ rows: [] });
+            monitor.register('db1', { interval: '5s' });
+
+            expect((await monitor.check('db1', pgClient(query))).status).toBe('healthy');
+            expect(query).toHaveBeenCalled();
+        });
+
+        it('should prefer custom checks', async () => {
+            const query = vi.fn();
+            monitor.register('db1', async () => 'degraded');
+
+            expect((await monitor.check('db1', pgClient(query))).status).toBe('degraded');
+            expect(query).not.toHaveBeenCalled();
+        });
+
+        it('should skip the built-in check when disabled for a connection', async () => {
+            const query = vi.fn();
+            monitor.register('db1', false);
+
+            expect(await monitor.check('db1', pgClient(query))).toEqual({ status: 'healthy', durationMs: 0 });
+            expect(query).not.toHaveBeenCalled();
+        });
+
+        it('should skip built-in checks when presets is false', async () => {
+            const query = vi.fn();
+            const m = new HealthMonitor({ presets: false });
+            m.register('db1');
+
+            expect((await m.check('db1', pgClient(query))).status).toBe('healthy');
+            expect(query).not.toHaveBeenCalled();
+        });
+
+        it('should assume unrecognized clients are healthy', async () => {
+            monitor.register('db1');
+
+            expect(await monitor.check('db1', { query: vi.fn() })).toEqual({ status: 'healthy', durationMs: 0 });
+        });
+    });
+
+    describe('recordOutcome()', () => {
+        /**
+         * Record outcomes for db1, returning the last result.
+         * @param {HealthMonitor} m - Monitor with db1 registered
+         * @param {boolean[]} outcomes - Outcomes (true = failed)
+         */
+        function recordAll(m, outcomes) {
+            let status;
+            for (const failed of outcomes) {
+                status = m.recordOutcome('db1', failed);
+            }
+            return status;
+        }
+
+        it('should ignore outcomes when passive health is off', () => {
+            monitor.register('db1');
+
+            expect(recordAll(monitor, Array(20).fill(true))).toBeUndefined();
+        });
+
+        it('should wait for minRequests operations', () => {
+            const m = new HealthMonitor({ passive: { window: 10, minRequests: 5 } });
+            m.register('db1');
+
+            expect(recordAll(m, Array(4).fill(true))).toBeUndefined();
+            expect(m.recordOutcome('db1', true)).toBe('unhealthy');
+        });
+
+        it('should return degraded or unhealthy based on the error rate', () => {
+            const m = new HealthMonitor({ passive: { window: 10, minRequests: 10, degradedAt: 0.2, unhealthyAt: 0.5 } });
+            m.register('db1');
+
+            expect(recordAll(m, [...Array(8).fill(false), true, true])).toBe('degraded');
+            m.setStatus('db1', 'degraded');
+
+            expect(recordAll(m, [...Array(5).fill(false), ...Array(5).fill(true)])).toBe('unhealthy');
+        });
+
+        it('should only report statuses worse than the current one', () => {
+            const m = new HealthMonitor({ passive: { window: 4, minRequests: 4 } });
+            m.register('db1');
+            m.setStatus('db1', 'unhealthy');
+
+            expect(recordAll(m, Array(4).fill(true))).toBeUndefined();
+            expect(recordAll(m, Array(4).fill(false))).toBeUndefined();
+        });
+
+        it('should slide the window over the most recent operations', () => {
+            const m = new HealthMonitor({ passive: { window: 4, minRequests: 4, unhealthyAt: 0.5, degradedAt: 0.3 } });
+            m.register('db1');
+
+            // Old failures fall out of the window
+            expect(recordAll(m, [true, false, false, false, false])).toBeUndefined();
+            expect(recordAll(m, [true, true])).toBe('unhealthy');
+        });
+
+        it('should clear the window and passing streak after a transition', () => {
+            const m = new HealthMonitor({ passive: { window: 2, minRequests: 2 } });
+            m.register('db1');
+            m.record('db1', 'healthy');
+
+            expect(recordAll(m, [true, true])).toBe('unhealthy');
+            expect(m.getStreak('db1').successes).toBe(0);
+
+            m.setStatus('db1', 'healthy');
+            expect(m.recordOutcome('db1', true)).toBeUndefined();
+        });
+
+        it('should accept passive: true with defaults', () => {
+            const m = new HealthMonitor({ passive: true });
+            m.register('db1');
+
+            expect(recordAll(m, Array(9).fill(true))).toBeUndefined();
+            expect(m.recordOutcome('db1', true)).toBe('unhealthy');
+        });
+
+        it('should ignore unregistered connections', () => {
+            const m = new HealthMonitor({ passive: true });
+
+            expect(m.recordOutcome('missing', true)).toBeUndefined();
+        });
+
+        it('should throw for invalid passive settings', () => {
+            expect(() => new HealthMonitor({ passive: { window: 0 } }))
+                .toThrow('passive.window must be a positive integer (>= 1)');
+            expect(() => new HealthMonitor({ passive: { window: 5, minRequests: 6 } }))
+                .toThrow('passive.minRequests must be an integer between 1 and passive.window');
+            expect(() => new HealthMonitor({ passive: { unhealthyAt: 1.5 } }))
+                .toThrow('passive.unhealthyAt must be a number between 0 (exclusive) and 1');
+            expect(() => new HealthMonitor({ passive: { degradedAt: '0.1' } }))
+                .toThrow('passive.degradedAt must be a number between 0 (exclusive) and 1');
+            expect(() => new HealthMonitor({ passive: { degradedAt: 0.5, unhealthyAt: 0.5 } }))
+                .toThrow('passive.degradedAt must be less than passive.unhealthyAt');
+        });
+    });
+
+    describe('health history', () => {
+        const entry = (timestamp, status = 'healthy') => ({ timestamp, status, source: 'periodic' });
+
+        it('should return entries oldest first', () => {
+            monitor.register('db1');
+            monitor.recordHistory('db1', entry(1));
+            monitor.recordHistory('db1', entry(2, 'unhealthy'));
+
+            expect(monitor.getHistory('db1')).toEqual([entry(1), entry(2, 'unhealthy')]);
+        });
+
+        it('should only keep historySize entries', () => {
+            const m = new HealthMonitor({ historySize: 2 });
+            m.register('db1');
+            for (let i = 1; i <= 3; i++) {
+                m.recordHistory('db1', entry(i));
+            }
+
+            expect(m.getHistory('db1').map((e) => e.timestamp)).toEqual([2, 3]);
+        });
+
+        it('should filter by limit and since', () => {
+            monitor.register('db1');
+            for (let i = 1; i <= 5; i++) {
+                monitor.recordHistory('db1', entry(i * 1000));
+            }
+
+            expect(monitor.getHistory('db1', { limit: 2 }).map((e) => e.timestamp)).toEqual([4000, 5000]);
+            expect(monitor.getHistory('db1', { since: 3000 }).map((e) => e.timestamp)).toEqual([3000, 4000, 5000]);
+            expect(monitor.getHistory('db1', { since: 2000, limit: 1 }).map((e) => e.timestamp)).toEqual([5000]);
+            expect(monitor.getHistory('db1', { limit: 0 })).toEqual([]);
+        });
+
+        it('should return copies', () => {
+            monitor.register('db1');
+            monitor.recordHistory('db1', entry(1));
+
+            monitor.getHistory('db1')[0].status = 'unhealthy';
+
+            expect(monitor.getHistory('db1')[0].status).toBe('healthy');
+        });
+
+        it('should clear the history when a connection is re-registered or unregistered', () => {
+            monitor.register('db1');
+            monitor.recordHistory('db1', entry(1));
+            monitor.register('db1');
+            expect(monitor.getHistory('db1')).toEqual([]);
+
+            monitor.recordHistory('db1', entry(1));
+            monitor.unregister('db1');
+            expect(monitor.getHistory('db1')).toEqual([]);
+        });
+
+        it('should ignore entries for unregistered connections', () => {
+            monitor.recordHistory('missing', entry(1));
+
+            expect(monitor.getHistory('missing')).toEqual([]);
+        });
+
+        it('should throw for an invalid historySize', () => {
+            expect(() => new HealthMonitor({ historySize: 0 }))
+                .toThrow('historySize must be a positive integer (>= 1)');
+        });
+    });
+
+    describe('latency budgets', () => {
+        /**
+         * Run a check that takes the given duration.
+         * @param {HealthMonitor} m - Monitor with a check registered for db1
+         * @param {number} duration - Duration in ms
+         * @returns {Promise<object>} The check result
+         */
+        async function checkTaking(m, duration) {
+            const now = vi.spyOn(performance, 'now').mockReturnValueOnce(0).mockReturnValueOnce(duration);
+            const result = await m.check('db1', {});
+            now.mockRestore();
+            return result;
+        }
+
+        it('should mark slow successful checks degraded', async () => {
+            const m = new HealthMonitor({ degradedAfter: '500ms' });
+            m.register('db1', async () => true);
+
+            expect((await checkTaking(m, 500)).status).toBe('healthy');
+            expect((await checkTaking(m, 501)).status).toBe('degraded');
+        });
+
+        it('should treat very slow successful checks as failed', async () => {
+            const m = new HealthMonitor({ degradedAfter: '500ms', unhealthyAfter: '2s' });
+            m.register('db1', async () => 'degraded');
+
+            expect((await checkTaking(m, 1000)).status).toBe('degraded');
+            expect(await checkTaking(m, 2500)).toEqual({ status: 'unhealthy', error: undefined, durationMs: 2500 });
+        });
+
+        it('should leave failed checks unhealthy', async () => {
+            const m = new HealthMonitor({ degradedAfter: '500ms' });
+            m.register('db1', async () => false);
+
+            expect((await checkTaking(m, 1000)).status).toBe('unhealthy');
+        });
+
+        it('should support per-connection budgets', async () => {
+            const m = new HealthMonitor({ degradedAfter: '500ms' });
+            m.register('db1', { fn: async () => true, degradedAfter: '2s', unhealthyAfter: '5s' });
+
+            expect((await checkTaking(m, 1000)).status).toBe('healthy');
+            expect((await checkTaking(m, 3000)).status).toBe('degraded');
+            expect((await checkTaking(m, 6000)).status).toBe('unhealthy');
+        });
+
+        it('should ignore latency without budgets', async () => {
+            monitor.register('db1', async () => true);
+
+            expect((await checkTaking(monitor, 60000)).status).toBe('healthy');
+        });
+
+        it('should throw if degradedAfter is not below unhealthyAfter', () => {
+            expect(() => new HealthMonitor({ degradedAfter: '1s', unhealthyAfter: '1s' }))
+                .toThrow('degradedAfter must be less than unhealthyAfter');
+
+            const m = new HealthMonitor({ unhealthyAfter: '1s' });
+            expect(() => m.register('db1', { fn: async () => true, degradedAfter: '2s' }))
+                .toThrow('degradedAfter must be less than unhealthyAfter');
+        });
+
+        it('should throw for invalid budget durations', () => {
+            expect(() => new HealthMonitor({ degradedAfter: 'fast' })).toThrow('Invalid duration format');
+            expect(() => monitor.register('db1', { fn: async () => true, unhealthyAfter: 500 }))
+                .toThrow('Duration must be a string');
+        });
+    });
+
     describe('isRunning', () => {
         it('should return false initially', () => {
             expect(monitor.isRunning).toBe(false);
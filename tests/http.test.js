@@ -0,0 +1,149 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createServer, get } from 'node:http';
+import { createHealthHandler } from '../src/http.js';
+import { Orchestrator } from '../src/orchestrator.js';
+
+/**
+ * Call a handler with a minimal request and capture the response.
+ */
+function call(handler, { url = '/health', method = 'GET' } = {}) {
+    const res = {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        end(body) {
+            this.body = body;
+        },
+    };
+    handler({ url, method }, res);
+    return { status: res.statusCode, headers: res.headers, json: res.body && JSON.parse(res.body), body: res.body };
+}
+
+describe('createHealthHandler()', () => {
+    let db;
+
+    afterEach(async () => {
+        await db?.disconnect();
+    });
+
+    it('should respond 200 with health() when ready', async () => {
+        db = new Orchestrator({ connections: { primary: {} } });
+        await db.connect();
+
+        const res = call(createHealthHandler(db));
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+        expect(res.headers['cache-control']).toBe('no-store');
+        expect(res.json).toEqual({ status: 'ok', reasons: [], connections: db.health() });
+    });
+
+    it('should respond 503 with reasons when not ready', async () => {
+        db = new Orchestrator({
+            connections: { primary: {} },
+            healthCheck: { checks: { primary: async () => false } },
+        });
+        await db.connect();
+        await db.checkHealth();
+
+        const res = call(createHealthHandler(db));
+
+        expect(res.status).toBe(503);
+        expect(res.json).toMatchObject({ status: 'unavailable', reasons: ['"primary" is unhealthy'] });
+        expect(res.json.connections.primary.status).toBe('unhealthy');
+    });
+
+    it('should use liveness when configured', async () => {
+        db = new Orchestrator({
+            connections: { primary: {} },
+            healthCheck: { checks: { primary: async () => false } },
+        });
+        await db.connect();
+        await db.checkHealth();
+
+        expect(call(createHealthHandler(db, { probe: 'liveness' })).status).toBe(200);
+    });
+
+    it('should include stats, latencies and last errors when verbose is requested', async () => {
+        let fail = true;
+        db = new Orchestrator({
+            connections: { primary: {}, cache: {} },
+            healthCheck: {
+                checks: {
+                    primary: async () => {
+                        if (fail) throw new Error('connection refused');
+                        return true;
+                    },
+                },
+            },
+        });
+        db.on('error', () => { });
+        await db.connect();
+        await db.checkHealth();
+        fail = false;
+        await db.checkHealth();
+        const handler = createHealthHandler(db);
+
+        for (const url of ['/health?verbose', '/health?verbose=1', '/health?verbose=true']) {
+            const { json } = call(handler, { url });
+            expect(json.connections.primary).toMatchObject({
+                status: 'healthy',
+                checkLatency: expect.objectContaining({ samples: 2 }),
+                lastError: { message: 'connection refused', timestamp: expect.any(Number) },
+            });
+            expect(json.connections.cache.lastError).toBeNull();
+        }
+
+        expect(call(handler, { url: '/health?verbose=0' }).json.connections.primary).not.toHaveProperty('lastError');
+        expect(call(handler, { url: null }).json.connections.primary).not.toHaveProperty('lastError');
+    });
+
+    it('should support always and never verbose', async () => {
+        db = new Orchestrator({ connections: { primary: {} } });
+        await db.connect();
+
+        expect(call(createHealthHandler(db, { verbose: true })).json.connections.primary).toHaveProperty('lastError');
+        expect(call(createHealthHandler(db, { verbose: false }), { url: '/health?verbose' })
+            .json.connections.primary).not.toHaveProperty('lastError');
+    });
+
+    it('should send no body for HEAD requests', async () => {
+        db = new Orchestrator({ connections: { primary: {} } });
+        await db.connect();
+
+        const res = call(createHealthHandler(db), { method: 'HEAD' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toBeUndefined();
+    });
+
+    it('should throw for unknown probes', () => {
+        db = new Orchestrator({ connections: { primary: {} } });
+
+        expect(() => createHealthHandler(db, { probe: 'startup' }))
+            .toThrow('Invalid probe "startup". Use \'readiness\' or \'liveness\'');
+    });
+
+    it('should work as a node:http request listener', async () => {
+        db = new Orchestrator({ connections: { primary: {} } });
+        await db.connect();
+        const server = createServer(createHealthHandler(db));
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const { status, body } = await new Promise((resolve, reject) => {
+                get(`http://127.0.0.1:${server.address().port}/health`, (res) => {
+                    let data = '';
+                    res.on('data', (chunk) => (data += chunk));
+                    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+                }).on('error', reject);
+            });
+
+            expect(status).toBe(200);
+            expect(body).toMatchObject({ status: 'ok' });
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
@@ -1,4 +1,5 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'node:events';
 import { Orchestrator } from '../src/orchestrator.js';
 import { HealthMonitor } from '../src/health-monitor.js';
 
@@ -127,6 +128,253 @@ describe('Orchestrator', () => {
         });
     });
 
+    describe('connect({ verify })', () => {
+        it('should open clients with connect() or $connect()', async () => {
+            const pg = { connect: vi.fn().mockResolvedValue(undefined) };
+            const prisma = { $connect: vi.fn().mockResolvedValue(undefined), connect: vi.fn() };
+            const db = new Orchestrator({ connections: { pg, prisma, plain: {}, file: 'app.db' } });
+
+            await db.connect({ verify: true });
+
+            expect(pg.connect).toHaveBeenCalledTimes(1);
+            expect(prisma.$connect).toHaveBeenCalledTimes(1);
+            expect(prisma.connect).not.toHaveBeenCalled();
+            expect(db.isConnected).toBe(true);
+            await db.disconnect();
+        });
+
+        it('should not open clients without verify', async () => {
+            const pg = { connect: vi.fn() };
+            const db = new Orchestrator({ connections: { pg } });
+
+            await db.connect();
+
+            expect(pg.connect).not.toHaveBeenCalled();
+            await db.disconnect();
+        });
+
+        it('should skip clients that are already open', async () => {
+            const nodeRedis = { isOpen: true, connect: vi.fn() };
+            const ioredis = { status: 'ready', connect: vi.fn() };
+            const db = new Orchestrator({ connections: { nodeRedis, ioredis } });
+
+            await db.connect({ verify: true });
+
+            expect(nodeRedis.connect).not.toHaveBeenCalled();
+            expect(ioredis.connect).not.toHaveBeenCalled();
+            await db.disconnect();
+        });
+
+        it('should skip pg clients that are already connected', async () => {
+            // pg.Client rejects a second connect() call
+            const reconnect = () => Promise.reject(new Error('Client has already been connected. You cannot reuse a client.'));
+            const connected = { _connected: true, connect: vi.fn(reconnect) };
+            const connecting = { _connecting: true, connect: vi.fn(reconnect) };
+            const db = new Orchestrator({ connections: { connected, connecting } });
+
+            await db.connect({ verify: true });
+
+            expect(connected.connect).not.toHaveBeenCalled();
+            expect(connecting.connect).not.toHaveBeenCalled();
+            await db.disconnect();
+        });
+
+        it('should release pool clients checked out by connect()', async () => {
+            const poolClient = { release: vi.fn() };
+            const pool = { connect: vi.fn().mockResolvedValue(poolClient) };
+            const db = new Orchestrator({ connections: { pool } });
+
+            await db.connect({ verify: true });
+
+            expect(poolClient.release).toHaveBeenCalledTimes(1);
+            await db.disconnect();
+        });
+
+        it('should run the first round of health checks before resolving', async () => {
+            const check = vi.fn().mockResolvedValue(true);
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: { interval: '1h', checks: { main: check } },
+            });
+
+            await db.connect({ verify: true });
+
+            expect(check).toHaveBeenCalledTimes(1);
+            await db.disconnect();
+        });
+
+        it('should reject with an aggregated error when required connections fail', async () => {
+            const db = new Orchestrator({
+                connections: {
+                    primary: { connect: vi.fn().mockRejectedValue(new Error('ECONNREFUSED')) },
+                    cache: {},
+                    replica: {},
+                },
+                healthCheck: { checks: { replica: async () => false } },
+            });
+            db.on('error', () => { });
+
+            const err = await db.connect({ verify: true }).catch((e) => e);
+
+            expect(err).toBeInstanceOf(AggregateError);
+            expect(err.message).toBe('Failed to connect required connections: primary, replica');
+            expect(err.errors).toHaveLength(2);
+            expect(err.errors[0].message).toBe('Connection "primary" failed: ECONNREFUSED');
+            expect(err.errors[0].cause.message).toBe('ECONNREFUSED');
+            expect(err.errors[1].message).toBe('Connection "replica" failed its health check');
+            expect(db.isConnected).toBe(false);
+        });
+
+        it('should mark failed connections unhealthy and emit connect errors', async () => {
+            const db = new Orchestrator({
+                connections: {
+                    primary: {},
+                    cache: { connect: vi.fn().mockRejectedValue(new Error('ECONNREFUSED')) },
+                },
+            });
+            const errorHandler = vi.fn();
+            const connectedHandler = vi.fn();
+            db.on('error', errorHandler);
+            db.on('connected', connectedHandler);
+
+            await db.connect({ verify: true, required: ['primary'] });
+
+            expect(db.isConnected).toBe(true);
+            expect(db.health().cache.status).toBe('unhealthy');
+            expect(errorHandler).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'cache',
+                context: 'connect',
+                message: 'ECONNREFUSED',
+            }));
+            expect(connectedHandler).toHaveBeenCalledTimes(1);
+            expect(connectedHandler).toHaveBeenCalledWith(expect.objectContaining({ name: 'primary' }));
+            await db.disconnect();
+        });
+
+        it('should time out slow connects', async () => {
+            const db = new Orchestrator({
+                connections: { primary: { connect: () => new Promise(() => { }) } },
+            });
+
+            await expect(db.connect({ verify: true, timeout: '20ms' })).rejects.toMatchObject({
+                errors: [expect.objectContaining({ message: 'Connection "primary" failed: Connect timeout after 20ms' })],
+            });
+        });
+
+        it('should accept numeric timeout', async () => {
+            const db = new Orchestrator({
+                connections: { primary: { connect: () => new Promise(() => { }) } },
+            });
+
+            await expect(db.connect({ verify: true, timeout: 10 })).rejects.toThrow(
+                'Failed to connect required connections: primary'
+            );
+        });
+
+        it('should throw for unknown required connections', async () => {
+            const db = new Orchestrator({ connections: { primary: {} } });
+
+            await expect(db.connect({ required: ['missing'] })).rejects.toThrow(
+                'Unknown required connection "missing". Available: primary'
+            );
+        });
+
+        it('should only create required lazy connections', async () => {
+            const required = vi.fn(async () => ({}));
+            const optional = vi.fn(async () => ({}));
+            const db = new Orchestrator({ connections: { required, optional } });
+
+            await db.connect({ verify: true, required: ['required'] });
+
+            expect(required).toHaveBeenCalledTimes(1);
+            expect(optional).not.toHaveBeenCalled();
+            await db.disconnect();
+        });
+
+        it('should fail required lazy connections whose factory fails', async () => {
+            const db = new Orchestrator({
+                connections: {
+                    analytics: {
+                        factory: async () => {
+                            throw new Error('boom');
+                        },
+                        eager: true,
+                    },
+                },
+            });
+
+            await expect(db.connect({ verify: true })).rejects.toMatchObject({
+                errors: [expect.objectContaining({ message: 'Connection "analytics" failed: boom' })],
+            });
+        });
+
+        it('should close clients it opened when verification fails', async () => {
+            const cache = { connect: vi.fn(async () => {}), end: vi.fn() };
+            const queue = { connect: vi.fn(async () => {}), end: vi.fn(async () => { throw new Error('end failed'); }) };
+            const open = { isOpen: true, quit: vi.fn() };
+            const warehouse = { end: vi.fn() };
+            const factory = vi.fn(async () => warehouse);
+            const db = new Orchestrator({
+                connections: {
+                    primary: { connect: async () => { throw new Error('refused'); } },
+                    cache,
+                    queue,
+                    open,
+                    warehouse: { factory, eager: true },
+                },
+            });
+            const errorHandler = vi.fn();
+            db.on('error', errorHandler);
+
+            await expect(db.connect({ verify: true })).rejects.toThrow('Failed to connect required connections: primary');
+            await db.disconnect();
+
+            expect(cache.end).toHaveBeenCalledOnce();
+            expect(warehouse.end).toHaveBeenCalledOnce();
+            expect(open.quit).not.toHaveBeenCalled();
+            expect(errorHandler).toHaveBeenCalledWith(expect.objectContaining({ name: 'queue', context: 'disconnect' }));
+            expect(db.isConnected).toBe(false);
+
+            // Lazy clients are created again on the next attempt
+            expect(await db.get('warehouse')).toBe(warehouse);
+            expect(factory).toHaveBeenCalledTimes(2);
+        });
+
+        it('should share one connect for concurrent calls', async () => {
+            const factory = vi.fn(async () => ({}));
+            const db = new Orchestrator({
+                connections: { main: {}, analytics: { factory, eager: true } },
+            });
+            const handler = vi.fn();
+            db.on('connected', handler);
+
+            await Promise.all([db.connect(), db.connect()]);
+
+            expect(handler).toHaveBeenCalledTimes(2);
+            expect(factory).toHaveBeenCalledOnce();
+            await db.disconnect();
+        });
+
+        it('should not stay connected when disconnect() runs while connecting', async () => {
+            let finish;
+            const client = { end: vi.fn() };
+            const db = new Orchestrator({
+                connections: {
+                    main: {},
+                    analytics: { factory: () => new Promise((resolve) => { finish = resolve; }), eager: true },
+                },
+            });
+
+            const connecting = db.connect();
+            const disconnecting = db.disconnect();
+            finish(client);
+            await Promise.all([connecting, disconnecting]);
+
+            expect(db.isConnected).toBe(false);
+            expect(client.end).toHaveBeenCalledOnce();
+        });
+    });
+
     describe('disconnect()', () => {
         it('should emit disconnected event for each connection', async () => {
             const db = new Orchestrator({
@@ -270,506 +518,2914 @@ describe('Orchestrator', () => {
         });
     });
 
-    describe('get()', () => {
-        it('should return the registered client', () => {
-            const client = { query: () => { } };
-            const db = new Orchestrator({
-                connections: { main: client },
-            });
+    describe('add()', () => {
+        it('should register a new connection', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+            const client = { name: 'tenant' };
 
-            expect(db.get('main')).toBe(client);
+            db.add('tenant', client);
+
+            expect(db.has('tenant')).toBe(true);
+            expect(db.get('tenant')).toBe(client);
+            expect(db.health().tenant).toEqual({ status: 'healthy', consecutiveFailures: 0, consecutiveSuccesses: 0 });
         });
 
-        it('should return undefined for non-existent connection', () => {
-            const db = new Orchestrator({
-                connections: { main: {} },
-            });
+        it('should emit connection:added event', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+            const handler = vi.fn();
+            db.on('connection:added', handler);
 
-            expect(db.get('nonexistent')).toBeUndefined();
+            db.add('tenant', {});
+
+            expect(handler).toHaveBeenCalledWith({ name: 'tenant', timestamp: expect.any(Number) });
         });
-    });
 
-    describe('list()', () => {
-        it('should return all connection names', () => {
+        it('should throw if connection already exists', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            expect(() => db.add('main', {})).toThrow('Connection "main" already exists');
+        });
+
+        it('should validate name and client', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            expect(() => db.add('', {})).toThrow('Connection name must be a non-empty string');
+            expect(() => db.add('tenant', null)).toThrow('Client cannot be null or undefined');
+        });
+
+        it('should create a circuit breaker when configured', () => {
             const db = new Orchestrator({
-                connections: { db1: {}, db2: {}, cache: {} },
+                connections: { main: {} },
+                circuitBreaker: { threshold: 1 },
             });
 
-            const names = db.list();
+            db.add('tenant', {});
+            db.recordFailure('tenant');
 
-            expect(names).toHaveLength(3);
-            expect(names).toContain('db1');
-            expect(names).toContain('db2');
-            expect(names).toContain('cache');
+            expect(db.getStats().tenant.circuit).toBe('open');
         });
-    });
 
-    describe('has()', () => {
-        it('should return true for existing connections', () => {
+        it('should use provided health check', async () => {
             const db = new Orchestrator({
                 connections: { main: {} },
+                healthCheck: { interval: '10ms' },
             });
 
-            expect(db.has('main')).toBe(true);
+            db.add('tenant', {}, { healthCheck: async () => false });
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.health().tenant.status).toBe('unhealthy');
+            await db.disconnect();
         });
 
-        it('should return false for non-existent connections', () => {
+        it('should fall back to healthCheck.checks from config', async () => {
             const db = new Orchestrator({
                 connections: { main: {} },
+                healthCheck: { interval: '10ms', checks: { tenant: async () => false } },
             });
 
-            expect(db.has('nonexistent')).toBe(false);
+            db.add('tenant', {});
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.health().tenant.status).toBe('unhealthy');
+            await db.disconnect();
         });
-    });
 
-    describe('size', () => {
-        it('should return the number of connections', () => {
+        it('should wire up failover to an existing connection', async () => {
+            const backup = { name: 'backup' };
             const db = new Orchestrator({
-                connections: { db1: {}, db2: {}, db3: {} },
+                connections: { backup },
+                healthCheck: { interval: '10ms' },
             });
 
-            expect(db.size).toBe(3);
+            db.add('primary', {}, { failover: 'backup', healthCheck: async () => false });
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.get('primary')).toBe(backup);
+            await db.disconnect();
+        });
+
+        it('should throw and roll back if failover backup does not exist', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            expect(() => db.add('primary', {}, { failover: 'missing' }))
+                .toThrow(/Failover config error:.*missing/);
+            expect(db.has('primary')).toBe(false);
         });
     });
 
-    describe('health()', () => {
-        it('should return health status for all connections', () => {
-            const db = new Orchestrator({
-                connections: { db1: {}, db2: {} },
-            });
+    describe('remove()', () => {
+        it('should remove a connection', async () => {
+            const db = new Orchestrator({ connections: { main: {}, tenant: {} } });
 
-            const health = db.health();
+            expect(await db.remove('tenant')).toBe(true);
+            expect(db.has('tenant')).toBe(false);
+            expect(db.health()).not.toHaveProperty('tenant');
+            expect(db.getStats()).not.toHaveProperty('tenant');
+        });
 
-            expect(health).toHaveProperty('db1');
-            expect(health).toHaveProperty('db2');
-            expect(health.db1.status).toBe('healthy');
-            expect(health.db2.status).toBe('healthy');
+        it('should return false for unknown connection', async () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            expect(await db.remove('missing')).toBe(false);
         });
 
-        it('should include failoverTo when in failover', async () => {
-            const db = new Orchestrator({
-                connections: { primary: {}, backup: {} },
-                failover: { primary: 'backup' },
-                healthCheck: {
-                    checks: {
-                        primary: async () => false,
-                        backup: async () => true,
-                    },
-                },
-            });
+        it('should emit connection:removed event', async () => {
+            const db = new Orchestrator({ connections: { main: {}, tenant: {} } });
+            const handler = vi.fn();
+            db.on('connection:removed', handler);
 
-            // Trigger failover by calling get() after health check fails
-            // First, manually trigger a health check scenario
-            db.get('primary'); // First call sets up failover since primary defaults to healthy
+            await db.remove('tenant');
 
-            const health = db.health();
-            expect(health.primary.status).toBe('healthy'); // Still healthy until check runs
+            expect(handler).toHaveBeenCalledWith({ name: 'tenant', timestamp: expect.any(Number) });
         });
-    });
 
-    describe('failover integration', () => {
-        it('should emit failover event when routing to backup', () => {
-            const primary = { name: 'primary' };
-            const backup = { name: 'backup' };
+        it('should not close the client when not connected', async () => {
+            const client = { end: vi.fn() };
+            const db = new Orchestrator({ connections: { main: {}, tenant: client } });
 
-            const db = new Orchestrator({
-                connections: { primary, backup },
-                failover: { primary: 'backup' },
-                healthCheck: {
-                    checks: {
-                        primary: async () => false,
-                    },
-                },
-            });
+            await db.remove('tenant');
+
+            expect(client.end).not.toHaveBeenCalled();
+        });
 
+        it('should close the client and emit disconnected when connected', async () => {
+            const client = { end: vi.fn().mockResolvedValue() };
+            const db = new Orchestrator({ connections: { main: {}, tenant: client } });
             const handler = vi.fn();
-            db.on('failover', handler);
+            db.on('disconnected', handler);
 
-            // Note: Failover only triggers when health status is not 'healthy'
-            // Since we haven't run health checks, status is 'healthy' by default
-            db.get('primary');
+            await db.connect();
+            await db.remove('tenant');
 
-            // Won't trigger because status is 'healthy' by default
-            expect(handler).not.toHaveBeenCalled();
+            expect(client.end).toHaveBeenCalled();
+            expect(handler).toHaveBeenCalledWith(expect.objectContaining({ name: 'tenant' }));
+            await db.disconnect();
         });
 
-        it('should return backup client when primary is unhealthy', () => {
-            const primary = { name: 'primary' };
-            const backup = { name: 'backup' };
+        it('should emit error if closing the client fails', async () => {
+            const client = { end: vi.fn().mockRejectedValue(new Error('close failed')) };
+            const db = new Orchestrator({ connections: { main: {}, tenant: client } });
+            const errorHandler = vi.fn();
+            db.on('error', errorHandler);
+
+            await db.connect();
+            expect(await db.remove('tenant')).toBe(true);
+
+            expect(errorHandler).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'tenant',
+                context: 'remove',
+                message: 'close failed',
+            }));
+            await db.disconnect();
+        });
 
+        it('should throw if connection is a failover backup', async () => {
             const db = new Orchestrator({
-                connections: { primary, backup },
+                connections: { primary: {}, backup: {} },
                 failover: { primary: 'backup' },
             });
 
-            // By default, all connections are healthy, so we get primary
-            const client = db.get('primary');
-            expect(client).toBe(primary);
+            await expect(db.remove('backup')).rejects.toThrow(
+                'Cannot remove "backup": it is the failover backup for primary'
+            );
+            expect(db.has('backup')).toBe(true);
         });
 
-        it('should failover to backup even if primary circuit is OPEN (Regression Test)', async () => {
+        it('should remove its own failover mapping', async () => {
             const db = new Orchestrator({
                 connections: { primary: {}, backup: {} },
                 failover: { primary: 'backup' },
-                circuitBreaker: { threshold: 1 }, // Easy to trip
-                healthCheck: {
-                    checks: {
-                        primary: async () => false, // Will result in 'unhealthy'
-                        backup: async () => true,
-                    },
-                    interval: '10ms'
-                }
+            });
+
+            await db.remove('primary');
+
+            expect(await db.remove('backup')).toBe(true);
+        });
+    });
+
+    describe('lazy connections', () => {
+        it('should not call factories at construction', () => {
+            const factory = vi.fn(async () => ({}));
+            const db = new Orchestrator({ connections: { analytics: factory } });
+
+            expect(db.has('analytics')).toBe(true);
+            expect(factory).not.toHaveBeenCalled();
+        });
+
+        it('should call the factory on first get() and cache the client', async () => {
+            const client = { name: 'analytics' };
+            const factory = vi.fn(async () => client);
+            const db = new Orchestrator({ connections: { analytics: factory } });
+
+            const pending = db.get('analytics');
+            expect(pending).toBeInstanceOf(Promise);
+            expect(await pending).toBe(client);
+
+            // Subsequent calls return the cached instance synchronously
+            expect(db.get('analytics')).toBe(client);
+            expect(factory).toHaveBeenCalledTimes(1);
+        });
+
+        it('should keep callable clients wrapped in a descriptor', async () => {
+            const knex = Object.assign(vi.fn(), { destroy: vi.fn() });
+            const db = new Orchestrator({ connections: { warehouse: { client: knex } } });
+
+            expect(db.get('warehouse')).toBe(knex);
+            expect(await db.execute('warehouse', async (client) => client)).toBe(knex);
+            expect(knex).not.toHaveBeenCalled();
+        });
+
+        it('should call the factory on first execute()', async () => {
+            const client = { query: vi.fn().mockResolvedValue('rows') };
+            const factory = vi.fn(async () => client);
+            const db = new Orchestrator({ connections: { analytics: { factory } } });
+
+            const result = await db.execute('analytics', (c) => c.query());
+
+            expect(result).toBe('rows');
+            expect(factory).toHaveBeenCalledTimes(1);
+        });
+
+        it('should create eager factories during connect()', async () => {
+            const client = { name: 'analytics' };
+            const factory = vi.fn(async () => client);
+            const lazyFactory = vi.fn(async () => ({}));
+            const db = new Orchestrator({
+                connections: {
+                    analytics: { factory, eager: true },
+                    archive: { factory: lazyFactory },
+                },
             });
 
             await db.connect();
 
-            // 1. Wait for health check to run
-            // This will:
-            // a) Mark primary 'unhealthy'
-            // b) Trip primary circuit (sync logic)
+            expect(factory).toHaveBeenCalledTimes(1);
+            expect(lazyFactory).not.toHaveBeenCalled();
+            expect(db.get('analytics')).toBe(client);
+            await db.disconnect();
+        });
+
+        it('should emit error with factory context when the factory fails', async () => {
+            const db = new Orchestrator({
+                connections: {
+                    analytics: async () => {
+                        throw new Error('connect ECONNREFUSED');
+                    },
+                },
+            });
+            const errorHandler = vi.fn();
+            db.on('error', errorHandler);
+
+            await expect(db.execute('analytics', async () => 'ok')).rejects.toThrow('connect ECONNREFUSED');
+
+            expect(errorHandler).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'analytics',
+                context: 'factory',
+                message: 'connect ECONNREFUSED',
+            }));
+        });
+
+        it('should reject with the factory error when no error listener is attached', async () => {
+            const db = new Orchestrator({
+                connections: {
+                    analytics: async () => {
+                        throw new Error('connect ECONNREFUSED');
+                    },
+                },
+            });
+
+            await expect(db.get('analytics')).rejects.toThrow('connect ECONNREFUSED');
+        });
+
+        it('should not fail connect() when an eager factory fails', async () => {
+            const db = new Orchestrator({
+                connections: {
+                    main: {},
+                    analytics: {
+                        factory: async () => {
+                            throw new Error('boom');
+                        },
+                        eager: true,
+                    },
+                },
+            });
+            const errorHandler = vi.fn();
+            db.on('error', errorHandler);
+
+            await db.connect();
+
+            expect(db.isConnected).toBe(true);
+            expect(errorHandler).toHaveBeenCalledWith(expect.objectContaining({ context: 'factory' }));
+            await db.disconnect();
+        });
+
+        it('should skip health checks for connections not created yet', async () => {
+            const check = vi.fn(async () => true);
+            const db = new Orchestrator({
+                connections: { analytics: async () => ({}) },
+                healthCheck: { interval: '10ms', checks: { analytics: check } },
+            });
+
+            await db.connect();
+            await new Promise(r => setTimeout(r, 35));
+            expect(check).not.toHaveBeenCalled();
+
+            await db.get('analytics');
+            await new Promise(r => setTimeout(r, 35));
+            expect(check).toHaveBeenCalled();
+            await db.disconnect();
+        });
+
+        it('should close clients whose factory finishes after remove()', async () => {
+            const client = { end: vi.fn() };
+            let finish;
+            const db = new Orchestrator({
+                connections: { main: {}, analytics: () => new Promise((resolve) => { finish = resolve; }) },
+            });
+            const fn = vi.fn();
+            await db.connect();
+
+            const pending = db.execute('analytics', fn);
+            await db.remove('analytics');
+            finish(client);
+
+            await expect(pending).rejects.toThrow('Connection "analytics" was removed or reset while its factory was pending');
+            expect(fn).not.toHaveBeenCalled();
+            expect(client.end).toHaveBeenCalledOnce();
+            await db.disconnect();
+        });
+
+        it('should report errors closing clients whose factory finishes after disconnect()', async () => {
+            const client = { end: vi.fn(async () => { throw new Error('already closed'); }) };
+            let finish;
+            const db = new Orchestrator({
+                connections: { analytics: () => new Promise((resolve) => { finish = resolve; }) },
+            });
+            const errorHandler = vi.fn();
+            db.on('error', errorHandler);
+            await db.connect();
+
+            const pending = db.get('analytics');
+            await db.disconnect();
+            finish(client);
+
+            await expect(pending).rejects.toThrow('was removed or reset while its factory was pending');
+            expect(errorHandler).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'analytics', context: 'disconnect', message: 'already closed',
+            }));
+        });
+
+        it('should close lazy clients on disconnect and recreate them on next use', async () => {
+            const factory = vi.fn(async () => ({ end: vi.fn() }));
+            const db = new Orchestrator({ connections: { analytics: factory } });
+
+            await db.connect();
+            const first = await db.get('analytics');
+            await db.disconnect();
+
+            expect(first.end).toHaveBeenCalled();
+
+            const second = await db.get('analytics');
+            expect(second).not.toBe(first);
+            expect(factory).toHaveBeenCalledTimes(2);
+        });
+
+        it('should accept factories in add()', async () => {
+            const client = {};
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            db.add('tenant', async () => client);
+
+            expect(await db.get('tenant')).toBe(client);
+        });
+
+        it('should create eager factories added while connected', async () => {
+            const factory = vi.fn(async () => ({}));
+            const db = new Orchestrator({ connections: { main: {} } });
+            await db.connect();
+
+            db.add('tenant', factory, { eager: true });
+            await new Promise(r => setTimeout(r, 0));
+
+            expect(factory).toHaveBeenCalledTimes(1);
+            await db.remove('tenant');
+            await db.disconnect();
+        });
+
+        it('should not propagate eager add() failures', async () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+            await db.connect();
+
+            db.add('tenant', async () => {
+                throw new Error('boom');
+            }, { eager: true });
+            await new Promise(r => setTimeout(r, 0));
+
+            expect(db.has('tenant')).toBe(true);
+            await db.disconnect();
+        });
+
+        it('should roll back eager flag when add() fails on failover', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            expect(() => db.add('tenant', async () => ({}), { eager: true, failover: 'missing' }))
+                .toThrow(/Failover config error/);
+            expect(db.has('tenant')).toBe(false);
+        });
+    });
+
+    describe('tags', () => {
+        const createTagged = (options = {}) => new Orchestrator({
+            connections: {
+                primary: { client: { name: 'primary' }, tags: ['write'] },
+                r1: { client: { name: 'r1' }, tags: ['read', 'eu'], metadata: { region: 'eu-west-1' } },
+                r2: { client: { name: 'r2' }, tags: ['read'] },
+                cache: { name: 'cache' },
+            },
+            ...options,
+        });
+
+        it('should unwrap client descriptors', () => {
+            const db = createTagged();
+
+            expect(db.get('r1')).toEqual({ name: 'r1' });
+            expect(db.get('cache')).toEqual({ name: 'cache' });
+        });
+
+        it('should not unwrap objects with keys other than descriptor fields', () => {
+            const mongo = { client: { name: 'client' }, db: { name: 'db' } };
+            const queue = { factory: () => ({}), name: 'queue' };
+            const db = new Orchestrator({ connections: { mongo, queue } });
+
+            expect(db.get('mongo')).toBe(mongo);
+            expect(db.get('queue')).toBe(queue);
+        });
+
+        it('should expose tags and metadata', () => {
+            const db = createTagged();
+
+            expect(db.getTags('r1')).toEqual(['read', 'eu']);
+            expect(db.getMetadata('r1')).toEqual({ region: 'eu-west-1' });
+            expect(db.getTags('cache')).toEqual([]);
+        });
+
+        it('should accept tags on lazy descriptors', async () => {
+            const db = new Orchestrator({
+                connections: { warehouse: { factory: async () => ({}), tags: ['analytics'] } },
+            });
+
+            expect(db.list({ tag: 'analytics' })).toEqual(['warehouse']);
+        });
+
+        it('should accept tags and metadata in add()', () => {
+            const db = createTagged();
+
+            db.add('r3', {}, { tags: ['read'], metadata: { weight: 2 } });
+
+            expect(db.list({ tag: 'read' })).toEqual(['r1', 'r2', 'r3']);
+            expect(db.getMetadata('r3')).toEqual({ weight: 2 });
+        });
+
+        it('should prefer add() options over descriptor fields', () => {
+            const db = createTagged();
+
+            db.add('r3', { client: {}, tags: ['write'] }, { tags: ['read'] });
+
+            expect(db.getTags('r3')).toEqual(['read']);
+        });
+
+        describe('list({ tag })', () => {
+            it('should filter connections by tag', () => {
+                const db = createTagged();
+
+                expect(db.list({ tag: 'read' })).toEqual(['r1', 'r2']);
+                expect(db.list({ tag: 'missing' })).toEqual([]);
+                expect(db.list()).toEqual(['primary', 'r1', 'r2', 'cache']);
+            });
+        });
+
+        describe('getByTag()', () => {
+            it('should return the first healthy member', () => {
+                const db = createTagged();
+
+                expect(db.getByTag('read')).toEqual({ name: 'r1' });
+            });
+
+            it('should prefer healthy over degraded and unhealthy members', async () => {
+                const db = createTagged({
+                    healthCheck: {
+                        interval: '10ms',
+                        checks: { r1: async () => 'degraded', r2: async () => true },
+                    },
+                });
+
+                await db.connect();
+                await new Promise(r => setTimeout(r, 50));
+
+                expect(db.getByTag('read')).toEqual({ name: 'r2' });
+                await db.disconnect();
+            });
+
+            it('should prefer degraded over unhealthy members', async () => {
+                const db = createTagged({
+                    healthCheck: {
+                        interval: '10ms',
+                        checks: { r1: async () => false, r2: async () => 'degraded' },
+                    },
+                });
+
+                await db.connect();
+                await new Promise(r => setTimeout(r, 50));
+
+                expect(db.getByTag('read')).toEqual({ name: 'r2' });
+                await db.disconnect();
+            });
+
+            it('should skip members with an open circuit', () => {
+                const db = createTagged({ circuitBreaker: { threshold: 1 } });
+
+                db.recordFailure('r1');
+
+                expect(db.getByTag('read')).toEqual({ name: 'r2' });
+            });
+
+            it('should throw when every member circuit is open', () => {
+                const db = createTagged({ circuitBreaker: { threshold: 1 } });
+
+                db.recordFailure('r1');
+                db.recordFailure('r2');
+
+                expect(() => db.getByTag('read')).toThrow('Circuit open for "r1"');
+            });
+
+            it('should throw for unknown tags', () => {
+                const db = createTagged();
+
+                expect(() => db.getByTag('missing')).toThrow('No connections found with tag "missing"');
+            });
+        });
+
+        describe('health({ tag })', () => {
+            it('should report healthy when all members are healthy', () => {
+                const db = createTagged();
+
+                expect(db.health({ tag: 'read' })).toEqual({
+                    tag: 'read',
+                    status: 'healthy',
+                    connections: {
+                        r1: { status: 'healthy', consecutiveFailures: 0, consecutiveSuccesses: 0 },
+                        r2: { status: 'healthy', consecutiveFailures: 0, consecutiveSuccesses: 0 },
+                    },
+                });
+            });
+
+            it('should report degraded when some members are unhealthy', async () => {
+                const db = createTagged({
+                    healthCheck: { interval: '10ms', checks: { r1: async () => false } },
+                });
+
+                await db.connect();
+                await new Promise(r => setTimeout(r, 50));
+
+                const group = db.health({ tag: 'read' });
+                expect(group.status).toBe('degraded');
+                expect(group.connections.r1.status).toBe('unhealthy');
+                await db.disconnect();
+            });
+
+            it('should report unhealthy when all members are unhealthy', async () => {
+                const db = createTagged({
+                    healthCheck: {
+                        interval: '10ms',
+                        checks: { r1: async () => false, r2: async () => false },
+                    },
+                });
+
+                await db.connect();
+                await new Promise(r => setTimeout(r, 50));
+
+                expect(db.health({ tag: 'read' }).status).toBe('unhealthy');
+                await db.disconnect();
+            });
+
+            it('should report unhealthy for tags without members', () => {
+                const db = createTagged();
+
+                expect(db.health({ tag: 'missing' })).toEqual({
+                    tag: 'missing',
+                    status: 'unhealthy',
+                    connections: {},
+                });
+            });
+        });
+    });
+
+    describe('read/write splitting', () => {
+        const clients = () => ({
+            primary: { name: 'primary' },
+            r1: { name: 'r1' },
+            r2: { name: 'r2' },
+            dr: { name: 'dr' },
+        });
+
+        it('should throw if replica primary does not exist', () => {
+            expect(() => new Orchestrator({
+                connections: { r1: {} },
+                replicas: { primary: ['r1'] },
+            })).toThrow(/Replica config error: primary "primary" not found/);
+        });
+
+        it('should throw if a replica does not exist', () => {
+            expect(() => new Orchestrator({
+                connections: { primary: {} },
+                replicas: { primary: ['r1'] },
+            })).toThrow(/Replica config error: replica "r1" for primary "primary" not found/);
+        });
+
+        it('should throw if a primary is its own replica', () => {
+            expect(() => new Orchestrator({
+                connections: { primary: {} },
+                replicas: { primary: ['primary'] },
+            })).toThrow(/Replica config error: replica "primary"/);
+        });
+
+        it('should throw if replicas is not an array', () => {
+            expect(() => new Orchestrator({
+                connections: { primary: {}, r1: {} },
+                replicas: { primary: 'r1' },
+            })).toThrow('Invalid pool configuration: members for "primary" must be an array');
+        });
+
+        it('should round-robin reads across healthy replicas', () => {
+            const c = clients();
+            const db = new Orchestrator({ connections: c, replicas: { primary: ['r1', 'r2'] } });
+
+            expect(db.read('primary')).toBe(c.r1);
+            expect(db.read('primary')).toBe(c.r2);
+            expect(db.read('primary')).toBe(c.r1);
+        });
+
+        it('should route writes to the primary', () => {
+            const c = clients();
+            const db = new Orchestrator({ connections: c, replicas: { primary: ['r1', 'r2'] } });
+
+            expect(db.write('primary')).toBe(c.primary);
+        });
+
+        it('should read from the primary when no replicas are configured', () => {
+            const c = clients();
+            const db = new Orchestrator({ connections: c });
+
+            expect(db.read('primary')).toBe(c.primary);
+        });
+
+        it('should skip unhealthy replicas and prefer healthy over degraded', async () => {
+            const c = clients();
+            const db = new Orchestrator({
+                connections: c,
+                replicas: { primary: ['r1', 'r2', 'dr'] },
+                healthCheck: {
+                    interval: '10ms',
+                    checks: { r1: async () => false, r2: async () => true, dr: async () => 'degraded' },
+                },
+            });
+
+            await db.connect();
             await new Promise(r => setTimeout(r, 50));
 
-            // Verify setup conditions
-            const stats = db.getStats();
-            expect(stats.primary.status).toBe('unhealthy');
-            expect(stats.primary.circuit).toBe('open');
+            expect(db.read('primary')).toBe(c.r2);
+            expect(db.read('primary')).toBe(c.r2);
+            await db.disconnect();
+        });
+
+        it('should use degraded replicas when none is healthy', async () => {
+            const c = clients();
+            const db = new Orchestrator({
+                connections: c,
+                replicas: { primary: ['r1', 'r2'] },
+                healthCheck: {
+                    interval: '10ms',
+                    checks: { r1: async () => false, r2: async () => 'degraded' },
+                },
+            });
+
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.read('primary')).toBe(c.r2);
+            await db.disconnect();
+        });
+
+        it('should fall back to the primary when all replicas are unhealthy', async () => {
+            const c = clients();
+            const db = new Orchestrator({
+                connections: c,
+                replicas: { primary: ['r1', 'r2'] },
+                healthCheck: {
+                    interval: '10ms',
+                    checks: { r1: async () => false, r2: async () => false },
+                },
+            });
+
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.read('primary')).toBe(c.primary);
+            await db.disconnect();
+        });
+
+        it('should skip replicas with an open circuit', () => {
+            const c = clients();
+            const db = new Orchestrator({
+                connections: c,
+                replicas: { primary: ['r1', 'r2'] },
+                circuitBreaker: { threshold: 1 },
+            });
+
+            db.recordFailure('r1');
+
+            expect(db.read('primary')).toBe(c.r2);
+            expect(db.read('primary')).toBe(c.r2);
+        });
+
+        it('should use failover for writes when the primary is unhealthy', async () => {
+            const c = clients();
+            const db = new Orchestrator({
+                connections: c,
+                replicas: { primary: ['r1'] },
+                failover: { primary: 'dr' },
+                healthCheck: { interval: '10ms', checks: { primary: async () => false } },
+            });
+            const failoverHandler = vi.fn();
+            db.on('failover', failoverHandler);
+
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.write('primary')).toBe(c.dr);
+            expect(db.read('primary')).toBe(c.r1);
+            expect(failoverHandler).toHaveBeenCalledWith(expect.objectContaining({ primary: 'primary', backup: 'dr' }));
+            await db.disconnect();
+        });
+
+        it('should route execute() by mode', async () => {
+            const c = clients();
+            const db = new Orchestrator({ connections: c, replicas: { primary: ['r1'] } });
+
+            expect(await db.execute('primary', async (client) => client.name, { mode: 'read' })).toBe('r1');
+            expect(await db.execute('primary', async (client) => client.name, { mode: 'write' })).toBe('primary');
+            expect(await db.execute('primary', async (client) => client.name)).toBe('primary');
+        });
+
+        it('should add replicas at runtime with replicaOf', () => {
+            const c = clients();
+            const db = new Orchestrator({ connections: { primary: c.primary } });
+
+            db.add('r1', c.r1, { replicaOf: 'primary' });
+            db.add('r2', c.r2, { replicaOf: 'primary' });
+
+            expect(db.read('primary')).toBe(c.r1);
+            expect(db.read('primary')).toBe(c.r2);
+        });
+
+        it('should throw and roll back if replicaOf primary does not exist', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            expect(() => db.add('r1', {}, { replicaOf: 'primary' }))
+                .toThrow(/Replica config error: primary "primary" for replica "r1" not found/);
+            expect(db.has('r1')).toBe(false);
+        });
+
+        it('should drop removed replicas and replica sets', async () => {
+            const c = clients();
+            const db = new Orchestrator({ connections: c, replicas: { primary: ['r1', 'r2'] } });
+
+            await db.remove('r1');
+            expect(db.read('primary')).toBe(c.r2);
+
+            await db.remove('r2');
+            expect(db.read('primary')).toBe(c.primary);
+
+            await db.remove('primary');
+            expect(db.has('primary')).toBe(false);
+        });
+    });
+
+    describe('pools', () => {
+        const clients = () => ({
+            r1: { name: 'r1' },
+            r2: { name: 'r2' },
+            r3: { name: 'r3' },
+        });
+
+        it('should throw if a pool has the same name as a connection', () => {
+            expect(() => new Orchestrator({
+                connections: { r1: {} },
+                pools: { r1: ['r1'] },
+            })).toThrow('Pool config error: pool "r1" has the same name as a connection');
+        });
+
+        it('should throw if a pool has no members', () => {
+            expect(() => new Orchestrator({
+                connections: { r1: {} },
+                pools: { reads: [] },
+            })).toThrow('Pool config error: pool "reads" must have at least one member');
+        });
+
+        it('should throw if a pool member does not exist', () => {
+            expect(() => new Orchestrator({
+                connections: { r1: {} },
+                pools: { reads: ['r1', 'r9'] },
+            })).toThrow(/Pool config error: member "r9" of pool "reads" not found in connections/);
+        });
+
+        it('should resolve pool names to members', () => {
+            const c = clients();
+            const db = new Orchestrator({ connections: c, pools: { reads: ['r1', 'r2'] } });
+
+            expect(db.get('reads')).toBe(c.r1);
+            expect(db.get('reads')).toBe(c.r2);
+            expect(db.read('reads')).toBe(c.r1);
+            expect(db.write('reads')).toBe(c.r2);
+        });
+
+        it('should use the configured strategy', () => {
+            const c = clients();
+            const db = new Orchestrator({
+                connections: c,
+                pools: { reads: { members: ['r1', 'r2'], strategy: (candidates) => candidates[1] } },
+            });
+
+            expect(db.get('reads')).toBe(c.r2);
+            expect(db.get('reads')).toBe(c.r2);
+        });
+
+        it('should skip unhealthy members and members with an open circuit', async () => {
+            const c = clients();
+            const db = new Orchestrator({
+                connections: c,
+                pools: { reads: ['r1', 'r2', 'r3'] },
+                circuitBreaker: { threshold: 1 },
+                healthCheck: { interval: '10ms', checks: { r1: async () => false } },
+            });
+
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+            db.recordFailure('r2');
+
+            expect(db.get('reads')).toBe(c.r3);
+            expect(db.get('reads')).toBe(c.r3);
+            await db.disconnect();
+        });
+
+        it('should throw if no member is available', () => {
+            const db = new Orchestrator({
+                connections: clients(),
+                pools: { reads: ['r1'] },
+                circuitBreaker: { threshold: 1 },
+            });
+
+            db.recordFailure('r1');
+
+            expect(() => db.get('reads')).toThrow('No available members in pool "reads"');
+        });
+
+        it('should execute on pool members', async () => {
+            const db = new Orchestrator({ connections: clients(), pools: { reads: ['r1', 'r2'] } });
+
+            expect(await db.execute('reads', async (client) => client.name)).toBe('r1');
+            expect(await db.execute('reads', async (client) => client.name)).toBe('r2');
+        });
+
+        it('should route to the member with the fewest operations in flight', async () => {
+            const db = new Orchestrator({
+                connections: clients(),
+                pools: { reads: { members: ['r1', 'r2'], strategy: 'least-in-flight' } },
+            });
+            let release;
+            const blocked = new Promise(r => { release = r; });
+
+            const first = db.execute('reads', async (client) => {
+                await blocked;
+                return client.name;
+            });
+
+            expect(await db.execute('reads', async (client) => client.name)).toBe('r2');
+            release();
+            expect(await first).toBe('r1');
+            expect(await db.execute('reads', async (client) => client.name)).toBe('r1');
+        });
+
+        it('should route to the member with the lowest latency', async () => {
+            const db = new Orchestrator({
+                connections: clients(),
+                pools: { reads: { members: ['r1', 'r2'], strategy: 'lowest-latency' } },
+            });
+
+            await db.execute('reads', () => new Promise(r => setTimeout(r, 30)));
+            await db.execute('reads', async () => {});
+
+            expect(await db.execute('reads', async (client) => client.name)).toBe('r2');
+        });
+
+        it('should release in-flight slots when operations fail', async () => {
+            const db = new Orchestrator({
+                connections: clients(),
+                pools: { reads: { members: ['r1', 'r2'], strategy: 'least-in-flight' } },
+            });
+
+            await expect(db.execute('reads', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+            expect(await db.execute('reads', async (client) => client.name)).toBe('r1');
+        });
+
+        it('should stop tracking connections removed while an operation runs', async () => {
+            const c = clients();
+            const db = new Orchestrator({
+                connections: c,
+                pools: { reads: { members: ['r1', 'r2'], strategy: 'least-in-flight' } },
+            });
+            let release;
+            const blocked = new Promise(r => { release = r; });
+
+            const first = db.execute('reads', async () => blocked);
+            await db.remove('r1');
+            release();
+            await first;
+            db.add('r1', c.r1);
+
+            expect(await db.execute('r1', async (client) => client.name)).toBe('r1');
+        });
+
+        it('should accept a strategy for replica sets', () => {
+            const c = { primary: { name: 'primary' }, ...clients() };
+            const db = new Orchestrator({
+                connections: c,
+                replicas: { primary: { members: ['r1', 'r2'], strategy: (candidates) => candidates[1] } },
+            });
+
+            expect(db.read('primary')).toBe(c.r2);
+            expect(db.read('primary')).toBe(c.r2);
+        });
+
+        it('should throw when adding a connection named like a pool', () => {
+            const db = new Orchestrator({ connections: clients(), pools: { reads: ['r1'] } });
+
+            expect(() => db.add('reads', {})).toThrow('Connection "reads" has the same name as a pool');
+        });
+
+        it('should drop removed members from pools', async () => {
+            const c = clients();
+            const db = new Orchestrator({ connections: c, pools: { reads: ['r1', 'r2'] } });
+
+            await db.remove('r1');
+
+            expect(db.get('reads')).toBe(c.r2);
+            expect(db.get('reads')).toBe(c.r2);
+        });
+    });
+
+    describe('get()', () => {
+        it('should return the registered client', () => {
+            const client = { query: () => { } };
+            const db = new Orchestrator({
+                connections: { main: client },
+            });
+
+            expect(db.get('main')).toBe(client);
+        });
+
+        it('should return undefined for non-existent connection', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            expect(db.get('nonexistent')).toBeUndefined();
+        });
+    });
+
+    describe('list()', () => {
+        it('should return all connection names', () => {
+            const db = new Orchestrator({
+                connections: { db1: {}, db2: {}, cache: {} },
+            });
+
+            const names = db.list();
+
+            expect(names).toHaveLength(3);
+            expect(names).toContain('db1');
+            expect(names).toContain('db2');
+            expect(names).toContain('cache');
+        });
+    });
+
+    describe('has()', () => {
+        it('should return true for existing connections', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            expect(db.has('main')).toBe(true);
+        });
+
+        it('should return false for non-existent connections', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            expect(db.has('nonexistent')).toBe(false);
+        });
+    });
+
+    describe('size', () => {
+        it('should return the number of connections', () => {
+            const db = new Orchestrator({
+                connections: { db1: {}, db2: {}, db3: {} },
+            });
+
+            expect(db.size).toBe(3);
+        });
+    });
+
+    describe('health()', () => {
+        it('should return health status for all connections', () => {
+            const db = new Orchestrator({
+                connections: { db1: {}, db2: {} },
+            });
+
+            const health = db.health();
+
+            expect(health).toHaveProperty('db1');
+            expect(health).toHaveProperty('db2');
+            expect(health.db1.status).toBe('healthy');
+            expect(health.db2.status).toBe('healthy');
+        });
+
+        it('should include failoverTo when in failover', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, backup: {} },
+                failover: { primary: 'backup' },
+                healthCheck: {
+                    checks: {
+                        primary: async () => false,
+                        backup: async () => true,
+                    },
+                },
+            });
+
+            // Trigger failover by calling get() after health check fails
+            // First, manually trigger a health check scenario
+            db.get('primary'); // First call sets up failover since primary defaults to healthy
+
+            const health = db.health();
+            expect(health.primary.status).toBe('healthy'); // Still healthy until check runs
+        });
+    });
+
+    describe('failover integration', () => {
+        it('should emit failover event when routing to backup', () => {
+            const primary = { name: 'primary' };
+            const backup = { name: 'backup' };
+
+            const db = new Orchestrator({
+                connections: { primary, backup },
+                failover: { primary: 'backup' },
+                healthCheck: {
+                    checks: {
+                        primary: async () => false,
+                    },
+                },
+            });
+
+            const handler = vi.fn();
+            db.on('failover', handler);
+
+            // Note: Failover only triggers when health status is not 'healthy'
+            // Since we haven't run health checks, status is 'healthy' by default
+            db.get('primary');
+
+            // Won't trigger because status is 'healthy' by default
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should return backup client when primary is unhealthy', () => {
+            const primary = { name: 'primary' };
+            const backup = { name: 'backup' };
+
+            const db = new Orchestrator({
+                connections: { primary, backup },
+                failover: { primary: 'backup' },
+            });
+
+            // By default, all connections are healthy, so we get primary
+            const client = db.get('primary');
+            expect(client).toBe(primary);
+        });
+
+        it('should failover to backup even if primary circuit is OPEN (Regression Test)', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, backup: {} },
+                failover: { primary: 'backup' },
+                circuitBreaker: { threshold: 1 }, // Easy to trip
+                healthCheck: {
+                    checks: {
+                        primary: async () => false, // Will result in 'unhealthy'
+                        backup: async () => true,
+                    },
+                    interval: '10ms'
+                }
+            });
+
+            await db.connect();
+
+            // 1. Wait for health check to run
+            // This will:
+            // a) Mark primary 'unhealthy'
+            // b) Trip primary circuit (sync logic)
+            await new Promise(r => setTimeout(r, 50));
+
+            // Verify setup conditions
+            const stats = db.getStats();
+            expect(stats.primary.status).toBe('unhealthy');
+            expect(stats.primary.circuit).toBe('open');
+
+            // 2. Attempt to get connection
+            // BEFORE FIX: Threw "Circuit open for 'primary'"
+            // AFTER FIX: Returns backup connection
+            const client = db.get('primary');
+            const backup = db.get('backup'); // Direct access to compare
+
+            expect(client).toBe(backup);
+
+            await db.disconnect();
+        });
+
+        it('should follow multi-hop failover chains', async () => {
+            const c = { primary: { name: 'primary' }, replica: { name: 'replica' }, dr: { name: 'dr' } };
+            const up = { primary: false, replica: false, dr: true };
+            const db = new Orchestrator({
+                connections: c,
+                failover: { primary: 'replica', replica: 'dr' },
+                healthCheck: {
+                    interval: '10ms',
+                    checks: {
+                        primary: async () => up.primary,
+                        replica: async () => up.replica,
+                        dr: async () => up.dr,
+                    },
+                },
+            });
+            const failoverHandler = vi.fn();
+            const recoveryHandler = vi.fn();
+            db.on('failover', failoverHandler);
+            db.on('recovery', recoveryHandler);
+
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.get('primary')).toBe(c.dr);
+            expect(db.get('primary')).toBe(c.dr);
+            expect(failoverHandler).toHaveBeenCalledTimes(1);
+            expect(failoverHandler).toHaveBeenCalledWith(expect.objectContaining({
+                primary: 'primary',
+                backup: 'dr',
+                depth: 2,
+            }));
+            expect(db.health().primary).toMatchObject({ status: 'unhealthy', failoverTo: 'dr' });
+            expect(db.getStats().primary.failoverTo).toBe('dr');
+
+            // Replica comes back: the chain target moves closer to the primary
+            up.replica = true;
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.get('primary')).toBe(c.replica);
+            expect(failoverHandler).toHaveBeenCalledTimes(2);
+            expect(failoverHandler).toHaveBeenLastCalledWith(expect.objectContaining({
+                primary: 'primary',
+                backup: 'replica',
+                depth: 1,
+            }));
+            expect(db.health().primary.failoverTo).toBe('replica');
+
+            up.primary = true;
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.get('primary')).toBe(c.primary);
+            expect(recoveryHandler).toHaveBeenCalledWith(expect.objectContaining({
+                primary: 'primary',
+                backup: 'replica',
+            }));
+            expect(db.health().primary.status).toBe('healthy');
+            expect(db.health().primary).not.toHaveProperty('failoverTo');
+
+            await db.disconnect();
+        });
+
+        it('should fail over to the first usable candidate in a list', async () => {
+            const c = { primary: { name: 'primary' }, a: { name: 'a' }, b: { name: 'b' }, dr: { name: 'dr' } };
+            const up = { primary: false, a: false, b: true, dr: true };
+            const db = new Orchestrator({
+                connections: c,
+                failover: { primary: ['a', 'b', 'dr'] },
+                healthCheck: {
+                    interval: '10ms',
+                    checks: {
+                        primary: async () => up.primary,
+                        a: async () => up.a,
+                        b: async () => up.b,
+                        dr: async () => up.dr,
+                    },
+                },
+            });
+            const failoverHandler = vi.fn();
+            const recoveryHandler = vi.fn();
+            db.on('failover', failoverHandler);
+            db.on('recovery', recoveryHandler);
+
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.get('primary')).toBe(c.b);
+            expect(failoverHandler).toHaveBeenCalledWith(expect.objectContaining({
+                primary: 'primary',
+                backup: 'b',
+                candidates: ['a', 'b', 'dr'],
+                depth: 1,
+            }));
+            expect(db.health().primary.failoverTo).toBe('b');
+
+            up.primary = true;
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.get('primary')).toBe(c.primary);
+            expect(recoveryHandler).toHaveBeenCalledWith(expect.objectContaining({
+                primary: 'primary',
+                backup: 'b',
+                candidates: ['a', 'b', 'dr'],
+            }));
+            await db.disconnect();
+        });
+
+        it('should validate every failover candidate', () => {
+            expect(() => new Orchestrator({
+                connections: { primary: {}, a: {} },
+                failover: { primary: ['a', 'missing'] },
+            })).toThrow(/Failover config error: backup "missing" for primary "primary" not found/);
+        });
+
+        it('should accept candidate lists in add()', () => {
+            const db = new Orchestrator({ connections: { a: {}, b: {} } });
+
+            expect(() => db.add('tenant', {}, { failover: ['a', 'missing'] }))
+                .toThrow(/backup "missing" for primary "tenant" not found/);
+            expect(db.has('tenant')).toBe(false);
+
+            db.add('tenant', {}, { failover: ['a', 'b'] });
+            expect(db.has('tenant')).toBe(true);
+        });
+
+        it('should not remove a connection used as failover candidate', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, a: {}, b: {} },
+                failover: { primary: ['a', 'b'] },
+            });
+
+            await expect(db.remove('b')).rejects.toThrow('Cannot remove "b": it is the failover backup for primary');
+        });
+
+        describe('failover policy', () => {
+            const c = () => ({ primary: { name: 'primary' }, backup: { name: 'backup' } });
+
+            beforeEach(() => {
+                vi.useFakeTimers();
+            });
+
+            afterEach(() => {
+                vi.useRealTimers();
+            });
+
+            it('should not flap between primary and backup', async () => {
+                const clients = c();
+                let up = true;
+                const db = new Orchestrator({
+                    connections: clients,
+                    failover: { primary: 'backup' },
+                    failoverPolicy: { recoveryThreshold: 3 },
+                    healthCheck: {
+                        interval: '1s',
+                        checks: { primary: async () => { up = !up; return up; } },
+                    },
+                });
+                const failoverHandler = vi.fn();
+                const recoveryHandler = vi.fn();
+                db.on('failover', failoverHandler);
+                db.on('recovery', recoveryHandler);
+
+                await db.connect();
+                for (let i = 0; i < 6; i++) {
+                    await vi.advanceTimersByTimeAsync(1000);
+                    expect(db.get('primary')).toBe(clients.backup);
+                }
+
+                expect(failoverHandler).toHaveBeenCalledTimes(1);
+                expect(recoveryHandler).not.toHaveBeenCalled();
+                expect(db.getStats().primary.timeInFailover).toBe(5000);
+                await db.disconnect();
+            });
+
+            it('should fail back after recoveryThreshold consecutive passing checks', async () => {
+                const clients = c();
+                let up = false;
+                const db = new Orchestrator({
+                    connections: clients,
+                    failover: { primary: 'backup' },
+                    failoverPolicy: { recoveryThreshold: 2 },
+                    healthCheck: { interval: '1s', checks: { primary: async () => up } },
+                });
+
+                await db.connect();
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.backup);
+
+                up = true;
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.health().primary.status).toBe('healthy');
+                expect(db.get('primary')).toBe(clients.backup);
+
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.primary);
+                expect(db.getStats().primary.timeInFailover).toBeNull();
+                await db.disconnect();
+            });
+
+            it('should wait for failoverThreshold consecutive unhealthy checks', async () => {
+                const clients = c();
+                const db = new Orchestrator({
+                    connections: clients,
+                    failover: { primary: 'backup' },
+                    failoverPolicy: { failoverThreshold: 3 },
+                    healthCheck: { interval: '1s', checks: { primary: async () => false } },
+                });
+
+                await db.connect();
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.health().primary.status).toBe('unhealthy');
+                expect(db.get('primary')).toBe(clients.primary);
+
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.primary);
+
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.backup);
+                await db.disconnect();
+            });
+
+            it('should keep the circuit closed while failoverThreshold holds the primary', async () => {
+                const clients = c();
+                const db = new Orchestrator({
+                    connections: clients,
+                    failover: { primary: 'backup' },
+                    failoverPolicy: { failoverThreshold: 3 },
+                    circuitBreaker: { threshold: 5 },
+                    healthCheck: { interval: '1s', checks: { primary: async () => false } },
+                });
+                const opened = vi.fn();
+                db.on('circuit:open', opened);
+
+                await db.connect();
+                await vi.advanceTimersByTimeAsync(2000);
+                expect(db.health().primary.status).toBe('unhealthy');
+                expect(db.get('primary')).toBe(clients.primary);
+                expect(db.getStats().primary.circuit).toBe('closed');
+                expect(db.readiness().reasons).toEqual([
+                    '"primary" is unhealthy and stays in use until failoverThreshold is reached',
+                ]);
+                expect(opened).not.toHaveBeenCalled();
+
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.backup);
+                expect(db.getStats().primary.circuit).toBe('open');
+                expect(opened).toHaveBeenCalledOnce();
+                expect(opened).toHaveBeenCalledWith(expect.objectContaining({ name: 'primary', reason: 'health-check-failed' }));
+                expect(db.readiness()).toEqual({ ok: true, reasons: [] });
+
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(opened).toHaveBeenCalledOnce();
+                await db.disconnect();
+            });
+
+            it('should stay in failover for minFailoverDuration', async () => {
+                const clients = c();
+                let up = false;
+                const db = new Orchestrator({
+                    connections: clients,
+                    failover: { primary: 'backup' },
+                    failoverPolicy: { minFailoverDuration: '5s' },
+                    healthCheck: { interval: '1s', checks: { primary: async () => up } },
+                });
+                const recoveryHandler = vi.fn();
+                db.on('recovery', recoveryHandler);
+
+                await db.connect();
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.backup);
+
+                up = true;
+                await vi.advanceTimersByTimeAsync(3000);
+                expect(db.get('primary')).toBe(clients.backup);
+                expect(recoveryHandler).not.toHaveBeenCalled();
+
+                await vi.advanceTimersByTimeAsync(2000);
+                expect(db.get('primary')).toBe(clients.primary);
+                expect(recoveryHandler).toHaveBeenCalledTimes(1);
+                await db.disconnect();
+            });
+
+            it('should not fail back to an unhealthy primary when the backup goes down too', async () => {
+                const clients = c();
+                let backupUp = true;
+                const db = new Orchestrator({
+                    connections: clients,
+                    failover: { primary: 'backup' },
+                    failoverPolicy: { minFailoverDuration: '1h', recoveryThreshold: 3 },
+                    healthCheck: {
+                        interval: '1s',
+                        checks: { primary: async () => false, backup: async () => backupUp },
+                    },
+                });
+                const recoveryHandler = vi.fn();
+                db.on('recovery', recoveryHandler);
+
+                await db.connect();
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.backup);
+
+                backupUp = false;
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.health().backup.status).toBe('unhealthy');
+                expect(db.get('primary')).toBe(clients.backup);
+                expect(recoveryHandler).not.toHaveBeenCalled();
+
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.backup);
+                expect(db.getStats().primary.timeInFailover).toBe(2000);
+                await db.disconnect();
+            });
+
+            it('should count failed verification as an unhealthy check', async () => {
+                const clients = c();
+                const db = new Orchestrator({
+                    connections: { ...clients, primary: { connect: async () => { throw new Error('refused'); } } },
+                    failover: { primary: 'backup' },
+                    failoverPolicy: { failoverThreshold: 2 },
+                    healthCheck: { interval: '1s', checks: { primary: async () => false } },
+                });
+                db.on('error', () => {});
+
+                await db.connect({ verify: true, required: [] });
+                expect(db.get('primary')).not.toBe(clients.backup);
+
+                await vi.advanceTimersByTimeAsync(1000);
+                expect(db.get('primary')).toBe(clients.backup);
+                await db.disconnect();
+            });
+
+            it('should validate the policy', () => {
+                expect(() => new Orchestrator({
+                    connections: c(),
+                    failoverPolicy: { recoveryThreshold: 0 },
+                })).toThrow('recoveryThreshold must be a positive integer (>= 1)');
+            });
+        });
+
+        it('should stay on the primary when the whole chain is unhealthy', async () => {
+            const c = { primary: { name: 'primary' }, replica: { name: 'replica' }, dr: { name: 'dr' } };
+            const db = new Orchestrator({
+                connections: c,
+                failover: { primary: 'replica', replica: 'dr' },
+                healthCheck: {
+                    interval: '10ms',
+                    checks: {
+                        primary: async () => false,
+                        replica: async () => false,
+                        dr: async () => false,
+                    },
+                },
+            });
+            const failoverHandler = vi.fn();
+            db.on('failover', failoverHandler);
+
+            await db.connect();
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(db.get('primary')).toBe(c.primary);
+            expect(failoverHandler).not.toHaveBeenCalled();
+            await db.disconnect();
+        });
+    });
+
+    describe('disconnect() cleanup', () => {
+        it('should stop health monitoring on disconnect', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            await db.connect();
+            await db.disconnect();
+
+            // Internal state verification via isConnected
+            expect(db.isConnected).toBe(false);
+        });
+    });
+
+    describe('shutdownOnSignal()', () => {
+        it('should register signal handlers', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            const processSpy = vi.spyOn(process, 'on');
+
+            db.shutdownOnSignal();
+
+            // Should register SIGTERM and SIGINT by default
+            expect(processSpy).toHaveBeenCalledWith('SIGTERM', expect.any(Function));
+            expect(processSpy).toHaveBeenCalledWith('SIGINT', expect.any(Function));
+
+            processSpy.mockRestore();
+        });
+
+        it('should register custom signals', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            const processSpy = vi.spyOn(process, 'on');
+
+            db.shutdownOnSignal({ signals: ['SIGHUP'] });
+
+            expect(processSpy).toHaveBeenCalledWith('SIGHUP', expect.any(Function));
+            expect(processSpy).not.toHaveBeenCalledWith('SIGTERM', expect.any(Function));
+
+            processSpy.mockRestore();
+        });
+
+        it('should return cleanup function that removes handlers', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            const processOnSpy = vi.spyOn(process, 'on');
+            const processOffSpy = vi.spyOn(process, 'off');
+
+            const cleanup = db.shutdownOnSignal({ signals: ['SIGTERM'] });
+
+            expect(processOnSpy).toHaveBeenCalledTimes(1);
+
+            cleanup();
+
+            expect(processOffSpy).toHaveBeenCalledWith('SIGTERM', expect.any(Function));
+
+            processOnSpy.mockRestore();
+            processOffSpy.mockRestore();
+        });
+
+        it('should emit shutdown event when signal is received', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            await db.connect();
+
+            const shutdownHandler = vi.fn();
+            db.on('shutdown', shutdownHandler);
+
+            // Mock process.exit to prevent actual exit
+            const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => { });
+
+            // Capture the handler registered for SIGTERM
+            let signalHandler;
+            const processSpy = vi.spyOn(process, 'on').mockImplementation((signal, handler) => {
+                if (signal === 'SIGTERM') signalHandler = handler;
+                return process;
+            });
+
+            db.shutdownOnSignal({ signals: ['SIGTERM'] });
+
+            // Simulate signal
+            await signalHandler('SIGTERM');
+
+            expect(shutdownHandler).toHaveBeenCalledWith(
+                expect.objectContaining({ signal: 'SIGTERM' })
+            );
+            expect(db.isConnected).toBe(false);
+            expect(exitSpy).toHaveBeenCalledWith(0);
+
+            processSpy.mockRestore();
+            exitSpy.mockRestore();
+        });
+
+        it('should not exit process if exitProcess is false', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            await db.connect();
+
+            const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => { });
+
+            let signalHandler;
+            const processSpy = vi.spyOn(process, 'on').mockImplementation((signal, handler) => {
+                if (signal === 'SIGTERM') signalHandler = handler;
+                return process;
+            });
+
+            db.shutdownOnSignal({ signals: ['SIGTERM'], exitProcess: false });
+
+            await signalHandler('SIGTERM');
+
+            expect(exitSpy).not.toHaveBeenCalled();
+            expect(db.isConnected).toBe(false);
+
+            processSpy.mockRestore();
+            exitSpy.mockRestore();
+        });
+
+        it('should use custom exit code', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            await db.connect();
+
+            const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => { });
+
+            let signalHandler;
+            const processSpy = vi.spyOn(process, 'on').mockImplementation((signal, handler) => {
+                if (signal === 'SIGTERM') signalHandler = handler;
+                return process;
+            });
+
+            db.shutdownOnSignal({ signals: ['SIGTERM'], exitCode: 42 });
+
+            await signalHandler('SIGTERM');
+
+            expect(exitSpy).toHaveBeenCalledWith(42);
+
+            processSpy.mockRestore();
+            exitSpy.mockRestore();
+        });
+    });
+
+    describe('circuit breaker integration', () => {
+        it('should create circuits when circuitBreaker config is provided', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { threshold: 3 },
+            });
+
+            expect(db.get('main')).toBeDefined();
+        });
+
+        it('should throw when circuit is open', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { threshold: 2 },
+            });
+
+            // Trigger circuit to open
+            db.recordFailure('main');
+            db.recordFailure('main');
+
+            expect(() => db.get('main')).toThrow('Circuit open for "main"');
+        });
+
+        it('should open failure-rate circuits from execute() errors', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { mode: 'rate', failureRate: 0.5, minimumRequests: 4 },
+            });
+            let calls = 0;
+            const query = () => db.execute('main', async () => {
+                if (calls++ % 2 === 0) throw new Error('timeout');
+                return 'ok';
+            }).catch(() => { });
+
+            for (let i = 0; i < 3; i++) await query();
+            expect(db.getStats().main).toMatchObject({ circuit: 'closed', failures: 2 });
+
+            await query();
+            await query();
+
+            expect(db.getStats().main.circuit).toBe('open');
+        });
+
+        it('should limit concurrent half-open trials in execute() and count rejections', async () => {
+            vi.useFakeTimers({ toFake: ['performance'] });
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { threshold: 1, resetTimeout: 1000, halfOpenMaxConcurrent: 1 },
+            });
+            db.recordFailure('main');
+            expect(() => db.get('main')).toThrow('Circuit open for "main"');
+            vi.advanceTimersByTime(1000);
+
+            let finish;
+            const trial = db.execute('main', () => new Promise((resolve) => { finish = resolve; }));
+            await vi.waitFor(() => expect(finish).toBeDefined());
+
+            await expect(db.execute('main', async () => 'second')).rejects.toThrow('Circuit open for "main"');
+            expect(db.getStats().main.rejections).toBe(2);
+
+            finish('first');
+            await expect(trial).resolves.toBe('first');
+            vi.useRealTimers();
+        });
+
+        it('should emit circuit:open when failures reach threshold', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { threshold: 2 },
+            });
+
+            const openHandler = vi.fn();
+            db.on('circuit:open', openHandler);
+
+            db.recordFailure('main');
+            expect(openHandler).not.toHaveBeenCalled();
+
+            db.recordFailure('main');
+            expect(openHandler).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'main',
+                timestamp: expect.any(Number),
+            }));
+        });
+
+        it('should emit circuit:open when a success completes a failing window', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { mode: 'rate', failureRate: 0.5, windowSize: 4 },
+            });
+            const openHandler = vi.fn();
+            const closeHandler = vi.fn();
+            db.on('circuit:open', openHandler);
+            db.on('circuit:close', closeHandler);
+
+            db.recordFailure('main');
+            db.recordFailure('main');
+            db.recordSuccess('main');
+            db.recordSuccess('main');
+
+            expect(openHandler).toHaveBeenCalledOnce();
+            expect(openHandler).toHaveBeenCalledWith({ name: 'main', timestamp: expect.any(Number) });
+            expect(closeHandler).not.toHaveBeenCalled();
+        });
+
+        it('should emit circuit:close when circuit recovers', () => {
+            vi.useFakeTimers();
+
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { threshold: 1, resetTimeout: 100, halfOpenSuccesses: 1 },
+            });
+
+            const closeHandler = vi.fn();
+            db.on('circuit:close', closeHandler);
+
+            // Open the circuit
+            db.recordFailure('main');
+
+            // Advance to half-open
+            vi.advanceTimersByTime(101);
+
+            // Success in half-open should close
+            db.recordSuccess('main');
+
+            expect(closeHandler).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'main',
+                timestamp: expect.any(Number),
+            }));
+
+            vi.useRealTimers();
+        });
+
+        it('should not emit circuit:close if already closed', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { threshold: 3 },
+            });
+
+            const closeHandler = vi.fn();
+            db.on('circuit:close', closeHandler);
+
+            // Record success when circuit is already closed
+            db.recordSuccess('main');
+
+            expect(closeHandler).not.toHaveBeenCalled();
+        });
+
+        it('should do nothing if circuit breaker is not configured', () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+            });
+
+            // These should not throw
+            db.recordSuccess('main');
+            db.recordFailure('main');
+
+            // get should still work
+            expect(db.get('main')).toBeDefined();
+        });
+    });
+
+    describe('per-connection circuit breakers', () => {
+        it('should apply default settings with per-connection overrides', () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, replica: {}, cache: {} },
+                circuitBreaker: {
+                    default: { threshold: 5, resetTimeout: '10s' },
+                    connections: { cache: { threshold: 1, resetTimeout: '1s' }, primary: false },
+                },
+            });
+
+            db.recordFailure('cache');
+            db.recordFailure('replica');
+            db.recordFailure('primary');
+
+            expect(db.getStats()).toMatchObject({
+                primary: { circuit: 'n/a', failures: 0, openDuration: null },
+                replica: { circuit: 'closed', failures: 1, openDuration: 10000 },
+                cache: { circuit: 'open', failures: 1, openDuration: 1000 },
+            });
+        });
+
+        it('should treat top-level options next to connections as the default', () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, cache: {} },
+                circuitBreaker: { threshold: 1, connections: { primary: { resetTimeout: '1m' } } },
+            });
+
+            db.recordFailure('primary');
+
+            expect(db.getStats()).toMatchObject({
+                primary: { circuit: 'open', openDuration: 60000 },
+                cache: { circuit: 'closed', openDuration: 30000 },
+            });
+        });
+
+        it('should only create listed circuit breakers when default is false', () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, cache: {} },
+                circuitBreaker: { default: false, connections: { cache: { threshold: 2 } } },
+            });
+
+            expect(db.getStats().primary.circuit).toBe('n/a');
+            expect(db.getStats().cache.circuit).toBe('closed');
+        });
+
+        it('should use per-connection external circuit breakers', async () => {
+            const external = { execute: vi.fn(async (fn) => fn()) };
+            const db = new Orchestrator({
+                connections: { primary: {}, cache: {} },
+                circuitBreaker: { connections: { cache: { use: external } } },
+            });
+
+            await db.execute('cache', async () => 'ok');
+            await db.execute('primary', async () => 'ok');
+
+            expect(external.execute).toHaveBeenCalledOnce();
+            expect(db.getStats().primary.circuit).toBe('closed');
+        });
+
+        it('should accept circuit breaker settings in add()', () => {
+            const db = new Orchestrator({
+                connections: { primary: {} },
+                circuitBreaker: { default: { threshold: 3 }, connections: { search: false } },
+            });
+
+            db.add('cache', {}, { circuitBreaker: { threshold: 1 } });
+            db.add('search', {});
+            db.add('logs', {}, { circuitBreaker: false });
+            db.recordFailure('cache');
+
+            expect(db.getStats()).toMatchObject({
+                cache: { circuit: 'open' }, search: { circuit: 'n/a' }, logs: { circuit: 'n/a' },
+            });
+        });
+
+        it('should apply preconfigured settings to connections added later', () => {
+            const db = new Orchestrator({
+                connections: { primary: {} },
+                circuitBreaker: { default: { threshold: 3 }, connections: { search: { threshold: 1 } } },
+            });
+
+            db.add('search', {});
+            db.recordFailure('search');
+
+            expect(db.getStats().search.circuit).toBe('open');
+        });
+
+        it('should create circuit breakers from add() without a global config', () => {
+            const db = new Orchestrator({ connections: { primary: {} } });
+
+            db.add('cache', {}, { circuitBreaker: { threshold: 1 } });
+
+            expect(db.getStats().primary.circuit).toBe('n/a');
+            expect(db.getStats().cache.circuit).toBe('closed');
+        });
+
+        it('should reject options both in default and at the top level', () => {
+            expect(() => new Orchestrator({
+                connections: { primary: {} },
+                circuitBreaker: { threshold: 3, default: { threshold: 5 } },
+            })).toThrow('Circuit breaker config error: set options either in "default" or at the top level, not both');
+        });
+    });
+
+    describe('execute()', () => {
+        it('should execute function and return result', async () => {
+            const client = { query: vi.fn().mockResolvedValue('result') };
+            const db = new Orchestrator({
+                connections: { main: client },
+                circuitBreaker: { threshold: 3 },
+            });
+
+            const result = await db.execute('main', async (c) => c.query('SELECT 1'));
+            expect(result).toBe('result');
+            expect(client.query).toHaveBeenCalled();
+        });
+
+        it('should record failure on error', async () => {
+            const client = { query: vi.fn().mockRejectedValue(new Error('DB error')) };
+            const db = new Orchestrator({
+                connections: { main: client },
+                circuitBreaker: { threshold: 3 },
+            });
+
+            await expect(db.execute('main', async (c) => c.query())).rejects.toThrow('DB error');
+            expect(db.getStats().main.failures).toBe(1);
+        });
+
+        it('should throw when circuit is open', async () => {
+            const client = { query: vi.fn().mockRejectedValue(new Error('fail')) };
+            const db = new Orchestrator({
+                connections: { main: client },
+                circuitBreaker: { threshold: 2 },
+            });
+
+            // Open the circuit
+            for (let i = 0; i < 2; i++) {
+                try { await db.execute('main', c => c.query()); } catch { /* expected */ }
+            }
+
+            await expect(db.execute('main', c => c.query()))
+                .rejects.toThrow('Circuit open for "main"');
+        });
+
+        it('should work without circuit breaker configured', async () => {
+            const client = { query: vi.fn().mockResolvedValue('ok') };
+            const db = new Orchestrator({ connections: { main: client } });
+
+            const result = await db.execute('main', c => c.query());
+            expect(result).toBe('ok');
+        });
+
+        it('should throw when connection is unavailable (circuit open)', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { threshold: 1 },
+            });
+
+            db.on('error', () => { }); // Suppress error event
+            db.recordFailure('main'); // Force circuit open
+
+            await expect(db.execute('main', () => Promise.resolve()))
+                .rejects.toThrow('Circuit open for "main"');
+        });
+
+        it('should throw when connection does not exist', async () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+            await expect(db.execute('missing', async () => { })).rejects.toThrow('Connection "missing" is unavailable');
+        });
+
+        it('should throw error without circuit breaker configured', async () => {
+            const client = { query: vi.fn().mockRejectedValue(new Error('DB down')) };
+            const db = new Orchestrator({ connections: { main: client } });
+
+            await expect(db.execute('main', c => c.query()))
+                .rejects.toThrow('DB down');
+        });
+    });
+
+    describe('health check thresholds', () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should mark unhealthy only after unhealthyThreshold consecutive failures', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: { interval: '1s', unhealthyThreshold: 3, checks: { main: async () => false } },
+            });
+            const changed = vi.fn();
+            db.on('health:changed', changed);
+
+            await db.connect();
+            await vi.advanceTimersByTimeAsync(2000);
+
+            expect(db.health().main).toEqual({ status: 'healthy', consecutiveFailures: 2, consecutiveSuccesses: 0 });
+            expect(changed).not.toHaveBeenCalled();
+
+            await vi.advanceTimersByTimeAsync(1000);
+            expect(db.health().main.status).toBe('unhealthy');
+            expect(db.getStats().main).toMatchObject({ consecutiveFailures: 3, consecutiveSuccesses: 0 });
+            await db.disconnect();
+        });
+
+        it('should recover only after healthyThreshold consecutive successes', async () => {
+            let up = false;
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: { interval: '1s', healthyThreshold: 2, checks: { main: async () => up } },
+            });
+
+            await db.connect();
+            await vi.advanceTimersByTimeAsync(1000);
+            expect(db.health().main.status).toBe('unhealthy');
+
+            up = true;
+            await vi.advanceTimersByTimeAsync(1000);
+            expect(db.health().main).toEqual({ status: 'unhealthy', consecutiveFailures: 0, consecutiveSuccesses: 1 });
+
+            await vi.advanceTimersByTimeAsync(1000);
+            expect(db.health().main.status).toBe('healthy');
+            await db.disconnect();
+        });
+
+        it('should check connections on their own interval', async () => {
+            const cache = vi.fn(async () => true);
+            const warehouse = vi.fn(async () => true);
+            const db = new Orchestrator({
+                connections: { cache: {}, warehouse: {} },
+                healthCheck: {
+                    interval: '30s',
+                    checks: {
+                        cache: { fn: cache, interval: '5s' },
+                        warehouse: { fn: warehouse, interval: '2m', timeout: '30s' },
+                    },
+                },
+            });
+
+            await db.connect();
+            await vi.advanceTimersByTimeAsync(60000);
+
+            expect(cache).toHaveBeenCalledTimes(12);
+            expect(warehouse).not.toHaveBeenCalled();
+
+            await vi.advanceTimersByTimeAsync(60000);
+            expect(warehouse).toHaveBeenCalledTimes(1);
+            await db.disconnect();
+        });
+
+        it('should accept check configs in add()', async () => {
+            const fn = vi.fn(async () => false);
+            const db = new Orchestrator({ connections: { main: {} }, healthCheck: { interval: '1m' } });
+
+            await db.connect();
+            db.add('cache', {}, { healthCheck: { fn, interval: '1s' } });
+            await vi.advanceTimersByTimeAsync(1000);
+
+            expect(fn).toHaveBeenCalledTimes(1);
+            expect(db.health().cache.status).toBe('unhealthy');
+            await db.disconnect();
+        });
+
+        it('should roll back add() when the check config is invalid', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            expect(() => db.add('cache', {}, { healthCheck: { fn: 'ping' }, failover: 'main' }))
+                .toThrow(/must be a function or an object/);
+            expect(db.has('cache')).toBe(false);
+            expect(db.health()).not.toHaveProperty('cache');
+        });
 
-            // 2. Attempt to get connection
-            // BEFORE FIX: Threw "Circuit open for 'primary'"
-            // AFTER FIX: Returns backup connection
-            const client = db.get('primary');
-            const backup = db.get('backup'); // Direct access to compare
+        it('should stop the health check when add() fails on circuit breaker settings', async () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+            const fn = vi.fn(async () => true);
+            await db.connect();
+            const timers = vi.getTimerCount();
 
-            expect(client).toBe(backup);
+            expect(() => db.add('cache', {}, {
+                healthCheck: { fn, interval: '20ms' },
+                circuitBreaker: { threshold: 0 },
+            })).toThrow('threshold must be a positive number');
 
+            expect(vi.getTimerCount()).toBe(timers);
+            await vi.advanceTimersByTimeAsync(100);
+            expect(fn).not.toHaveBeenCalled();
+            expect(db.health()).not.toHaveProperty('cache');
             await db.disconnect();
         });
+
+        it('should still fail verification on a single failed check', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: { interval: '1s', unhealthyThreshold: 3, checks: { main: async () => false } },
+            });
+            db.on('error', () => {});
+
+            await expect(db.connect({ verify: true })).rejects.toThrow('Failed to connect required connections: main');
+            expect(db.health().main.status).toBe('healthy');
+        });
     });
 
-    describe('disconnect() cleanup', () => {
-        it('should stop health monitoring on disconnect', async () => {
+    describe('checkHealth()', () => {
+        it('should check a single connection and return a detailed report', async () => {
+            const check = vi.fn(async () => true);
+            const db = new Orchestrator({
+                connections: { main: {}, cache: {} },
+                healthCheck: { checks: { main: check } },
+            });
+
+            const report = await db.checkHealth('main');
+
+            expect(check).toHaveBeenCalledTimes(1);
+            expect(report).toEqual({
+                name: 'main',
+                status: 'healthy',
+                previous: 'healthy',
+                passed: true,
+                durationMs: expect.any(Number),
+            });
+            expect(report.durationMs).toBeGreaterThanOrEqual(0);
+        });
+
+        it('should check all connections when no name is given', async () => {
+            const db = new Orchestrator({
+                connections: { main: {}, cache: {} },
+                healthCheck: { checks: { main: async () => true, cache: async () => 'degraded' } },
+            });
+
+            const reports = await db.checkHealth();
+
+            expect(Object.keys(reports)).toEqual(['main', 'cache']);
+            expect(reports.main).toMatchObject({ status: 'healthy', passed: true });
+            expect(reports.cache).toMatchObject({ status: 'degraded', previous: 'healthy', passed: true });
+        });
+
+        it('should apply status transitions and emit health:changed', async () => {
+            let up = false;
             const db = new Orchestrator({
                 connections: { main: {} },
+                healthCheck: { checks: { main: async () => up } },
             });
+            const changed = vi.fn();
+            db.on('health:changed', changed);
 
-            await db.connect();
-            await db.disconnect();
+            const down = await db.checkHealth('main');
+            expect(down).toMatchObject({ status: 'unhealthy', previous: 'healthy', passed: false });
+            expect(db.health().main.status).toBe('unhealthy');
+            expect(changed).toHaveBeenCalledWith(
+                expect.objectContaining({ name: 'main', previous: 'healthy', current: 'unhealthy' })
+            );
 
-            // Internal state verification via isConnected
-            expect(db.isConnected).toBe(false);
+            up = true;
+            const recovered = await db.checkHealth('main');
+            expect(recovered).toMatchObject({ status: 'healthy', previous: 'unhealthy', passed: true });
+            expect(changed).toHaveBeenCalledTimes(2);
+        });
+
+        it('should respect consecutive-result thresholds', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: { unhealthyThreshold: 2, checks: { main: async () => false } },
+            });
+
+            expect(await db.checkHealth('main')).toMatchObject({ status: 'healthy', passed: false });
+            expect(await db.checkHealth('main')).toMatchObject({ status: 'unhealthy', passed: false });
+        });
+
+        it('should sync the circuit breaker', async () => {
+            let up = false;
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: { checks: { main: async () => up } },
+                circuitBreaker: { threshold: 5 },
+            });
+            const opened = vi.fn();
+            const closed = vi.fn();
+            db.on('circuit:open', opened);
+            db.on('circuit:close', closed);
+
+            await db.checkHealth('main');
+            expect(opened).toHaveBeenCalledWith(expect.objectContaining({ name: 'main' }));
+            await expect(db.execute('main', async () => 'ok')).rejects.toThrow('Circuit open');
+
+            up = true;
+            await db.checkHealth('main');
+            expect(closed).toHaveBeenCalledWith(expect.objectContaining({ name: 'main' }));
+            await expect(db.execute('main', async () => 'ok')).resolves.toBe('ok');
+        });
+
+        it('should report and emit errors thrown by the check', async () => {
+            const failure = new Error('connection refused');
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: {
+                    checks: {
+                        main: async () => {
+                            throw failure;
+                        },
+                    },
+                },
+            });
+            const onError = vi.fn();
+            db.on('error', onError);
+
+            const report = await db.checkHealth('main');
+
+            expect(report).toMatchObject({ status: 'unhealthy', passed: false, error: failure });
+            expect(onError).toHaveBeenCalledWith(
+                expect.objectContaining({ name: 'main', error: failure, context: 'health-check' })
+            );
+        });
+
+        it('should not require an error listener', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: {
+                    checks: {
+                        main: async () => {
+                            throw new Error('boom');
+                        },
+                    },
+                },
+            });
+
+            await expect(db.checkHealth('main')).resolves.toMatchObject({ status: 'unhealthy' });
+        });
+
+        it('should skip lazy connections that have not been created', async () => {
+            const factory = vi.fn(() => ({}));
+            const check = vi.fn(async () => true);
+            const db = new Orchestrator({
+                connections: { main: factory },
+                healthCheck: { checks: { main: check } },
+            });
+
+            const report = await db.checkHealth('main');
+
+            expect(report).toEqual({
+                name: 'main',
+                status: 'healthy',
+                previous: 'healthy',
+                skipped: true,
+                durationMs: 0,
+            });
+            expect(factory).not.toHaveBeenCalled();
+            expect(check).not.toHaveBeenCalled();
+        });
+
+        it('should throw for unknown connections', async () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            await expect(db.checkHealth('missing')).rejects.toThrow('Unknown connection "missing". Available: main');
         });
     });
 
-    describe('shutdownOnSignal()', () => {
-        it('should register signal handlers', () => {
+    describe('health check presets', () => {
+        it('should check recognized drivers without a configured check', async () => {
+            const redis = { ping: vi.fn().mockRejectedValue(new Error('ECONNREFUSED')), status: 'ready' };
+            const db = new Orchestrator({ connections: { cache: redis } });
+
+            expect(await db.checkHealth('cache')).toMatchObject({ status: 'unhealthy', passed: false });
+            expect(redis.ping).toHaveBeenCalled();
+        });
+
+        it('should support opting out per connection and globally', async () => {
+            const redis = () => ({ ping: vi.fn().mockRejectedValue(new Error('ECONNREFUSED')), status: 'ready' });
+            const perConnection = new Orchestrator({
+                connections: { cache: redis() },
+                healthCheck: { checks: { cache: false } },
+            });
+            const global = new Orchestrator({
+                connections: { cache: redis() },
+                healthCheck: { presets: false },
+            });
+
+            expect((await perConnection.checkHealth('cache')).status).toBe('healthy');
+            expect((await global.checkHealth('cache')).status).toBe('healthy');
+        });
+    });
+
+    describe('passive health', () => {
+        const failing = () => Promise.reject(new Error('query failed'));
+
+        it('should mark connections unhealthy from execute() errors with reason passive', async () => {
             const db = new Orchestrator({
                 connections: { main: {} },
+                healthCheck: { passive: { window: 4, minRequests: 4 } },
             });
+            const changed = vi.fn();
+            db.on('health:changed', changed);
 
-            const processSpy = vi.spyOn(process, 'on');
+            for (let i = 0; i < 3; i++) {
+                await expect(db.execute('main', failing)).rejects.toThrow('query failed');
+            }
+            expect(db.health().main.status).toBe('healthy');
 
-            db.shutdownOnSignal();
+            await expect(db.execute('main', failing)).rejects.toThrow('query failed');
+            expect(db.health().main.status).toBe('unhealthy');
+            expect(changed).toHaveBeenCalledWith({
+                name: 'main',
+                previous: 'healthy',
+                current: 'unhealthy',
+                reason: 'passive',
+                timestamp: expect.any(Number),
+            });
+        });
 
-            // Should register SIGTERM and SIGINT by default
-            expect(processSpy).toHaveBeenCalledWith('SIGTERM', expect.any(Function));
-            expect(processSpy).toHaveBeenCalledWith('SIGINT', expect.any(Function));
+        it('should count successful operations', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: { passive: { window: 4, minRequests: 4, degradedAt: 0.25 } },
+            });
 
-            processSpy.mockRestore();
+            for (let i = 0; i < 3; i++) {
+                await db.execute('main', async () => 'ok');
+            }
+            await expect(db.execute('main', failing)).rejects.toThrow();
+
+            expect(db.health().main.status).toBe('degraded');
         });
 
-        it('should register custom signals', () => {
+        it('should fail over between periodic checks', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, replica: {} },
+                failover: { primary: 'replica' },
+                healthCheck: { passive: { window: 2, minRequests: 2 } },
+            });
+            const onFailover = vi.fn();
+            db.on('failover', onFailover);
+
+            await expect(db.execute('primary', failing)).rejects.toThrow();
+            await expect(db.execute('primary', failing)).rejects.toThrow();
+
+            expect(db.get('primary')).toBe(db.get('replica'));
+            expect(onFailover).toHaveBeenCalledWith(expect.objectContaining({ primary: 'primary', backup: 'replica' }));
+        });
+
+        it('should open the circuit with reason passive', async () => {
             const db = new Orchestrator({
                 connections: { main: {} },
+                healthCheck: { passive: { window: 2, minRequests: 2 } },
+                circuitBreaker: { threshold: 10 },
             });
+            const opened = vi.fn();
+            db.on('circuit:open', opened);
 
-            const processSpy = vi.spyOn(process, 'on');
+            await expect(db.execute('main', failing)).rejects.toThrow();
+            await expect(db.execute('main', failing)).rejects.toThrow();
 
-            db.shutdownOnSignal({ signals: ['SIGHUP'] });
+            expect(opened).toHaveBeenCalledWith(expect.objectContaining({ name: 'main', reason: 'passive' }));
+        });
 
-            expect(processSpy).toHaveBeenCalledWith('SIGHUP', expect.any(Function));
-            expect(processSpy).not.toHaveBeenCalledWith('SIGTERM', expect.any(Function));
+        it('should not count calls rejected by the circuit breaker', async () => {
+            const fn = vi.fn(failing);
+            // The circuit opens while the lazy client is being created
+            const db = new Orchestrator({
+                connections: {
+                    main: async () => {
+                        db.recordFailure('main');
+                        return {};
+                    },
+                },
+                healthCheck: { passive: { window: 1, minRequests: 1 } },
+                circuitBreaker: { threshold: 1 },
+            });
 
-            processSpy.mockRestore();
+            await expect(db.execute('main', fn)).rejects.toThrow('Circuit breaker is OPEN');
+
+            expect(fn).not.toHaveBeenCalled();
+            expect(db.health().main.status).toBe('healthy');
         });
 
-        it('should return cleanup function that removes handlers', () => {
+        it('should ignore operation outcomes when passive health is off', async () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            for (let i = 0; i < 20; i++) {
+                await expect(db.execute('main', failing)).rejects.toThrow();
+            }
+
+            expect(db.health().main.status).toBe('healthy');
+        });
+    });
+
+    describe('error classification', () => {
+        const duplicate = () => Promise.reject(Object.assign(new Error('duplicate key'), { code: '23505' }));
+        const refused = () => Promise.reject(new Error('connect ECONNREFUSED'));
+
+        it('should not count ignored errors against the circuit or passive health', async () => {
             const db = new Orchestrator({
                 connections: { main: {} },
+                circuitBreaker: { threshold: 1 },
+                healthCheck: { passive: { window: 2, minRequests: 2 } },
+                ignoreErrors: ['23505'],
             });
 
-            const processOnSpy = vi.spyOn(process, 'on');
-            const processOffSpy = vi.spyOn(process, 'off');
+            for (let i = 0; i < 3; i++) {
+                await expect(db.execute('main', duplicate)).rejects.toThrow('duplicate key');
+            }
 
-            const cleanup = db.shutdownOnSignal({ signals: ['SIGTERM'] });
+            expect(db.getStats().main).toMatchObject({ status: 'healthy', circuit: 'closed', failures: 0 });
 
-            expect(processOnSpy).toHaveBeenCalledTimes(1);
+            await expect(db.execute('main', refused)).rejects.toThrow('ECONNREFUSED');
+            expect(db.getStats().main).toMatchObject({ status: 'unhealthy', circuit: 'open' });
+        });
 
-            cleanup();
+        it('should pass ignored errors through external circuit breakers as successes', async () => {
+            const outcomes = [];
+            const external = {
+                execute: async (fn) => {
+                    try {
+                        const result = await fn();
+                        outcomes.push('success');
+                        return result;
+                    } catch (err) {
+                        outcomes.push('failure');
+                        throw err;
+                    }
+                },
+            };
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { use: external },
+                isFailure: (err) => err.message.includes('ECONNREFUSED'),
+            });
 
-            expect(processOffSpy).toHaveBeenCalledWith('SIGTERM', expect.any(Function));
+            await expect(db.execute('main', duplicate)).rejects.toThrow('duplicate key');
+            await expect(db.execute('main', refused)).rejects.toThrow('ECONNREFUSED');
 
-            processOnSpy.mockRestore();
-            processOffSpy.mockRestore();
+            expect(outcomes).toEqual(['success', 'failure']);
         });
 
-        it('should emit shutdown event when signal is received', async () => {
+        it('should let connections override the global classification', async () => {
+            class ValidationError extends Error { }
+            const db = new Orchestrator({
+                connections: {
+                    main: {},
+                    cache: { client: {}, ignoreErrors: [ValidationError] },
+                    lazy: { factory: () => ({}), isFailure: () => false },
+                },
+                circuitBreaker: { threshold: 1 },
+                ignoreErrors: ['23505'],
+            });
+            db.add('search', {}, { ignoreErrors: [/timeout/] });
+
+            await expect(db.execute('cache', () => Promise.reject(new ValidationError('bad')))).rejects.toThrow('bad');
+            await expect(db.execute('lazy', refused)).rejects.toThrow('ECONNREFUSED');
+            await expect(db.execute('search', () => Promise.reject(new Error('query timeout')))).rejects.toThrow();
+            expect(db.getStats()).toMatchObject({
+                cache: { circuit: 'closed' }, lazy: { circuit: 'closed' }, search: { circuit: 'closed' },
+            });
+
+            // The per-connection setting replaces the global one
+            await expect(db.execute('cache', duplicate)).rejects.toThrow();
+            expect(db.getStats().cache.circuit).toBe('open');
+            await expect(db.execute('main', duplicate)).rejects.toThrow();
+            expect(db.getStats().main.circuit).toBe('closed');
+        });
+
+        it('should classify errors passed to recordFailure()', () => {
             const db = new Orchestrator({
                 connections: { main: {} },
+                circuitBreaker: { threshold: 1 },
+                ignoreErrors: ['23505'],
+            });
+
+            db.recordFailure('main', Object.assign(new Error('duplicate key'), { code: '23505' }));
+            expect(db.getStats().main.circuit).toBe('closed');
+
+            db.recordFailure('main', new Error('connect ECONNREFUSED'));
+            expect(db.getStats().main.circuit).toBe('open');
+        });
+
+        it('should forget connection settings on remove()', async () => {
+            const db = new Orchestrator({
+                connections: { main: {}, cache: { client: {}, isFailure: () => false } },
+                circuitBreaker: { threshold: 1 },
+            });
+
+            await db.remove('cache');
+            db.add('cache', {});
+
+            await expect(db.execute('cache', refused)).rejects.toThrow();
+            expect(db.getStats().cache.circuit).toBe('open');
+        });
+
+        it('should validate the options', () => {
+            expect(() => new Orchestrator({ connections: { main: {} }, isFailure: true }))
+                .toThrow('isFailure must be a function');
+            expect(() => new Orchestrator({ connections: { main: {} }, ignoreErrors: '23505' }))
+                .toThrow('ignoreErrors must be an array of error classes, codes or message patterns');
+
+            const db = new Orchestrator({ connections: { main: {} } });
+            expect(() => db.add('cache', {}, { ignoreErrors: [42] }))
+                .toThrow('ignoreErrors must be an array of error classes, codes or message patterns');
+            expect(db.has('cache')).toBe(false);
+        });
+    });
+
+    describe('readiness() / liveness()', () => {
+        const down = async () => false;
+
+        it('should not be ready or live before connect()', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
+
+            expect(db.readiness()).toEqual({ ok: false, reasons: ['Orchestrator is not connected'] });
+            expect(db.liveness()).toEqual({ ok: false, reasons: ['Orchestrator is not connected'] });
+        });
+
+        it('should be ready and live when all connections are usable', async () => {
+            const db = new Orchestrator({ connections: { main: {}, cache: {} } });
+            await db.connect();
+
+            expect(db.readiness()).toEqual({ ok: true, reasons: [] });
+            expect(db.liveness()).toEqual({ ok: true, reasons: [] });
+            await db.disconnect();
+        });
+
+        it('should not fail readiness for optional connections', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, cache: { client: {}, optional: true } },
+                healthCheck: { checks: { cache: down } },
             });
+            await db.connect();
+            await db.checkHealth();
+
+            expect(db.readiness()).toEqual({ ok: true, reasons: ['"cache" is unhealthy (optional)'] });
+            await db.disconnect();
+        });
 
+        it('should fail readiness when a critical connection is down', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, cache: {} },
+                healthCheck: { checks: { primary: down } },
+            });
             await db.connect();
+            await db.checkHealth();
 
-            const shutdownHandler = vi.fn();
-            db.on('shutdown', shutdownHandler);
+            expect(db.readiness()).toEqual({ ok: false, reasons: ['"primary" is unhealthy'] });
+            // A dead database does not fail liveness
+            expect(db.liveness().ok).toBe(true);
+            await db.disconnect();
+        });
 
-            // Mock process.exit to prevent actual exit
-            const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => { });
+        it('should stay ready while a healthy failover serves the connection', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, replica: {} },
+                failover: { primary: 'replica' },
+                healthCheck: { checks: { primary: down } },
+            });
+            await db.connect();
+            await db.checkHealth();
 
-            // Capture the handler registered for SIGTERM
-            let signalHandler;
-            const processSpy = vi.spyOn(process, 'on').mockImplementation((signal, handler) => {
-                if (signal === 'SIGTERM') signalHandler = handler;
-                return process;
+            expect(db.readiness()).toEqual({ ok: true, reasons: [] });
+            await db.disconnect();
+        });
+
+        it('should fail readiness when the failover is down too', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, replica: { client: {}, optional: true } },
+                failover: { primary: 'replica' },
+                healthCheck: { checks: { primary: down, replica: down } },
             });
+            await db.connect();
+            await db.checkHealth();
 
-            db.shutdownOnSignal({ signals: ['SIGTERM'] });
+            expect(db.readiness()).toEqual({
+                ok: false,
+                reasons: ['"primary" is unhealthy and has no healthy failover', '"replica" is unhealthy (optional)'],
+            });
+            await db.disconnect();
+        });
 
-            // Simulate signal
-            await signalHandler('SIGTERM');
+        it('should report open circuits', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, replica: {} },
+                failover: { primary: 'replica' },
+                healthCheck: { checks: { primary: down } },
+                circuitBreaker: { threshold: 1 },
+            });
+            await db.connect();
+            await db.checkHealth();
+            db.recordFailure('replica');
+
+            expect(db.readiness()).toEqual({
+                ok: false,
+                reasons: [
+                    '"primary" fails over to "replica", which has an open circuit',
+                    '"replica" has an open circuit (used by "primary")',
+                ],
+            });
+            await db.disconnect();
+        });
 
-            expect(shutdownHandler).toHaveBeenCalledWith(
-                expect.objectContaining({ signal: 'SIGTERM' })
-            );
-            expect(db.isConnected).toBe(false);
-            expect(exitSpy).toHaveBeenCalledWith(0);
+        it('should judge failover targets and replicas through their primaries', async () => {
+            const db = new Orchestrator({
+                connections: { primary: {}, backup: {}, reader: {}, orders: {} },
+                failover: { primary: 'backup', orders: ['backup'] },
+                replicas: { primary: ['reader'] },
+                healthCheck: { checks: { backup: down, reader: down } },
+            });
+            await db.connect();
+            await db.checkHealth();
 
-            processSpy.mockRestore();
-            exitSpy.mockRestore();
+            expect(db.readiness()).toEqual({
+                ok: true,
+                reasons: ['"backup" is unhealthy (used by "primary", "orders")', '"reader" is unhealthy (used by "primary")'],
+            });
+            await db.disconnect();
         });
 
-        it('should not exit process if exitProcess is false', async () => {
+        it('should accept the optional flag for factories and in add()', async () => {
             const db = new Orchestrator({
-                connections: { main: {} },
+                connections: { primary: {}, analytics: { factory: async () => ({}), optional: true } },
+                healthCheck: { checks: { analytics: down, search: down } },
             });
-
+            db.add('search', {}, { optional: true });
             await db.connect();
+            await db.get('analytics');
+            await db.checkHealth();
 
-            const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => { });
+            expect(db.readiness().ok).toBe(true);
 
-            let signalHandler;
-            const processSpy = vi.spyOn(process, 'on').mockImplementation((signal, handler) => {
-                if (signal === 'SIGTERM') signalHandler = handler;
-                return process;
+            await db.remove('search');
+            db.add('search', {});
+            await db.checkHealth('search');
+            expect(db.readiness()).toEqual({
+                ok: false,
+                reasons: ['"analytics" is unhealthy (optional)', '"search" is unhealthy'],
             });
-
-            db.shutdownOnSignal({ signals: ['SIGTERM'], exitProcess: false });
-
-            await signalHandler('SIGTERM');
-
-            expect(exitSpy).not.toHaveBeenCalled();
-            expect(db.isConnected).toBe(false);
-
-            processSpy.mockRestore();
-            exitSpy.mockRestore();
+            await db.disconnect();
         });
 
-        it('should use custom exit code', async () => {
+        it('should accept critical as the inverse of optional', async () => {
+            const redis = {};
             const db = new Orchestrator({
-                connections: { main: {} },
+                connections: { primary: {}, cache: { client: redis, critical: false } },
+                healthCheck: { checks: { cache: down, search: down, queue: down } },
             });
-
+            db.add('search', {}, { critical: false });
+            db.add('queue', { client: {}, optional: true }, { critical: true });
             await db.connect();
-
-            const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => { });
-
-            let signalHandler;
-            const processSpy = vi.spyOn(process, 'on').mockImplementation((signal, handler) => {
-                if (signal === 'SIGTERM') signalHandler = handler;
-                return process;
+            await db.checkHealth();
+
+            expect(await db.get('cache')).toBe(redis);
+            expect(db.readiness()).toEqual({
+                ok: false,
+                reasons: [
+                    '"cache" is unhealthy (optional)',
+                    '"search" is unhealthy (optional)',
+                    '"queue" is unhealthy',
+                ],
             });
+            await db.disconnect();
+        });
 
-            db.shutdownOnSignal({ signals: ['SIGTERM'], exitCode: 42 });
-
-            await signalHandler('SIGTERM');
-
-            expect(exitSpy).toHaveBeenCalledWith(42);
+        it('should throw when optional and critical contradict each other', () => {
+            expect(() => new Orchestrator({
+                connections: { cache: { client: {}, optional: true, critical: true } },
+            })).toThrow('Connection "cache" cannot be both optional and critical');
 
-            processSpy.mockRestore();
-            exitSpy.mockRestore();
+            const db = new Orchestrator({ connections: { primary: {} } });
+            expect(() => db.add('search', {}, { optional: false, critical: false }))
+                .toThrow('Connection "search" cannot be both optional and critical');
+            expect(db.list()).toEqual(['primary']);
         });
     });
 
-    describe('circuit breaker integration', () => {
-        it('should create circuits when circuitBreaker config is provided', () => {
-            const db = new Orchestrator({
-                connections: { main: {} },
-                circuitBreaker: { threshold: 3 },
-            });
+    describe('healthHistory()', () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+        });
 
-            expect(db.get('main')).toBeDefined();
+        afterEach(() => {
+            vi.useRealTimers();
         });
 
-        it('should throw when circuit is open', () => {
+        it('should record periodic and manual checks', async () => {
+            let up = true;
             const db = new Orchestrator({
                 connections: { main: {} },
-                circuitBreaker: { threshold: 2 },
+                healthCheck: { interval: '1s', checks: { main: async () => up } },
             });
 
-            // Trigger circuit to open
-            db.recordFailure('main');
-            db.recordFailure('main');
-
-            expect(() => db.get('main')).toThrow('Circuit open for "main"');
+            await db.connect();
+            await vi.advanceTimersByTimeAsync(1000);
+            up = false;
+            await db.checkHealth('main');
+
+            expect(db.healthHistory('main')).toEqual([
+                { timestamp: expect.any(Number), status: 'healthy', passed: true, durationMs: expect.any(Number), source: 'periodic' },
+                { timestamp: expect.any(Number), status: 'unhealthy', passed: false, durationMs: expect.any(Number), source: 'manual' },
+            ]);
+            await db.disconnect();
         });
 
-        it('should emit circuit:open when failures reach threshold', () => {
+        it('should record connect verification as manual', async () => {
             const db = new Orchestrator({
                 connections: { main: {} },
-                circuitBreaker: { threshold: 2 },
+                healthCheck: { checks: { main: async () => true } },
             });
 
-            const openHandler = vi.fn();
-            db.on('circuit:open', openHandler);
-
-            db.recordFailure('main');
-            expect(openHandler).not.toHaveBeenCalled();
+            await db.connect({ verify: true });
 
-            db.recordFailure('main');
-            expect(openHandler).toHaveBeenCalledWith(expect.objectContaining({
-                name: 'main',
-                timestamp: expect.any(Number),
-            }));
+            expect(db.healthHistory('main')).toEqual([expect.objectContaining({ source: 'manual', passed: true })]);
+            await db.disconnect();
         });
 
-        it('should emit circuit:close when circuit recovers', () => {
-            vi.useFakeTimers();
-
+        it('should record error messages', async () => {
             const db = new Orchestrator({
-                connections: { main: {} },
-                circuitBreaker: { threshold: 1, resetTimeout: 100, halfOpenSuccesses: 1 },
+                connections: { main: {}, cache: {} },
+                healthCheck: {
+                    checks: {
+                        main: async () => {
+                            throw new Error('connection refused');
+                        },
+                        cache: async () => {
+                            throw 'timeout';
+                        },
+                    },
+                },
             });
 
-            const closeHandler = vi.fn();
-            db.on('circuit:close', closeHandler);
-
-            // Open the circuit
-            db.recordFailure('main');
+            await db.checkHealth();
 
-            // Advance to half-open
-            vi.advanceTimersByTime(101);
+            expect(db.healthHistory('main')[0].error).toBe('connection refused');
+            expect(db.healthHistory('cache')[0].error).toBe('timeout');
+        });
 
-            // Success in half-open should close
-            db.recordSuccess('main');
+        it('should record unexpected check failures', async () => {
+            const checkSpy = vi.spyOn(HealthMonitor.prototype, 'check').mockRejectedValue(new Error('boom'));
+            const db = new Orchestrator({ connections: { main: {} } });
 
-            expect(closeHandler).toHaveBeenCalledWith(expect.objectContaining({
-                name: 'main',
-                timestamp: expect.any(Number),
-            }));
+            await db.checkHealth('main');
+            checkSpy.mockRestore();
 
-            vi.useRealTimers();
+            expect(db.healthHistory('main')).toEqual([
+                expect.objectContaining({ status: 'unhealthy', passed: false, error: 'boom', source: 'manual' }),
+            ]);
         });
 
-        it('should not emit circuit:close if already closed', () => {
+        it('should record passive transitions', async () => {
             const db = new Orchestrator({
                 connections: { main: {} },
-                circuitBreaker: { threshold: 3 },
+                healthCheck: { passive: { window: 1, minRequests: 1 } },
             });
 
-            const closeHandler = vi.fn();
-            db.on('circuit:close', closeHandler);
-
-            // Record success when circuit is already closed
-            db.recordSuccess('main');
+            await expect(db.execute('main', () => Promise.reject(new Error('fail')))).rejects.toThrow();
 
-            expect(closeHandler).not.toHaveBeenCalled();
+            expect(db.healthHistory('main')).toEqual([
+                { timestamp: expect.any(Number), status: 'unhealthy', source: 'passive' },
+            ]);
         });
 
-        it('should do nothing if circuit breaker is not configured', () => {
+        it('should filter by limit and since', async () => {
+            vi.setSystemTime(10000);
             const db = new Orchestrator({
                 connections: { main: {} },
+                healthCheck: { historySize: 3, checks: { main: async () => true } },
             });
 
-            // These should not throw
-            db.recordSuccess('main');
-            db.recordFailure('main');
+            for (let i = 0; i < 4; i++) {
+                await db.checkHealth('main');
+                vi.setSystemTime(Date.now() + 1000);
+            }
 
-            // get should still work
-            expect(db.get('main')).toBeDefined();
+            expect(db.healthHistory('main').map((e) => e.timestamp)).toEqual([11000, 12000, 13000]);
+            expect(db.healthHistory('main', { limit: 1 }).map((e) => e.timestamp)).toEqual([13000]);
+            expect(db.healthHistory('main', { since: 12000 }).map((e) => e.timestamp)).toEqual([12000, 13000]);
         });
-    });
 
-    describe('execute()', () => {
-        it('should execute function and return result', async () => {
-            const client = { query: vi.fn().mockResolvedValue('result') };
-            const db = new Orchestrator({
-                connections: { main: client },
-                circuitBreaker: { threshold: 3 },
-            });
+        it('should throw for unknown connections', () => {
+            const db = new Orchestrator({ connections: { main: {} } });
 
-            const result = await db.execute('main', async (c) => c.query('SELECT 1'));
-            expect(result).toBe('result');
-            expect(client.query).toHaveBeenCalled();
+            expect(() => db.healthHistory('missing')).toThrow('Unknown connection "missing". Available: main');
         });
+    });
 
-        it('should record failure on error', async () => {
-            const client = { query: vi.fn().mockRejectedValue(new Error('DB error')) };
+    describe('health check latency', () => {
+        it('should emit health:check for every check with its duration', async () => {
+            let up = true;
             const db = new Orchestrator({
-                connections: { main: client },
-                circuitBreaker: { threshold: 3 },
+                connections: { main: {}, cache: {} },
+                healthCheck: { checks: { main: async () => up } },
             });
+            const checked = vi.fn();
+            db.on('health:check', checked);
 
-            await expect(db.execute('main', async (c) => c.query())).rejects.toThrow('DB error');
-            expect(db.getStats().main.failures).toBe(1);
+            await db.checkHealth();
+            expect(checked).toHaveBeenCalledTimes(2);
+            expect(checked).toHaveBeenCalledWith({
+                name: 'main',
+                status: 'healthy',
+                previous: 'healthy',
+                passed: true,
+                durationMs: expect.any(Number),
+                timestamp: expect.any(Number),
+            });
+
+            up = false;
+            await db.checkHealth('main');
+            expect(checked).toHaveBeenLastCalledWith(
+                expect.objectContaining({ name: 'main', status: 'unhealthy', passed: false })
+            );
         });
 
-        it('should throw when circuit is open', async () => {
-            const client = { query: vi.fn().mockRejectedValue(new Error('fail')) };
+        it('should include durationMs in health:changed', async () => {
             const db = new Orchestrator({
-                connections: { main: client },
-                circuitBreaker: { threshold: 2 },
+                connections: { main: {} },
+                healthCheck: { checks: { main: async () => 'degraded' } },
             });
+            const changed = vi.fn();
+            db.on('health:changed', changed);
 
-            // Open the circuit
-            for (let i = 0; i < 2; i++) {
-                try { await db.execute('main', c => c.query()); } catch { /* expected */ }
-            }
+            await db.checkHealth('main');
 
-            await expect(db.execute('main', c => c.query()))
-                .rejects.toThrow('Circuit open for "main"');
+            expect(changed).toHaveBeenCalledWith({
+                name: 'main',
+                previous: 'healthy',
+                current: 'degraded',
+                durationMs: expect.any(Number),
+                timestamp: expect.any(Number),
+            });
         });
 
-        it('should work without circuit breaker configured', async () => {
-            const client = { query: vi.fn().mockResolvedValue('ok') };
-            const db = new Orchestrator({ connections: { main: client } });
+        it('should include durationMs when a check throws unexpectedly', async () => {
+            const checkSpy = vi.spyOn(HealthMonitor.prototype, 'check').mockRejectedValue(new Error('boom'));
+            const db = new Orchestrator({ connections: { main: {} } });
+            const changed = vi.fn();
+            const checked = vi.fn();
+            db.on('health:changed', changed);
+            db.on('health:check', checked);
 
-            const result = await db.execute('main', c => c.query());
-            expect(result).toBe('ok');
+            await db.checkHealth('main');
+            checkSpy.mockRestore();
+
+            expect(changed).toHaveBeenCalledWith(expect.objectContaining({ durationMs: expect.any(Number) }));
+            expect(checked).toHaveBeenCalledWith(
+                expect.objectContaining({ name: 'main', status: 'unhealthy', passed: false })
+            );
         });
 
-        it('should throw when connection is unavailable (circuit open)', async () => {
+        it('should mark connections degraded when checks exceed degradedAfter', async () => {
+            let clock = 0;
+            const slowCheck = async () => {
+                clock += 800;
+                return true;
+            };
             const db = new Orchestrator({
-                connections: { main: {} },
-                circuitBreaker: { threshold: 1 },
+                connections: { main: {}, cache: {} },
+                healthCheck: {
+                    degradedAfter: '500ms',
+                    checks: { main: slowCheck, cache: { fn: slowCheck, degradedAfter: '1s' } },
+                },
             });
+            const now = vi.spyOn(performance, 'now').mockImplementation(() => clock);
 
-            db.on('error', () => { }); // Suppress error event
-            db.recordFailure('main'); // Force circuit open
-
-            await expect(db.execute('main', () => Promise.resolve()))
-                .rejects.toThrow('Circuit open for "main"');
+            expect(await db.checkHealth('main')).toMatchObject({ status: 'degraded', passed: true, durationMs: 800 });
+            expect(await db.checkHealth('cache')).toMatchObject({ status: 'healthy', durationMs: 800 });
+            now.mockRestore();
         });
 
-        it('should throw when connection does not exist', async () => {
-            const db = new Orchestrator({ connections: { main: {} } });
-            await expect(db.execute('missing', async () => { })).rejects.toThrow('Connection "missing" is unavailable');
-        });
+        it('should report check latency in getStats()', async () => {
+            const db = new Orchestrator({
+                connections: { main: {} },
+                healthCheck: { checks: { main: async () => true } },
+            });
 
-        it('should throw error without circuit breaker configured', async () => {
-            const client = { query: vi.fn().mockRejectedValue(new Error('DB down')) };
-            const db = new Orchestrator({ connections: { main: client } });
+            expect(db.getStats().main.checkLatency).toBeNull();
 
-            await expect(db.execute('main', c => c.query()))
-                .rejects.toThrow('DB down');
+            await db.checkHealth('main');
+            await db.checkHealth('main');
+
+            expect(db.getStats().main.checkLatency).toEqual({
+                last: expect.any(Number),
+                avg: expect.any(Number),
+                p50: expect.any(Number),
+                p95: expect.any(Number),
+                p99: expect.any(Number),
+                samples: 2,
+            });
         });
     });
 
@@ -777,7 +3433,7 @@ describe('Orchestrator', () => {
         it('should return status and circuit state for all connections', () => {
             const db = new Orchestrator({
                 connections: { primary: {}, replica: {} },
-                circuitBreaker: { threshold: 3 },
+                circuitBreaker: { threshold: 3, resetTimeout: '3s' },
             });
 
             const stats = db.getStats();
@@ -785,7 +3441,13 @@ describe('Orchestrator', () => {
                 status: 'healthy',
                 circuit: 'closed',
                 failures: 0,
+                openDuration: 3000,
+                rejections: 0,
+                consecutiveFailures: 0,
+                consecutiveSuccesses: 0,
                 failoverTo: null,
+                timeInFailover: null,
+                checkLatency: null,
             });
             expect(stats.replica).toBeDefined();
         });
@@ -998,6 +3660,194 @@ describe('Orchestrator', () => {
             // Verify stats couldn't be attached (since it's frozen)
             expect(frozenError.circuitStats).toBeUndefined();
         });
+
+        /**
+         * Minimal opossum-like breaker: an EventEmitter with fire(), open() and close().
+         */
+        function createOpossum() {
+            const breaker = new EventEmitter();
+            breaker.status = { state: 'closed' };
+            breaker.fire = vi.fn(async (fn) => fn());
+            breaker.open = vi.fn(() => {
+                breaker.status.state = 'open';
+                breaker.emit('open');
+            });
+            breaker.close = vi.fn(() => {
+                breaker.status.state = 'closed';
+                breaker.emit('close');
+            });
+            return breaker;
+        }
+
+        it('should create one external circuit per connection with a factory', async () => {
+            const breakers = {};
+            const use = vi.fn((name) => (breakers[name] = createOpossum()));
+            const db = new Orchestrator({
+                connections: { primary: {}, cache: {} },
+                circuitBreaker: { use },
+            });
+
+            breakers.cache.open();
+            await db.execute('primary', async () => 'ok');
+
+            expect(use.mock.calls).toEqual([['primary'], ['cache']]);
+            expect(breakers.primary.fire).toHaveBeenCalledOnce();
+            expect(db.getStats()).toMatchObject({ primary: { circuit: 'closed' }, cache: { circuit: 'open' } });
+            expect(() => db.get('cache')).toThrow('Circuit open for "cache"');
+        });
+
+        it('should use the factory for connections added at runtime', () => {
+            const use = vi.fn(() => createOpossum());
+            const db = new Orchestrator({ connections: { primary: {} }, circuitBreaker: { use } });
+
+            db.add('cache', {});
+
+            expect(use).toHaveBeenLastCalledWith('cache');
+        });
+
+        it('should validate breakers returned by the factory', () => {
+            expect(() => new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { use: () => undefined },
+            })).toThrow('External circuit breaker must have execute() or fire() method');
+        });
+
+        it('should forward opossum open/close events', () => {
+            const breaker = createOpossum();
+            const db = new Orchestrator({ connections: { main: {} }, circuitBreaker: { use: () => breaker } });
+            const opened = vi.fn();
+            const closed = vi.fn();
+            db.on('circuit:open', opened);
+            db.on('circuit:close', closed);
+
+            breaker.open();
+            breaker.close();
+
+            expect(opened).toHaveBeenCalledWith({ name: 'main', timestamp: expect.any(Number) });
+            expect(closed).toHaveBeenCalledWith({ name: 'main', timestamp: expect.any(Number) });
+        });
+
+        it('should forward cockatiel onBreak/onReset events', () => {
+            const listeners = {};
+            const dispose = vi.fn();
+            const policy = {
+                execute: vi.fn(async (fn) => fn()),
+                onBreak: (listener) => ((listeners.break = listener), { dispose }),
+                onReset: (listener) => ((listeners.reset = listener), { dispose }),
+            };
+            const db = new Orchestrator({ connections: { main: {} }, circuitBreaker: { use: () => policy } });
+            const events = [];
+            db.on('circuit:open', ({ name }) => events.push(['open', name]));
+            db.on('circuit:close', ({ name }) => events.push(['close', name]));
+
+            listeners.break({ reason: 'error' });
+            listeners.reset();
+
+            expect(events).toEqual([['open', 'main'], ['close', 'main']]);
+        });
+
+        it('should not duplicate events for transitions from health checks', async () => {
+            const breaker = createOpossum();
+            let healthy = false;
+            const db = new Orchestrator({
+                connections: { main: {} },
+                circuitBreaker: { use: () => breaker },
+                healthCheck: { checks: { main: async () => healthy } },
+            });
+            const opened = vi.fn();
+            const closed = vi.fn();
+            db.on('circuit:open', opened);
+            db.on('circuit:close', closed);
+            await db.connect();
+
+            await db.checkHealth('main');
+            expect(breaker.open).toHaveBeenCalled();
+            expect(opened).toHaveBeenCalledOnce();
+            expect(opened).toHaveBeenCalledWith(expect.objectContaining({ reason: 'health-check-failed' }));
+
+            healthy = true;
+            await db.checkHealth('main');
+            expect(breaker.close).toHaveBeenCalled();
+            expect(closed).toHaveBeenCalledOnce();
+            expect(closed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'health-recovered' }));
+
+            await db.disconnect();
+        });
+
+        it('should unsubscribe from external events on remove()', async () => {
+            const breaker = createOpossum();
+            const dispose = vi.fn();
+            const policy = {
+                execute: vi.fn(),
+                onBreak: () => ({ dispose }),
+                onReset: () => undefined,
+            };
+            const db = new Orchestrator({
+                connections: { main: {}, cache: {}, other: {} },
+                circuitBreaker: {
+                    connections: { main: { use: breaker }, cache: { use: policy }, other: { use: { execute: vi.fn() } } },
+                },
+            });
+
+            await db.remove('main');
+            await db.remove('cache');
+            await db.remove('other');
+
+            expect(breaker.listenerCount('open')).toBe(0);
+            expect(breaker.listenerCount('close')).toBe(0);
+            expect(dispose).toHaveBeenCalledOnce();
+        });
+
+        it('should subscribe once to a breaker shared by several connections', async () => {
+            const breaker = createOpossum();
+            const db = new Orchestrator({
+                connections: { primary: {}, replica: {}, cache: {} },
+                circuitBreaker: { use: breaker },
+            });
+            const events = [];
+            db.on('circuit:open', ({ name }) => events.push(['open', name]));
+            db.on('circuit:close', ({ name }) => events.push(['close', name]));
+
+            expect(breaker.listenerCount('open')).toBe(1);
+            breaker.open();
+            expect(events).toEqual([['open', 'primary'], ['open', 'replica'], ['open', 'cache']]);
+
+            await db.remove('cache');
+            breaker.close();
+            expect(events.slice(3)).toEqual([['close', 'primary'], ['close', 'replica']]);
+
+            await db.remove('primary');
+            await db.remove('replica');
+            expect(breaker.listenerCount('open')).toBe(0);
+            expect(breaker.listenerCount('close')).toBe(0);
+        });
+
+        it('should forward transitions of a shared breaker triggered for another connection', async () => {
+            const breaker = createOpossum();
+            const db = new Orchestrator({
+                connections: { primary: {}, cache: {} },
+                circuitBreaker: { use: breaker },
+                healthCheck: { checks: { primary: async () => false } },
+            });
+            const opened = vi.fn();
+            db.on('circuit:open', opened);
+            await db.connect();
+
+            await db.checkHealth('primary');
+
+            expect(opened).toHaveBeenCalledTimes(2);
+            expect(opened).toHaveBeenCalledWith(expect.objectContaining({ name: 'primary', reason: 'health-check-failed' }));
+            expect(opened).toHaveBeenCalledWith({ name: 'cache', timestamp: expect.any(Number) });
+            await db.disconnect();
+        });
+
+        it('should ignore manual outcomes for external circuits', () => {
+            const breaker = { execute: vi.fn() };
+            const db = new Orchestrator({ connections: { main: {} }, circuitBreaker: { use: breaker } });
+
+            expect(() => db.recordSuccess('main')).not.toThrow();
+            expect(() => db.recordFailure('main')).not.toThrow();
+        });
     });
 
     describe('health check error handling', () => {
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { PoolRouter } from '../src/pool-router.js';
+
+/**
+ * Build a pool context where every member is healthy and idle.
+ */
+function context(overrides = {}) {
+    return {
+        isUsable: () => true,
+        getStatus: () => 'healthy',
+        getInFlight: () => 0,
+        getLatency: () => undefined,
+        ...overrides,
+    };
+}
+
+describe('PoolRouter', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('constructor', () => {
+        it('should create empty router with no config', () => {
+            const router = new PoolRouter();
+
+            expect(router.getMappings()).toEqual({});
+        });
+
+        it('should accept member arrays and pool configs', () => {
+            const router = new PoolRouter({
+                reads: ['r1', 'r2'],
+                analytics: { members: ['a1'], strategy: 'random' },
+            });
+
+            expect(router.getMappings()).toEqual({ reads: ['r1', 'r2'], analytics: ['a1'] });
+        });
+
+        it('should throw if members is not an array', () => {
+            expect(() => new PoolRouter({ reads: 'r1' }))
+                .toThrow('Invalid pool configuration: members for "reads" must be an array');
+            expect(() => new PoolRouter({ reads: null }))
+                .toThrow('Invalid pool configuration: members for "reads" must be an array');
+        });
+
+        it('should throw for unknown strategies', () => {
+            expect(() => new PoolRouter({ reads: { members: ['r1'], strategy: 'fastest' } }))
+                .toThrow(/unknown strategy "fastest" for "reads". Available: round-robin, weighted/);
+        });
+
+        it('should throw for non-positive weights', () => {
+            expect(() => new PoolRouter({ reads: { members: ['r1'], strategy: 'weighted', weights: { r1: 0 } } }))
+                .toThrow('Invalid pool configuration: weight for "r1" in "reads" must be a positive number');
+            expect(() => new PoolRouter({ reads: { members: ['r1'], weights: { r1: '2' } } }))
+                .toThrow(/weight for "r1"/);
+        });
+    });
+
+    describe('members', () => {
+        it('should add members, creating the pool if needed', () => {
+            const router = new PoolRouter();
+
+            router.addMember('reads', 'r1');
+            router.addMember('reads', 'r2');
+
+            expect(router.has('reads')).toBe(true);
+            expect(router.getMembers('reads')).toEqual(['r1', 'r2']);
+        });
+
+        it('should remove a member from every pool', () => {
+            const router = new PoolRouter({ a: ['r1', 'r2'], b: ['r1'] });
+
+            router.removeMember('r1');
+
+            expect(router.getMappings()).toEqual({ a: ['r2'], b: [] });
+        });
+
+        it('should remove pools', () => {
+            const router = new PoolRouter({ a: ['r1'] });
+
+            expect(router.removePool('a')).toBe(true);
+            expect(router.removePool('a')).toBe(false);
+            expect(router.has('a')).toBe(false);
+        });
+
+        it('should return copies of members', () => {
+            const router = new PoolRouter({ a: ['r1'] });
+
+            router.getMembers('a').push('r2');
+            router.getMappings().a.push('r3');
+
+            expect(router.getMembers('a')).toEqual(['r1']);
+            expect(router.getMembers('missing')).toEqual([]);
+        });
+    });
+
+    describe('select()', () => {
+        it('should return undefined for unknown pools', () => {
+            expect(new PoolRouter().select('reads', context())).toBeUndefined();
+        });
+
+        it('should return undefined when no member is usable', () => {
+            const router = new PoolRouter({ reads: ['r1', 'r2'] });
+
+            expect(router.select('reads', context({ isUsable: () => false }))).toBeUndefined();
+        });
+
+        it('should round-robin by default', () => {
+            const router = new PoolRouter({ reads: ['r1', 'r2', 'r3'] });
+            const ctx = context();
+
+            expect([1, 2, 3, 4].map(() => router.select('reads', ctx))).toEqual(['r1', 'r2', 'r3', 'r1']);
+        });
+
+        it('should skip unusable members', () => {
+            const router = new PoolRouter({ reads: ['r1', 'r2'] });
+            const ctx = context({ isUsable: (name) => name !== 'r1' });
+
+            expect(router.select('reads', ctx)).toBe('r2');
+            expect(router.select('reads', ctx)).toBe('r2');
+        });
+
+        it('should prefer healthy members over degraded ones', () => {
+            const router = new PoolRouter({ reads: ['r1', 'r2'] });
+            const ctx = context({ getStatus: (name) => (name === 'r1' ? 'degraded' : 'healthy') });
+
+            expect(router.select('reads', ctx)).toBe('r2');
+            expect(router.select('reads', ctx)).toBe('r2');
+        });
+
+        it('should use degraded members when none is healthy', () => {
+            const router = new PoolRouter({ reads: ['r1'] });
+
+            expect(router.select('reads', context({ getStatus: () => 'degraded' }))).toBe('r1');
+        });
+
+        it('should pick by weight', () => {
+            const router = new PoolRouter({
+                reads: { members: ['r1', 'r2'], strategy: 'weighted', weights: { r1: 1, r2: 3 } },
+            });
+            const random = vi.spyOn(Math, 'random');
+
+            random.mockReturnValue(0.2);
+            expect(router.select('reads', context())).toBe('r1');
+
+            random.mockReturnValue(0.3);
+            expect(router.select('reads', context())).toBe('r2');
+        });
+
+        it('should default missing weights to 1', () => {
+            const router = new PoolRouter({ reads: { members: ['r1', 'r2'], strategy: 'weighted' } });
+            vi.spyOn(Math, 'random').mockReturnValue(0.6);
+
+            expect(router.select('reads', context())).toBe('r2');
+        });
+
+        it('should pick randomly', () => {
+            const router = new PoolRouter({ reads: { members: ['r1', 'r2', 'r3'], strategy: 'random' } });
+            vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+            expect(router.select('reads', context())).toBe('r2');
+        });
+
+        it('should pick the member with the fewest operations in flight', () => {
+            const router = new PoolRouter({ reads: { members: ['r1', 'r2', 'r3'], strategy: 'least-in-flight' } });
+            const inFlight = { r1: 4, r2: 1, r3: 1 };
+
+            expect(router.select('reads', context({ getInFlight: (name) => inFlight[name] }))).toBe('r2');
+        });
+
+        it('should pick the member with the lowest latency', () => {
+            const router = new PoolRouter({ reads: { members: ['r1', 'r2'], strategy: 'lowest-latency' } });
+            const latency = { r1: 20, r2: 5 };
+
+            expect(router.select('reads', context({ getLatency: (name) => latency[name] }))).toBe('r2');
+        });
+
+        it('should try members without latency samples first', () => {
+            const router = new PoolRouter({ reads: { members: ['r1', 'r2'], strategy: 'lowest-latency' } });
+
+            expect(router.select('reads', context({ getLatency: (name) => (name === 'r1' ? 5 : undefined) })))
+                .toBe('r2');
+        });
+
+        it('should call custom strategies with candidates and context', () => {
+            const strategy = vi.fn((candidates) => candidates[candidates.length - 1]);
+            const router = new PoolRouter({ reads: { members: ['r1', 'r2'], strategy, weights: { r1: 2 } } });
+
+            expect(router.select('reads', context())).toBe('r2');
+            expect(strategy).toHaveBeenCalledWith(['r1', 'r2'], expect.objectContaining({
+                pool: 'reads',
+                weights: { r1: 2 },
+                cursor: 0,
+            }));
+        });
+
+        it('should throw if a custom strategy returns an unavailable member', () => {
+            const router = new PoolRouter({ reads: { members: ['r1', 'r2'], strategy: () => 'r3' } });
+
+            expect(() => router.select('reads', context()))
+                .toThrow('Strategy for pool "reads" returned "r3", which is not an available member');
+        });
+    });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { Registry } from '../src/registry.js';
 
 describe('Registry', () => {
@@ -185,10 +185,228 @@ describe('Registry', () => {
             expect(entries).toContainEqual(['db2', client2]);
         });
 
+        it('should yield undefined for unresolved lazy connections', () => {
+            registry.registerFactory('db1', () => ({}));
+
+            expect([...registry.entries()]).toEqual([['db1', undefined]]);
+        });
+
         it('should return empty iterator for empty registry', () => {
             const entries = [...registry.entries()];
 
             expect(entries).toHaveLength(0);
         });
     });
+    describe('registerFactory()', () => {
+        it('should register a lazy connection without calling the factory', () => {
+            const factory = vi.fn(async () => ({ name: 'lazy' }));
+            registry.registerFactory('db1', factory);
+
+            expect(registry.has('db1')).toBe(true);
+            expect(registry.list()).toEqual(['db1']);
+            expect(registry.isLazy('db1')).toBe(true);
+            expect(registry.isResolved('db1')).toBe(false);
+            expect(registry.get('db1')).toBeUndefined();
+            expect(factory).not.toHaveBeenCalled();
+        });
+
+        it('should throw if name is invalid', () => {
+            expect(() => registry.registerFactory('', () => ({}))).toThrow(
+                'Connection name must be a non-empty string'
+            );
+        });
+
+        it('should throw if factory is not a function', () => {
+            expect(() => registry.registerFactory('db1', {})).toThrow('Factory must be a function');
+        });
+    });
+
+    describe('resolve()', () => {
+        it('should return registered clients directly', async () => {
+            const client = { name: 'client' };
+            registry.register('db1', client);
+
+            expect(await registry.resolve('db1')).toBe(client);
+            expect(registry.isLazy('db1')).toBe(false);
+        });
+
+        it('should return undefined for non-existent connections', async () => {
+            expect(await registry.resolve('nonexistent')).toBeUndefined();
+        });
+
+        it('should call the factory once and cache the client', async () => {
+            const client = { name: 'lazy' };
+            const factory = vi.fn(async () => client);
+            registry.registerFactory('db1', factory);
+
+            const [a, b] = await Promise.all([registry.resolve('db1'), registry.resolve('db1')]);
+
+            expect(a).toBe(client);
+            expect(b).toBe(client);
+            expect(await registry.resolve('db1')).toBe(client);
+            expect(registry.get('db1')).toBe(client);
+            expect(registry.isResolved('db1')).toBe(true);
+            expect(factory).toHaveBeenCalledTimes(1);
+        });
+
+        it('should support synchronous factories', async () => {
+            const client = { name: 'lazy' };
+            registry.registerFactory('db1', () => client);
+
+            expect(await registry.resolve('db1')).toBe(client);
+        });
+
+        it('should not cache factory failures', async () => {
+            const client = { name: 'lazy' };
+            const factory = vi.fn()
+                .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+                .mockResolvedValueOnce(client);
+            registry.registerFactory('db1', factory);
+
+            await expect(registry.resolve('db1')).rejects.toThrow('connect ECONNREFUSED');
+            expect(registry.isResolved('db1')).toBe(false);
+
+            expect(await registry.resolve('db1')).toBe(client);
+            expect(factory).toHaveBeenCalledTimes(2);
+        });
+
+        it('should reject if the factory returns no client', async () => {
+            registry.registerFactory('db1', async () => null);
+
+            await expect(registry.resolve('db1')).rejects.toThrow('Factory for "db1" returned no client');
+        });
+
+        it('should discard clients of connections removed while the factory was pending', async () => {
+            const discard = vi.fn();
+            const client = { name: 'late' };
+            let finish;
+            registry = new Registry({ discard });
+            registry.registerFactory('db1', () => new Promise((resolve) => { finish = resolve; }));
+
+            const pending = registry.resolve('db1');
+            registry.delete('db1');
+            registry.registerFactory('db1', async () => ({}));
+            finish(client);
+
+            await expect(pending).rejects.toThrow('Connection "db1" was removed or reset while its factory was pending');
+            expect(discard).toHaveBeenCalledWith('db1', client);
+            expect(registry.isResolved('db1')).toBe(false);
+        });
+
+        it('should discard clients of connections reset while the factory was pending', async () => {
+            const discard = vi.fn();
+            const stale = { name: 'stale' };
+            const fresh = { name: 'fresh' };
+            const finish = [];
+            registry = new Registry({ discard });
+            registry.registerFactory('db1', () => new Promise((resolve) => finish.push(resolve)));
+
+            const first = registry.resolve('db1');
+            registry.reset('db1');
+            const second = registry.resolve('db1');
+            finish[0](stale);
+            finish[1](fresh);
+
+            await expect(first).rejects.toThrow('was removed or reset while its factory was pending');
+            expect(await second).toBe(fresh);
+            expect(registry.get('db1')).toBe(fresh);
+            expect(discard).toHaveBeenCalledWith('db1', stale);
+        });
+
+        it('should drop stale clients without a discard option', async () => {
+            let finish;
+            registry.registerFactory('db1', () => new Promise((resolve) => { finish = resolve; }));
+
+            const pending = registry.resolve('db1');
+            registry.reset('db1');
+            finish({});
+
+            await expect(pending).rejects.toThrow('was removed or reset');
+            expect(registry.isResolved('db1')).toBe(false);
+        });
+    });
+
+    describe('reset()', () => {
+        it('should drop the cached client of a lazy connection', async () => {
+            const factory = vi.fn(async () => ({}));
+            registry.registerFactory('db1', factory);
+            await registry.resolve('db1');
+
+            registry.reset('db1');
+
+            expect(registry.isResolved('db1')).toBe(false);
+            await registry.resolve('db1');
+            expect(factory).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep eager clients', () => {
+            const client = {};
+            registry.register('db1', client);
+
+            registry.reset('db1');
+            registry.reset('nonexistent');
+
+            expect(registry.get('db1')).toBe(client);
+        });
+    });
+    describe('tags and metadata', () => {
+        it('should store tags and metadata', () => {
+            registry.register('db1', {}, { tags: ['read', 'eu', 'read'], metadata: { region: 'eu-west-1' } });
+
+            expect(registry.getTags('db1')).toEqual(['read', 'eu']);
+            expect(registry.getMetadata('db1')).toEqual({ region: 'eu-west-1' });
+        });
+
+        it('should default to no tags and empty metadata', () => {
+            registry.register('db1', {});
+
+            expect(registry.getTags('db1')).toEqual([]);
+            expect(registry.getMetadata('db1')).toEqual({});
+        });
+
+        it('should store tags for factories', () => {
+            registry.registerFactory('db1', () => ({}), { tags: ['analytics'] });
+
+            expect(registry.listByTag('analytics')).toEqual(['db1']);
+        });
+
+        it('should return empty values for non-existent connections', () => {
+            expect(registry.getTags('nonexistent')).toEqual([]);
+            expect(registry.getMetadata('nonexistent')).toBeUndefined();
+        });
+
+        it('should not expose internal tag arrays', () => {
+            registry.register('db1', {}, { tags: ['read'] });
+
+            registry.getTags('db1').push('write');
+
+            expect(registry.getTags('db1')).toEqual(['read']);
+        });
+
+        it('should list connections by tag in registration order', () => {
+            registry.register('r1', {}, { tags: ['read'] });
+            registry.register('w1', {}, { tags: ['write'] });
+            registry.register('r2', {}, { tags: ['read', 'eu'] });
+
+            expect(registry.listByTag('read')).toEqual(['r1', 'r2']);
+            expect(registry.listByTag('missing')).toEqual([]);
+        });
+
+        it('should throw on invalid tags', () => {
+            expect(() => registry.register('db1', {}, { tags: 'read' })).toThrow(
+                'Tags must be an array of non-empty strings'
+            );
+            expect(() => registry.register('db1', {}, { tags: [''] })).toThrow(
+                'Tags must be an array of non-empty strings'
+            );
+            expect(() => registry.register('db1', {}, { tags: [1] })).toThrow(
+                'Tags must be an array of non-empty strings'
+            );
+        });
+
+        it('should throw on invalid metadata', () => {
+            expect(() => registry.register('db1', {}, { metadata: null })).toThrow('Metadata must be an object');
+            expect(() => registry.register('db1', {}, { metadata: 'eu' })).toThrow('Metadata must be an object');
+        });
+    });
 });
@@ -20,7 +20,11 @@ export type HealthStatus = 'healthy' | 'degraded' | 'unhealthy';
 export interface ConnectionHealth {
     /** Current health status */
     status: HealthStatus;
-    /** Name of backup connection if currently in failover */
+    /** Consecutive failed health checks */
+    consecutiveFailures: number;
+    /** Consecutive passing (healthy or degraded) health checks */
+    consecutiveSuccesses: number;
+    /** Name of the connection in use if currently in failover (the final target of a chain) */
     failoverTo?: string;
 }
 
@@ -31,6 +35,140 @@ export interface ConnectionHealth {
  */
 export type HealthCheckFunction<T = unknown> = (client: T) => Promise<boolean | 'healthy' | 'degraded'>;
 
+/**
+ * Health check with its own schedule, overriding the global settings.
+ */
+export interface ConnectionCheckConfig<T = unknown> {
+    /** Health check function (connections without one are assumed healthy) */
+    fn?: HealthCheckFunction<T>;
+    /**
+     * Check interval for this connection.
+     * @example '5s'
+     */
+    interval?: string;
+    /**
+     * Check timeout for this connection.
+     * @example '30s'
+     */
+    timeout?: string;
+    /** Retry configuration for this connection */
+    retry?: RetryConfig;
+    /** Degraded latency budget for this connection, overrides `healthCheck.degradedAfter` */
+    degradedAfter?: string;
+    /** Unhealthy latency budget for this connection, overrides `healthCheck.unhealthyAfter` */
+    unhealthyAfter?: string;
+}
+
+/**
+ * Function creating a database client on first use.
+ */
+export type ConnectionFactory<T = unknown> = () => T | Promise<T>;
+
+/**
+ * Tags and metadata attached to a connection.
+ */
+export interface ConnectionMeta {
+    /** Tags used to address connections as groups */
+    tags?: string[];
+    /** Arbitrary user data */
+    metadata?: Record<string, unknown>;
+    /**
+     * Do not fail `readiness()` when this connection is down.
+     * @default false
+     */
+    optional?: boolean;
+    /**
+     * Inverse of `optional`: fail `readiness()` when this connection is down.
+     * Setting both flags to contradicting values throws.
+     * @default true
+     */
+    critical?: boolean;
+}
+
+/**
+ * Registry options.
+ */
+export interface RegistryOptions {
+    /**
+     * Called with clients whose factory finished after the connection was
+     * removed or reset, so they can be closed.
+     */
+    discard?: (name: string, client: unknown) => unknown | Promise<unknown>;
+}
+
+/**
+ * Matches errors by class (`instanceof`), by `code` or `name` (string), or by message (RegExp).
+ */
+export type ErrorMatcher = (abstract new (...args: any[]) => unknown) | string | RegExp;
+
+/**
+ * Which errors count as failures for circuit breakers and passive health.
+ * Errors that don't count (e.g. constraint violations) are recorded as successes.
+ */
+export interface ErrorClassification {
+    /** Return false for errors that should not count as failures */
+    isFailure?: (err: unknown) => boolean;
+    /**
+     * Errors that never count as failures.
+     * @example [ValidationError, '23505', 'ER_DUP_ENTRY', /constraint/i]
+     */
+    ignoreErrors?: ErrorMatcher[];
+}
+
+/**
+ * Client instance with tags and metadata.
+ *
+ * @example
+ * ```typescript
+ * connections: {
+ *   'replica-eu': { client: euPool, tags: ['read', 'eu'], metadata: { region: 'eu-west-1' } },
+ * }
+ * ```
+ */
+export interface ConnectionDescriptor<T = unknown> extends ConnectionMeta, ErrorClassification {
+    /** The database client instance */
+    client: T;
+}
+
+/**
+ * Lazily created connection.
+ *
+ * @example
+ * ```typescript
+ * connections: {
+ *   analytics: { factory: async () => new Pool({ connectionString }), eager: false },
+ * }
+ * ```
+ */
+export interface LazyConnection<T = unknown> extends ConnectionMeta, ErrorClassification {
+    /** Function creating the client, called on first get()/execute() */
+    factory: ConnectionFactory<T>;
+    /**
+     * Create the client during connect() instead of on first use.
+     * @default false
+     */
+    eager?: boolean;
+}
+
+/**
+ * Client type of a connection config value (instance, factory or descriptor).
+ */
+export type ConnectionClient<T> = T extends LazyConnection<infer C>
+    ? Awaited<C>
+    : T extends ConnectionFactory<infer C>
+    ? Awaited<C>
+    : T extends ConnectionDescriptor<infer C>
+    ? C
+    : T;
+
+/**
+ * Return type of get(): a promise of the client for lazy connections that
+ * have not been created yet, the client otherwise.
+ */
+export type ClientResult<T> = T extends LazyConnection | ConnectionFactory
+    ? ConnectionClient<T> | Promise<ConnectionClient<T>>
+    : ConnectionClient<T>;
+
 // ============================================================================
 // Configuration Types
 // ============================================================================
@@ -77,30 +215,184 @@ export interface HealthCheckConfig<TConnections extends Record<string, unknown>
     retry?: RetryConfig;
 
     /**
-     * Custom health check functions per connection.
+     * Consecutive failed checks before a connection becomes unhealthy.
+     * @default 1
+     */
+    unhealthyThreshold?: number;
+
+    /**
+     * Consecutive passing checks before an unhealthy connection recovers.
+     * @default 1
+     */
+    healthyThreshold?: number;
+
+    /**
+     * Number of recent check durations kept per connection for latency stats.
+     * @default 100
+     */
+    latencyWindow?: number;
+
+    /**
+     * Successful checks slower than this mark the connection degraded.
+     * @example '500ms'
+     */
+    degradedAfter?: string;
+
+    /**
+     * Successful checks slower than this count as failed.
+     * @example '2s'
+     */
+    unhealthyAfter?: string;
+
+    /**
+     * Use built-in checks for recognized drivers (pg, mysql2, better-sqlite3,
+     * MongoDB, Redis, Prisma) when a connection has no check function.
+     * @default true
+     */
+    presets?: boolean;
+
+    /**
+     * Derive health from the error rate of `execute()` operations, so
+     * failover can engage between periodic checks. `true` uses the defaults.
+     */
+    passive?: boolean | PassiveConfig;
+
+    /**
+     * Number of health history entries kept per connection.
+     * @default 50
+     */
+    historySize?: number;
+
+    /**
+     * Custom health check functions per connection, or objects with the
+     * function and its own interval, timeout and retry settings.
+     * `false` disables the built-in check for a connection.
      * @example { primary: async (client) => client.ping() }
+     * @example { cache: { fn: async (client) => client.ping(), interval: '5s' } }
      */
     checks?: {
-        [K in keyof TConnections]?: HealthCheckFunction<TConnections[K]>;
+        [K in keyof TConnections]?:
+            | HealthCheckFunction<ConnectionClient<TConnections[K]>>
+            | ConnectionCheckConfig<ConnectionClient<TConnections[K]>>
+            | false;
     };
 }
 
+/**
+ * Anti-flapping thresholds for failover and recovery.
+ */
+export interface FailoverPolicy {
+    /**
+     * Consecutive unhealthy checks before failing over.
+     * @default 1
+     */
+    failoverThreshold?: number;
+
+    /**
+     * Consecutive passing (healthy or degraded) checks before failing back.
+     * @default 1
+     */
+    recoveryThreshold?: number;
+
+    /**
+     * Minimum time to stay in failover before failing back.
+     * @example '30s', '2m'
+     * @default 0
+     */
+    minFailoverDuration?: string | number;
+}
+
+/**
+ * Member accessors passed to pool strategies.
+ */
+export interface PoolStrategyContext {
+    /** Pool name */
+    pool: string;
+    /** Configured member weights */
+    weights: Record<string, number>;
+    /** Number of selections made from this pool so far */
+    cursor: number;
+    /** Whether a member can take traffic (not unhealthy, circuit not open) */
+    isUsable(name: string): boolean;
+    /** Health status of a member */
+    getStatus(name: string): HealthStatus | undefined;
+    /** Operations currently running on a member through execute() */
+    getInFlight(name: string): number;
+    /** Average execute() latency of a member in ms, if measured */
+    getLatency(name: string): number | undefined;
+}
+
+/**
+ * Custom pool strategy. Receives the usable members (healthy ones when
+ * available) and returns the one to route to.
+ */
+export type PoolStrategy = (candidates: string[], context: PoolStrategyContext) => string;
+
+/**
+ * Pool definition.
+ * @template TName Member name type
+ */
+export interface PoolConfig<TName = string> {
+    /** Member connection names */
+    members: TName[];
+
+    /**
+     * Load-balancing strategy.
+     * @default 'round-robin'
+     */
+    strategy?: 'round-robin' | 'weighted' | 'random' | 'least-in-flight' | 'lowest-latency' | PoolStrategy;
+
+    /**
+     * Member weights for the 'weighted' strategy.
+     * @default 1 per member
+     */
+    weights?: Partial<Record<TName & string, number>>;
+}
+
 /**
  * Orchestrator configuration options.
  * @template TConnections Record of connection names to client types
  */
-export interface OrchestratorConfig<TConnections extends Record<string, unknown>> {
+export interface OrchestratorConfig<TConnections extends Record<string, unknown>> extends ErrorClassification {
     /**
      * Named database client instances.
-     * @example { primary: pgClient, cache: redisClient }
+     * A function or `{ factory, eager }` object creates the client lazily
+     * on first get()/execute(), or during connect() when `eager` is true.
+     * Breaking: callable clients (e.g. knex) are no longer used as is and
+     * must be wrapped as `{ client: knex }` or `{ factory: () => knex }`.
+     * A `{ client, tags, metadata }` object attaches tags and metadata.
+     * @example { primary: pgClient, cache: redisClient, analytics: () => new Pool() }
      */
     connections: TConnections;
 
     /**
-     * Failover mapping from primary to backup connection.
+     * Failover mapping from primary to backup connection, or to an ordered
+     * list of backup candidates (the first one that is not unhealthy wins).
      * @example { primary: 'replica' }
+     * @example { primary: ['replica-a', 'replica-b', 'dr'] }
+     */
+    failover?: Partial<Record<keyof TConnections, keyof TConnections | (keyof TConnections)[]>>;
+
+    /**
+     * Anti-flapping thresholds for failover and recovery.
+     * @example { failoverThreshold: 2, recoveryThreshold: 3, minFailoverDuration: '1m' }
+     */
+    failoverPolicy?: FailoverPolicy;
+
+    /**
+     * Read replicas per primary connection, used by read() and
+     * execute(name, fn, { mode: 'read' }).
+     * @example { primary: ['replica-a', 'replica-b'] }
+     * @example { primary: { members: ['replica-a', 'replica-b'], strategy: 'least-in-flight' } }
+     */
+    replicas?: Partial<Record<keyof TConnections, (keyof TConnections)[] | PoolConfig<keyof TConnections>>>;
+
+    /**
+     * Logical names that resolve to one of several member connections.
+     * Pool names can be passed to get(), read(), write() and execute().
+     * @example { reads: { members: ['replica-a', 'replica-b'], strategy: 'weighted', weights: { 'replica-a': 3 } } }
      */
-    failover?: Partial<Record<keyof TConnections, keyof TConnections>>;
+    pools?: Record<string, (keyof TConnections)[] | PoolConfig<keyof TConnections>>;
 
     /**
      * Health check configuration.
@@ -108,9 +400,9 @@ export interface OrchestratorConfig<TConnections extends Record<string, unknown>
     healthCheck?: HealthCheckConfig<TConnections>;
 
     /**
-     * Circuit breaker configuration.
+     * Circuit breaker configuration, optionally per connection.
      */
-    circuitBreaker?: CircuitBreakerConfig;
+    circuitBreaker?: OrchestratorCircuitBreakerConfig<Extract<keyof TConnections, string>>;
 }
 
 /**
@@ -134,6 +426,31 @@ export interface ExternalCircuitBreaker {
      */
     open?(): void;
 
+    /**
+     * Force the circuit to close (optional, opossum style).
+     */
+    close?(): void;
+
+    /**
+     * Subscribe to `open` / `close` events (optional, opossum style).
+     */
+    on?(event: string, listener: (...args: any[]) => void): unknown;
+
+    /**
+     * Remove an event listener (optional, opossum style).
+     */
+    removeListener?(event: string, listener: (...args: any[]) => void): unknown;
+
+    /**
+     * Subscribe to the circuit opening (optional, cockatiel style).
+     */
+    onBreak?(listener: (...args: any[]) => void): { dispose(): void } | void;
+
+    /**
+     * Subscribe to the circuit closing (optional, cockatiel style).
+     */
+    onReset?(listener: (...args: any[]) => void): { dispose(): void } | void;
+
     /**
      * Circuit status (optional, for stats reporting).
      */
@@ -148,9 +465,16 @@ export interface ExternalCircuitBreaker {
 /**
  * Circuit breaker configuration options.
  */
-export interface CircuitBreakerConfig {
+export interface CircuitBreakerConfig extends ErrorClassification {
+    /**
+     * How failures open the circuit: after `threshold` consecutive failures,
+     * or when the failure rate over a sliding window reaches `failureRate`.
+     * @default 'consecutive'
+     */
+    mode?: 'consecutive' | 'rate';
+
     /**
-     * Number of failures before opening circuit.
+     * Number of consecutive failures before opening circuit ('consecutive' mode).
      * Must be a positive integer (>= 1).
      * @default 5
      * @throws Error if value is less than 1
@@ -175,10 +499,69 @@ export interface CircuitBreakerConfig {
     halfOpenSuccesses?: number;
 
     /**
-     * External circuit breaker instance (e.g., opossum, cockatiel).
+     * Trial calls allowed to run at once in half-open state. Further calls
+     * fast-fail and count as rejections; `canExecute()` is false meanwhile.
+     * @default Infinity
+     */
+    halfOpenMaxConcurrent?: number;
+
+    /**
+     * Factor applied to the open duration each time a half-open call fails
+     * and the circuit re-opens. Resets to `resetTimeout` once the circuit closes.
+     * Must be >= 1.
+     * @default 1
+     */
+    backoffMultiplier?: number;
+
+    /**
+     * Randomly shorten open durations by up to this fraction (0-1), so
+     * breakers of several instances don't probe in lockstep.
+     * @default 0
+     */
+    backoffJitter?: number;
+
+    /**
+     * Upper bound for the open duration.
+     * @example '5m', 300000
+     * @default 5 minutes, or resetTimeout if larger
+     */
+    maxResetTimeout?: string | number;
+
+    /**
+     * Failure rate (0-1] that opens the circuit ('rate' mode).
+     * @default 0.5
+     */
+    failureRate?: number;
+
+    /**
+     * Calls needed in the window before the failure rate is judged ('rate' mode).
+     * Defaults to 10, capped at `windowSize` for count-based windows.
+     * @default 10
+     */
+    minimumRequests?: number;
+
+    /**
+     * Number of most recent calls in the window ('rate' mode).
+     * Cannot be combined with `windowDuration`.
+     * @default 20
+     */
+    windowSize?: number;
+
+    /**
+     * Use a time window of this length instead of a count window ('rate' mode).
+     * @example '30s', 60000
+     */
+    windowDuration?: string | number;
+
+    /**
+     * External circuit breaker instance (e.g., opossum, cockatiel), or a
+     * factory creating one per connection. A shared instance opens for every
+     * connection at once.
      * When provided, the built-in circuit breaker is not used.
      * The external instance must have either execute() or fire() method.
-     * Validated at construction time.
+     * Validated at construction time. Its open/close events (opossum `open` /
+     * `close`, cockatiel `onBreak` / `onReset`) are forwarded as
+     * `circuit:open` / `circuit:close`.
      *
      * @example
      * ```typescript
@@ -186,12 +569,32 @@ export interface CircuitBreakerConfig {
      *
      * const db = new Orchestrator({
      *   connections: { primary: pg },
-     *   circuitBreaker: { use: new CircuitBreaker(fn, opts) }
+     *   circuitBreaker: { use: (name) => new CircuitBreaker(fn, { name, ...opts }) }
      * });
      * ```
      * @throws Error if external circuit lacks execute() or fire() method
      */
-    use?: ExternalCircuitBreaker;
+    use?: ExternalCircuitBreaker | ((name: string) => ExternalCircuitBreaker);
+}
+
+/**
+ * Circuit breaker settings of the orchestrator: one config for every
+ * connection, or a default with per-connection overrides. Top-level options
+ * next to `connections` act as the default.
+ *
+ * @example
+ * ```typescript
+ * circuitBreaker: {
+ *   default: { threshold: 5, resetTimeout: '30s' },
+ *   connections: { cache: { threshold: 2, resetTimeout: '5s' }, primary: false },
+ * }
+ * ```
+ */
+export interface OrchestratorCircuitBreakerConfig<TName extends string = string> extends CircuitBreakerConfig {
+    /** Settings for connections without an entry in `connections`, or false for no circuit breaker */
+    default?: CircuitBreakerConfig | false;
+    /** Per-connection settings merged over the default, or false to disable the circuit breaker */
+    connections?: Partial<Record<TName, CircuitBreakerConfig | false>>;
 }
 
 /**
@@ -216,6 +619,10 @@ export interface FailoverEvent {
     primary: string;
     /** Name of the backup connection being used */
     backup: string;
+    /** Configured backup candidates of the primary, in priority order */
+    candidates: string[];
+    /** Number of hops along the failover chain from primary to backup (1 for a direct backup) */
+    depth: number;
     /** Unix timestamp when the event occurred */
     timestamp: number;
 }
@@ -228,6 +635,8 @@ export interface RecoveryEvent {
     primary: string;
     /** Name of the backup connection that was being used */
     backup: string;
+    /** Configured backup candidates of the primary, in priority order */
+    candidates: string[];
     /** Unix timestamp when the event occurred */
     timestamp: number;
 }
@@ -242,10 +651,40 @@ export interface HealthChangedEvent {
     previous: HealthStatus;
     /** Current health status */
     current: HealthStatus;
+    /** Duration of the check that caused the change in ms (absent for startup connection failures) */
+    durationMs?: number;
+    /** Set to 'passive' when the change came from execute() errors rather than a health check */
+    reason?: 'passive';
+    /** Unix timestamp when the event occurred */
+    timestamp: number;
+}
+
+/**
+ * Health check event payload, emitted after every health check.
+ */
+export interface HealthCheckEvent extends HealthCheckReport {
     /** Unix timestamp when the event occurred */
     timestamp: number;
 }
 
+/**
+ * Health check latency over a connection's recent checks.
+ */
+export interface CheckLatency {
+    /** Duration of the most recent check in ms */
+    last: number;
+    /** Mean duration in ms */
+    avg: number;
+    /** Median duration in ms */
+    p50: number;
+    /** 95th percentile duration in ms */
+    p95: number;
+    /** 99th percentile duration in ms */
+    p99: number;
+    /** Number of checks in the window */
+    samples: number;
+}
+
 /**
  * Shutdown event payload.
  */
@@ -292,6 +731,85 @@ export interface DisconnectedEvent {
     timestamp: number;
 }
 
+/**
+ * Connection added/removed event payload.
+ */
+export interface ConnectionChangeEvent {
+    /** Connection name */
+    name: string;
+    /** Unix timestamp when the event occurred */
+    timestamp: number;
+}
+
+/**
+ * Options for adding a connection at runtime.
+ */
+export interface AddConnectionOptions<T = unknown> extends ConnectionMeta, ErrorClassification {
+    /** Custom health check function for the connection, or false to disable the built-in check */
+    healthCheck?: HealthCheckFunction<T> | ConnectionCheckConfig<T> | false;
+    /** Existing connection(s) to fail over to, in priority order */
+    failover?: string | string[];
+    /** Name of an existing primary this connection serves reads for */
+    replicaOf?: string;
+    /** Circuit breaker settings merged over the default, or false to disable the circuit breaker */
+    circuitBreaker?: CircuitBreakerConfig | false;
+    /**
+     * For factories, create the client during connect().
+     * @default false
+     */
+    eager?: boolean;
+}
+
+/**
+ * Rolled-up health of the connections carrying a tag.
+ */
+export interface GroupHealth {
+    /** The tag */
+    tag: string;
+    /**
+     * `healthy` if all members are healthy, `unhealthy` if all members are
+     * unhealthy (or there are none), `degraded` otherwise.
+     */
+    status: HealthStatus;
+    /** Health per member */
+    connections: Record<string, ConnectionHealth>;
+}
+
+/**
+ * Options for execute().
+ */
+export interface ExecuteOptions {
+    /**
+     * Route to a replica ('read') or the primary ('write').
+     * @default 'write'
+     */
+    mode?: 'read' | 'write';
+}
+
+/**
+ * Options for connect().
+ */
+export interface ConnectOptions<TName extends string = string> {
+    /**
+     * Open each client (`connect()` / `$connect()`) and run the first round
+     * of health checks before resolving.
+     * @default false
+     */
+    verify?: boolean;
+    /**
+     * Timeout for opening each client.
+     * @example '5s', 2000
+     * @default health check timeout
+     */
+    timeout?: string | number;
+    /**
+     * Connections that must pass verification. Others are marked unhealthy
+     * on failure without rejecting.
+     * @default all created connections
+     */
+    required?: TName[];
+}
+
 /**
  * Shutdown options for graceful process termination.
  */
@@ -310,9 +828,12 @@ export interface ShutdownOptions {
 export interface OrchestratorEvents {
     connected: [event: ConnectedEvent];
     disconnected: [event: DisconnectedEvent];
+    'connection:added': [event: ConnectionChangeEvent];
+    'connection:removed': [event: ConnectionChangeEvent];
     failover: [event: FailoverEvent];
     recovery: [event: RecoveryEvent];
     'health:changed': [event: HealthChangedEvent];
+    'health:check': [event: HealthCheckEvent];
     shutdown: [event: ShutdownEvent];
     'circuit:open': [event: CircuitEvent & { reason?: string }];
     'circuit:close': [event: CircuitEvent & { reason?: string }];
@@ -350,9 +871,18 @@ export class CircuitBreaker {
     /** Current circuit state */
     readonly state: CircuitState;
 
-    /** Current failure count */
+    /** Current failure count: consecutive failures, or failures in the window in 'rate' mode */
     readonly failures: number;
 
+    /** Failure rate (0-1) over the current window; 0 in 'consecutive' mode */
+    readonly failureRate: number;
+
+    /** Open duration in ms of the current open period, or `resetTimeout` after closing */
+    readonly openDuration: number;
+
+    /** Calls rejected without running: while open, or beyond `halfOpenMaxConcurrent` while half-open */
+    readonly rejections: number;
+
     /**
      * Check if circuit allows execution.
      * @returns True if execution is allowed (closed or half-open)
@@ -368,14 +898,28 @@ export class CircuitBreaker {
      */
     execute<T>(fn: () => Promise<T>): Promise<T>;
 
-    /** Manually record successful operation */
-    success(): void;
+    /**
+     * Manually record successful operation.
+     * @returns True if the circuit opened ('rate' mode, once the window reaches
+     * `minimumRequests` with the failure rate at or above `failureRate`)
+     */
+    success(): boolean;
+
+    /**
+     * Check if an error counts as a failure under `isFailure` and `ignoreErrors`.
+     * @param err The error
+     */
+    isFailure(err: unknown): boolean;
 
     /**
      * Manually record failed operation.
+     * @param err The error; errors that don't count as failures are recorded as successes
      * @returns True if failure caused circuit to open
      */
-    failure(): boolean;
+    failure(err?: unknown): boolean;
+
+    /** Manually record a call rejected because `canExecute()` returned false */
+    rejection(): void;
 
     /** Force circuit to close */
     reset(): void;
@@ -393,17 +937,83 @@ export class CircuitBreaker {
  * Provides O(1) lookup performance.
  */
 export declare class Registry {
+    /**
+     * Create a registry.
+     * @param options Registry options
+     */
+    constructor(options?: RegistryOptions);
+
     /**
      * Register a connection with a unique name.
      * @param name Unique identifier for the connection
      * @param client The database client instance
+     * @param meta Tags and metadata
      * @throws Error if name is empty or not a string
      * @throws Error if client is null or undefined
+     * @throws Error if tags or metadata are invalid
+     */
+    register(name: string, client: unknown, meta?: ConnectionMeta): void;
+
+    /**
+     * Register a lazily created connection.
+     * @param name Unique identifier for the connection
+     * @param factory Function returning the client (or a promise of it)
+     * @param meta Tags and metadata
+     * @throws Error if name is empty or factory is not a function
+     */
+    registerFactory(name: string, factory: ConnectionFactory, meta?: ConnectionMeta): void;
+
+    /**
+     * Retrieve a connection by name, calling its factory if needed.
+     * Concurrent calls share one factory call; failures are not cached.
+     * @param name The connection name
+     * @returns The client instance, or undefined if not found
+     * @throws Error if the connection was removed or reset while the factory was pending
+     */
+    resolve<T = unknown>(name: string): Promise<T | undefined>;
+
+    /**
+     * Check if a connection has a client instance available.
+     * @param name The connection name
+     */
+    isResolved(name: string): boolean;
+
+    /**
+     * Check if a connection was registered with a factory.
+     * @param name The connection name
+     */
+    isLazy(name: string): boolean;
+
+    /**
+     * Drop the cached client of a lazy connection and invalidate a pending factory call.
+     * @param name The connection name
+     */
+    reset(name: string): void;
+
+    /**
+     * Get the tags of a connection.
+     * @param name The connection name
+     * @returns Tags, or an empty array if not found
      */
-    register(name: string, client: unknown): void;
+    getTags(name: string): string[];
+
+    /**
+     * Get the metadata of a connection.
+     * @param name The connection name
+     * @returns Metadata, or undefined if not found
+     */
+    getMetadata(name: string): Record<string, unknown> | undefined;
+
+    /**
+     * Get the names of all connections carrying a tag.
+     * @param tag Tag to match
+     * @returns Connection names in registration order
+     */
+    listByTag(tag: string): string[];
 
     /**
      * Retrieve a connection by name.
+     * Lazy connections return undefined until resolved.
      * @param name The connection name
      * @returns The client instance, or undefined if not found
      */
@@ -499,39 +1109,143 @@ export declare class Orchestrator<
 
     /**
      * Connect to all registered databases and start health monitoring.
-     * @fires connected - For each connection
+     * With `verify: true`, opens each client and runs the first health check,
+     * rejecting with an `AggregateError` if required connections fail;
+     * the clients it opened or created are closed again in that case.
+     * Calls made while a connect is in flight share its result.
+     * @param options Connect options
+     * @throws Error if a required connection name is not registered
+     * @throws AggregateError if verification fails for required connections
+     * @fires connected - For each connection that did not fail verification
+     * @fires error - If opening a client fails (context `'connect'`)
+     *
+     * @example
+     * ```typescript
+     * await db.connect({ verify: true, timeout: '5s', required: ['primary'] });
+     * ```
      */
-    connect(): Promise<void>;
+    connect(options?: ConnectOptions<Extract<keyof TConnections, string>>): Promise<void>;
 
     /**
      * Disconnect from all databases and stop health monitoring.
+     * Waits for a pending `connect()` first.
      * @fires disconnected - For each connection
      */
     disconnect(): Promise<void>;
 
+    /**
+     * Add a connection at runtime.
+     * Registers the client with health monitoring, circuit breaker and failover.
+     * @param name Unique connection name
+     * @param client Client instance, factory, or lazy descriptor
+     * @param options Health check and failover options
+     * @throws Error if the name already exists or the failover backup is not registered
+     * @fires connection:added
+     *
+     * @example
+     * ```typescript
+     * db.add('tenant-42', new Pool({ connectionString }), { failover: 'shared' });
+     * ```
+     */
+    add<T>(name: string, client: T, options?: AddConnectionOptions<ConnectionClient<T>>): void;
+
+    /**
+     * Remove a connection at runtime.
+     * Closes the client when the orchestrator is connected.
+     * @param name The connection name
+     * @returns True if the connection was removed, false if it did not exist
+     * @throws Error if another connection uses it as failover backup
+     * @fires disconnected - If the client was closed
+     * @fires connection:removed
+     */
+    remove(name: keyof TConnections | string): Promise<boolean>;
+
     /**
      * Get a database client by name.
      * When failover is configured and primary is unhealthy, returns backup.
      *
-     * @param name The connection name
+     * Lazy connections return a promise of the client until it has been created.
+     * Pool names resolve to a member picked by the pool strategy.
+     *
+     * @param name The connection or pool name
      * @returns The database client
+     * @throws Error if no member of a pool is available
      * @fires failover - If routing to backup
      * @fires recovery - If recovering from failover
+     * @fires error - If the factory of a lazy connection fails
      *
      * @example
      * ```typescript
      * const client = db.get('postgres');
      * // Type is inferred from connections config
+     *
+     * const analytics = await db.get('analytics'); // lazy connection
      * ```
      */
-    get<K extends keyof TConnections>(name: K): TConnections[K];
+    get<K extends keyof TConnections>(name: K): ClientResult<TConnections[K]>;
     get(name: string): unknown;
 
     /**
-     * Get all registered connection names.
+     * Get a client for reads.
+     * Routes to healthy replicas of the primary using the replica strategy
+     * (round-robin by default), then degraded ones, and falls back to the
+     * primary when all replicas are unhealthy.
+     * @param name The primary connection name
+     * @returns The database client
+     *
+     * @example
+     * ```typescript
+     * const rows = await db.read('primary').query('SELECT * FROM users');
+     * ```
+     */
+    read<T = unknown>(name: keyof TConnections | string): T;
+
+    /**
+     * Get a client for writes.
+     * Always routes to the primary, using failover if it is unhealthy.
+     * @param name The primary connection name
+     * @returns The database client
+     * @fires failover - If routing to backup
+     * @fires recovery - If recovering from failover
+     */
+    write<K extends keyof TConnections>(name: K): ClientResult<TConnections[K]>;
+
+    /**
+     * Get registered connection names.
+     * @param options Filter options
      * @returns Array of connection names
+     *
+     * @example
+     * ```typescript
+     * db.list({ tag: 'read' }); // ['replica-a', 'replica-b']
+     * ```
+     */
+    list(options?: { tag?: string }): (keyof TConnections)[];
+
+    /**
+     * Get the tags of a connection.
+     * @param name The connection name
+     * @returns Tags, or an empty array if not found
      */
-    list(): (keyof TConnections)[];
+    getTags(name: keyof TConnections | string): string[];
+
+    /**
+     * Get the metadata of a connection.
+     * @param name The connection name
+     * @returns Metadata, or undefined if not found
+     */
+    getMetadata(name: keyof TConnections | string): Record<string, unknown> | undefined;
+
+    /**
+     * Get the healthiest client carrying a tag.
+     * Prefers healthy over degraded over unhealthy members and skips members
+     * whose circuit is open; ties go to the first registered member.
+     * @param tag Tag to match
+     * @returns The database client
+     * @throws Error if no connection carries the tag
+     * @throws Error if every member's circuit is open
+     */
+    getByTag<T = unknown>(tag: string): T;
 
     /**
      * Check if a connection exists.
@@ -552,6 +1266,65 @@ export declare class Orchestrator<
      */
     health(): Record<keyof TConnections, ConnectionHealth>;
 
+    /**
+     * Check whether the application can serve traffic (readiness probe).
+     * Every connection not flagged `optional` must be usable, itself or through an active failover.
+     * @returns Verdict and reasons
+     *
+     * @example
+     * ```typescript
+     * const { ok, reasons } = db.readiness();
+     * // { ok: false, reasons: ['"primary" is unhealthy and has no healthy failover', '"cache" is unhealthy (optional)'] }
+     * ```
+     */
+    readiness(): ProbeResult;
+
+    /**
+     * Check whether the orchestrator itself is working (liveness probe).
+     * Database outages do not fail liveness.
+     * @returns Verdict and reasons
+     */
+    liveness(): ProbeResult;
+
+    /**
+     * Get the recent health history of a connection, oldest first.
+     * @param name - Connection name
+     * @param options - Only the most recent `limit` entries, or entries at or after `since` (ms)
+     * @returns History entries
+     * @throws Error if the connection is not registered
+     */
+    healthHistory(name: keyof TConnections | string, options?: { limit?: number; since?: number }): HealthHistoryEntry[];
+
+    /**
+     * Run health checks now, outside the periodic schedule.
+     * Applies the same thresholds, status transitions, circuit syncing and events as periodic checks.
+     * @param name - Connection to check (defaults to all)
+     * @returns Report for the connection, or reports by connection name
+     * @throws Error if the connection is not registered
+     *
+     * @example
+     * ```typescript
+     * const report = await db.checkHealth('primary');
+     * // { name: 'primary', status: 'healthy', previous: 'healthy', passed: true, durationMs: 3.2 }
+     * ```
+     */
+    checkHealth<K extends keyof TConnections & string>(name: K): Promise<HealthCheckReport<K>>;
+    checkHealth(name: string): Promise<HealthCheckReport>;
+    checkHealth(): Promise<Record<keyof TConnections & string, HealthCheckReport>>;
+
+    /**
+     * Get rolled-up health for the connections carrying a tag.
+     * @param options Tag to roll up
+     * @returns Group status and health per member
+     *
+     * @example
+     * ```typescript
+     * db.health({ tag: 'read' });
+     * // { tag: 'read', status: 'degraded', connections: { r1: {...}, r2: {...} } }
+     * ```
+     */
+    health(options: { tag: string }): GroupHealth;
+
     /**
      * Check if orchestrator is connected.
      */
@@ -572,19 +1345,28 @@ export declare class Orchestrator<
     /**
      * Record a failed operation for a connection.
      * May trigger circuit to open if threshold is reached.
+     * Errors that don't count as failures (`isFailure`, `ignoreErrors`) are recorded as successes.
      * @param name Connection name
+     * @param err The error that occurred
      */
-    recordFailure(name: keyof TConnections): void;
+    recordFailure(name: keyof TConnections, err?: unknown): void;
 
     /**
      * Execute a function with automatic connection handling and circuit breaker protection.
      * Replaces manual get() + recordSuccess() / recordFailure() usage.
-     * @param name Connection name
+     * @param name Connection or pool name
      * @param fn Function to execute with the client
+     * @param options Routing options (`mode: 'read'` routes to a replica)
      * @returns Result of the function
      * @throws Error if connection unavailable or circuit open
+     * @throws Error if the factory of a lazy connection fails
      */
-    execute<T>(name: keyof TConnections, fn: (client: TConnections[keyof TConnections]) => Promise<T>): Promise<T>;
+    execute<T>(
+        name: keyof TConnections,
+        fn: (client: ConnectionClient<TConnections[keyof TConnections]>) => Promise<T>,
+        options?: ExecuteOptions
+    ): Promise<T>;
+    execute<T>(name: string, fn: (client: unknown) => Promise<T>, options?: ExecuteOptions): Promise<T>;
 
     /**
      * Get comprehensive statistics for all connections.
@@ -595,7 +1377,17 @@ export declare class Orchestrator<
         status: HealthStatus;
         circuit: CircuitState | 'n/a';
         failures: number;
+        /** Open duration of the circuit in ms (grows with backoff), or null without a built-in circuit */
+        openDuration: number | null;
+        /** Calls rejected by the circuit breaker without running */
+        rejections: number;
+        consecutiveFailures: number;
+        consecutiveSuccesses: number;
         failoverTo: keyof TConnections | null;
+        /** Time in failover in ms, or null when not in failover */
+        timeInFailover: number | null;
+        /** Health check latency, or null until a check function has run */
+        checkLatency: CheckLatency | null;
     }>;
 
     /**
@@ -661,6 +1453,46 @@ export declare class Orchestrator<
  */
 export declare function parseDuration(duration: string): number;
 
+/**
+ * Options for `createHealthHandler()`.
+ */
+export interface HealthHandlerOptions {
+    /**
+     * Probe deciding between status 200 and 503.
+     * @default 'readiness'
+     */
+    probe?: 'readiness' | 'liveness';
+    /**
+     * Include stats, check latencies and last errors: always, never, or when
+     * the request has a `verbose` query flag (`?verbose`, `?verbose=1`, `?verbose=true`).
+     * @default 'query'
+     */
+    verbose?: boolean | 'query';
+}
+
+/**
+ * Create a health endpoint as a `node:http` request listener.
+ *
+ * Responds with `{ status, reasons, connections }` JSON and status 200 if
+ * the probe passes, 503 otherwise.
+ *
+ * @param orchestrator - The orchestrator to report on
+ * @param options - Handler options
+ * @returns Request listener for `http.createServer()`, Express, or the raw
+ *   request/response of other frameworks
+ * @throws Error if the probe is unknown
+ *
+ * @example
+ * ```typescript
+ * http.createServer(createHealthHandler(db)).listen(8080);
+ * app.get('/healthz', createHealthHandler(db, { probe: 'liveness' }));
+ * ```
+ */
+export declare function createHealthHandler(
+    orchestrator: Orchestrator<any>,
+    options?: HealthHandlerOptions
+): (req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => void;
+
 /**
  * Result of a health check operation.
  */
@@ -670,3 +1502,83 @@ export interface HealthCheckResult {
     /** Error that occurred during check, if any */
     error?: Error;
 }
+
+/**
+ * Passive health detection settings.
+ */
+export interface PassiveConfig {
+    /**
+     * Number of recent operations considered.
+     * @default 20
+     */
+    window?: number;
+    /**
+     * Operations needed in the window before health is judged.
+     * @default 10
+     */
+    minRequests?: number;
+    /**
+     * Error rate (0-1] at which a connection becomes degraded.
+     * @default 0.2
+     */
+    degradedAt?: number;
+    /**
+     * Error rate (0-1] at which a connection becomes unhealthy.
+     * @default 0.5
+     */
+    unhealthyAt?: number;
+}
+
+/**
+ * Result of `readiness()` and `liveness()`.
+ */
+export interface ProbeResult {
+    /** Overall verdict */
+    ok: boolean;
+    /** Problems found; those of optional connections do not affect the verdict */
+    reasons: string[];
+}
+
+/**
+ * What produced a health history entry: scheduled checks, on-demand checks
+ * (`checkHealth()` and `connect({ verify })`) or passive detection.
+ */
+export type HealthSource = 'periodic' | 'manual' | 'passive';
+
+/**
+ * Entry in a connection's health history.
+ */
+export interface HealthHistoryEntry {
+    /** Unix timestamp (ms) */
+    timestamp: number;
+    /** Status after the check or transition */
+    status: HealthStatus;
+    /** Whether the check passed (absent for passive transitions) */
+    passed?: boolean;
+    /** Check duration in ms (absent for passive transitions) */
+    durationMs?: number;
+    /** Error message, if the check threw */
+    error?: string;
+    /** What produced the entry */
+    source: HealthSource;
+}
+
+/**
+ * Report returned by `checkHealth()`.
+ */
+export interface HealthCheckReport<TName extends string = string> {
+    /** Connection name */
+    name: TName;
+    /** Status after the check, with consecutive-result thresholds applied */
+    status: HealthStatus;
+    /** Status before the check */
+    previous: HealthStatus;
+    /** Whether the check returned healthy or degraded (absent if skipped) */
+    passed?: boolean;
+    /** Time the check took in ms */
+    durationMs: number;
+    /** Error thrown by the check, if any */
+    error?: Error;
+    /** True for lazy connections that have not been created yet */
+    skipped?: boolean;
+}